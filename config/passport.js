@@ -1,60 +1,54 @@
 const passport = require('passport');
-const GitHubStrategy = require('passport-github2').Strategy;
+const userStore = require('../utils/userStore');
+const { registerProviders } = require('./providers');
 
 /**
- * Configure Passport with GitHub OAuth strategy
+ * Passport verify callback shared by all login providers.
+ * Signing in while already signed in links the new identity to the current account.
+ * @param {Object} req - Express request object
+ * @param {Object} profile - Normalized provider profile
+ * @param {Function} done - Passport done callback
+ */
+async function signIn(req, profile, done) {
+  try {
+    // Access tokens are not needed after sign-in and are never passed on or stored
+    const user = req.user
+      ? await userStore.linkIdentity(req.user.id, profile)
+      : await userStore.upsertFromProfile(profile);
+
+    console.log(`${profile.provider} user ${req.user ? 'linked' : 'authenticated'}:`, {
+      id: user.id,
+      username: profile.username,
+      email: profile.email
+    });
+
+    return done(null, user);
+  } catch (error) {
+    console.error(`${profile.provider} authentication error:`, error.message);
+    return done(error, null);
+  }
+}
+
+/**
+ * Configure Passport with the login providers enabled in environment config
  */
 function configurePassport() {
-  // Serialize user for session
+  // Only the user ID is kept in the session
   passport.serializeUser((user, done) => {
-    done(null, user);
+    done(null, user.id);
   });
 
-  // Deserialize user from session
-  passport.deserializeUser((user, done) => {
-    done(null, user);
+  // Look the user up on every request; sessions of deleted users are signed out
+  passport.deserializeUser(async (id, done) => {
+    try {
+      done(null, (await userStore.get(id)) || false);
+    } catch (error) {
+      done(error);
+    }
   });
 
-  // Only configure GitHub strategy if credentials are provided
-  if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
-    // GitHub OAuth strategy
-    passport.use(new GitHubStrategy({
-      clientID: process.env.GITHUB_CLIENT_ID,
-      clientSecret: process.env.GITHUB_CLIENT_SECRET,
-      callbackURL: process.env.GITHUB_CALLBACK_URL
-    },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        // Extract user information from GitHub profile
-        const user = {
-          id: profile.id,
-          username: profile.username,
-          displayName: profile.displayName || profile.username,
-          email: profile.emails && profile.emails.length > 0 ? profile.emails[0].value : null,
-          avatar: profile.photos && profile.photos.length > 0 ? profile.photos[0].value : null,
-          profileUrl: profile.profileUrl,
-          provider: 'github',
-          accessToken: accessToken,
-          createdAt: new Date()
-        };
-
-        console.log('GitHub OAuth user authenticated:', {
-          id: user.id,
-          username: user.username,
-          email: user.email
-        });
-
-        return done(null, user);
-      } catch (error) {
-        console.error('GitHub OAuth authentication error:', error);
-        return done(error, null);
-      }
-    }));
-    
-    console.log('GitHub OAuth strategy configured successfully');
-  } else {
-    console.log('GitHub OAuth strategy not configured - credentials not provided');
-  }
+  // GitHub, Google, GitLab and OpenID Connect, each only when its credentials are set
+  registerProviders(passport, signIn);
 }
 
-module.exports = configurePassport;
\ No newline at end of file
+module.exports = configurePassport;
@@ -0,0 +1,274 @@
+const OAuth2Strategy = require('passport-oauth2');
+const GitHubStrategy = require('passport-github2').Strategy;
+const { needsGitHubOrgs } = require('./roles');
+
+const { InternalOAuthError } = OAuth2Strategy;
+
+/**
+ * OAuth 2.0 strategy that reads the user profile from a JSON endpoint,
+ * for providers without a dedicated Passport strategy (Google, GitLab, OpenID Connect)
+ */
+class ProfileOAuth2Strategy extends OAuth2Strategy {
+  /**
+   * @param {Object} options - OAuth2Strategy options plus name, userInfoURL and mapProfile
+   * @param {Function} verify - Passport verify callback
+   */
+  constructor({ name, userInfoURL, mapProfile, ...options }, verify) {
+    super(options, verify);
+    this.name = name;
+    this.userInfoURL = userInfoURL;
+    this.mapProfile = mapProfile;
+    this._oauth2.useAuthorizationHeaderforGET(true);
+  }
+
+  /**
+   * Fetch and normalize the profile of the signed-in user
+   * @param {string} accessToken - OAuth access token
+   * @param {Function} done - Receives (error, profile)
+   */
+  userProfile(accessToken, done) {
+    this._oauth2.get(this.userInfoURL, accessToken, (error, body) => {
+      if (error) {
+        return done(new InternalOAuthError('Failed to fetch user profile', error));
+      }
+
+      try {
+        done(null, this.mapProfile(JSON.parse(body)));
+      } catch (parseError) {
+        done(new Error(`Failed to parse user profile: ${parseError.message}`));
+      }
+    });
+  }
+}
+
+/**
+ * Get the callback URL of a provider, defaulting to /auth/<name>/callback on APP_URL
+ * @param {string} name - Provider name
+ * @param {string} envName - Environment variable overriding the URL
+ * @returns {string} Callback URL
+ */
+function getCallbackURL(name, envName) {
+  return process.env[envName] || `${process.env.APP_URL || 'http://localhost:3000'}/auth/${name}/callback`;
+}
+
+/**
+ * Fetch the GitHub organizations of the signed-in user, for admin role assignment
+ * @param {string} accessToken - GitHub access token with the read:org scope
+ * @returns {Promise<Array<string>|undefined>} Organization logins, or undefined if they could not be read
+ */
+async function fetchGitHubOrgs(accessToken) {
+  try {
+    const response = await fetch('https://api.github.com/user/orgs?per_page=100', {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'UWAUWI'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    return (await response.json()).map(org => org.login);
+  } catch (error) {
+    console.error('Failed to read GitHub organizations:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Map standard OpenID Connect claims to a user profile
+ * @param {string} provider - Provider name
+ * @param {Object} claims - UserInfo claims
+ * @returns {Object} Normalized profile
+ */
+function mapOidcClaims(provider, claims) {
+  return {
+    provider,
+    providerId: String(claims.sub),
+    username: claims.preferred_username || claims.email || String(claims.sub),
+    displayName: claims.name || claims.preferred_username || claims.email || String(claims.sub),
+    email: claims.email || null,
+    avatar: claims.picture || null,
+    profileUrl: claims.profile || null
+  };
+}
+
+// Login providers that can be enabled from environment config, in the order they are shown
+const PROVIDERS = {
+  github: {
+    label: 'GitHub',
+    isConfigured: () => Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    createStrategy: async (verify) => new GitHubStrategy({
+      clientID: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      callbackURL: getCallbackURL('github', 'GITHUB_CALLBACK_URL'),
+      // Organization memberships are only requested when admins are assigned by organization
+      scope: needsGitHubOrgs() ? ['user:email', 'read:org'] : ['user:email'],
+      state: true,
+      passReqToCallback: true
+    }, async (req, accessToken, refreshToken, profile, done) => verify(req, {
+      provider: 'github',
+      providerId: String(profile.id),
+      username: profile.username,
+      displayName: profile.displayName || profile.username,
+      email: profile.emails && profile.emails.length > 0 ? profile.emails[0].value : null,
+      avatar: profile.photos && profile.photos.length > 0 ? profile.photos[0].value : null,
+      profileUrl: profile.profileUrl,
+      orgs: needsGitHubOrgs() ? await fetchGitHubOrgs(accessToken) : undefined
+    }, done))
+  },
+
+  google: {
+    label: 'Google',
+    isConfigured: () => Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    createStrategy: async (verify) => new ProfileOAuth2Strategy({
+      name: 'google',
+      authorizationURL: 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenURL: 'https://oauth2.googleapis.com/token',
+      userInfoURL: 'https://openidconnect.googleapis.com/v1/userinfo',
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL: getCallbackURL('google', 'GOOGLE_CALLBACK_URL'),
+      scope: ['openid', 'profile', 'email'],
+      state: true,
+      passReqToCallback: true,
+      mapProfile: claims => mapOidcClaims('google', claims)
+    }, (req, accessToken, refreshToken, profile, done) => verify(req, profile, done))
+  },
+
+  gitlab: {
+    label: 'GitLab',
+    isConfigured: () => Boolean(process.env.GITLAB_CLIENT_ID && process.env.GITLAB_CLIENT_SECRET),
+    createStrategy: async (verify) => {
+      // Self-managed GitLab instances are supported through GITLAB_URL
+      const baseURL = (process.env.GITLAB_URL || 'https://gitlab.com').replace(/\/+$/, '');
+
+      return new ProfileOAuth2Strategy({
+        name: 'gitlab',
+        authorizationURL: `${baseURL}/oauth/authorize`,
+        tokenURL: `${baseURL}/oauth/token`,
+        userInfoURL: `${baseURL}/api/v4/user`,
+        clientID: process.env.GITLAB_CLIENT_ID,
+        clientSecret: process.env.GITLAB_CLIENT_SECRET,
+        callbackURL: getCallbackURL('gitlab', 'GITLAB_CALLBACK_URL'),
+        scope: ['read_user'],
+        state: true,
+        passReqToCallback: true,
+        mapProfile: user => ({
+          provider: 'gitlab',
+          providerId: String(user.id),
+          username: user.username,
+          displayName: user.name || user.username,
+          email: user.email || user.public_email || null,
+          avatar: user.avatar_url || null,
+          profileUrl: user.web_url || null
+        })
+      }, (req, accessToken, refreshToken, profile, done) => verify(req, profile, done));
+    }
+  },
+
+  oidc: {
+    label: process.env.OIDC_LABEL || 'Single Sign-On',
+    isConfigured: () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_CLIENT_SECRET),
+    createStrategy: async (verify) => {
+      // Endpoints come from the issuer's discovery document
+      const issuer = process.env.OIDC_ISSUER.replace(/\/+$/, '');
+      const response = await fetch(`${issuer}/.well-known/openid-configuration`);
+      if (!response.ok) {
+        throw new Error(`OpenID Connect discovery failed with HTTP ${response.status}`);
+      }
+
+      const discovery = await response.json();
+      if (discovery.issuer && discovery.issuer.replace(/\/+$/, '') !== issuer) {
+        throw new Error(`OpenID Connect discovery returned issuer ${discovery.issuer}, expected ${issuer}`);
+      }
+
+      return new ProfileOAuth2Strategy({
+        name: 'oidc',
+        authorizationURL: discovery.authorization_endpoint,
+        tokenURL: discovery.token_endpoint,
+        userInfoURL: discovery.userinfo_endpoint,
+        clientID: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        callbackURL: getCallbackURL('oidc', 'OIDC_CALLBACK_URL'),
+        scope: (process.env.OIDC_SCOPE || 'openid profile email').split(/[\s,]+/).filter(Boolean),
+        state: true,
+        passReqToCallback: true,
+        mapProfile: claims => mapOidcClaims('oidc', claims)
+      }, (req, accessToken, refreshToken, profile, done) => verify(req, profile, done));
+    }
+  }
+};
+
+// Provider name -> promise of whether its strategy was registered
+const registrations = new Map();
+
+/**
+ * Register the strategies of all configured providers with Passport.
+ * Providers needing discovery register in the background; routes wait for them with whenReady().
+ * @param {Object} passport - Passport instance
+ * @param {Function} verify - Receives (req, normalized profile, done) after a successful sign-in
+ */
+function registerProviders(passport, verify) {
+  Object.entries(PROVIDERS).forEach(([name, provider]) => {
+    if (!provider.isConfigured()) {
+      console.log(`${provider.label} login not configured - credentials not provided`);
+      return;
+    }
+
+    const registration = provider.createStrategy(verify)
+      .then(strategy => {
+        passport.use(name, strategy);
+        console.log(`${provider.label} login configured successfully`);
+        return true;
+      })
+      .catch(error => {
+        console.error(`${provider.label} login could not be configured:`, error.message);
+        return false;
+      });
+
+    registrations.set(name, registration);
+  });
+}
+
+/**
+ * Wait until a provider's strategy is registered
+ * @param {string} name - Provider name
+ * @returns {Promise<boolean>} Whether the provider can be used
+ */
+function whenReady(name) {
+  return registrations.get(name) || Promise.resolve(false);
+}
+
+/**
+ * List all known providers
+ * @returns {Array<Object>} Provider name, label and whether its credentials are set
+ */
+function getProviders() {
+  return Object.entries(PROVIDERS).map(([name, { label, isConfigured }]) => ({ name, label, configured: isConfigured() }));
+}
+
+/**
+ * List the providers users can sign in with
+ * @returns {Promise<Array<Object>>} Provider name, label and login URL
+ */
+async function getAvailableProviders() {
+  const available = [];
+
+  for (const { name, label } of getProviders()) {
+    if (await whenReady(name)) {
+      available.push({ name, label, loginUrl: `/auth/${name}` });
+    }
+  }
+
+  return available;
+}
+
+module.exports = {
+  registerProviders,
+  whenReady,
+  getProviders,
+  getAvailableProviders
+};
@@ -0,0 +1,122 @@
+// Roles from least to most privileged; each role includes the ones before it
+const ROLES = ['anonymous', 'user', 'admin'];
+
+// Features that can be restricted to a role, with the environment variable setting it
+const FEATURES = {
+  largeFiles: 'FEATURE_LARGE_FILES_ROLE',
+  batch: 'FEATURE_BATCH_ROLE',
+  pdf: 'FEATURE_PDF_ROLE'
+};
+
+// Uploads above this size count as large files
+const LARGE_FILE_SIZE = (parseInt(process.env.LARGE_FILE_MB, 10) || 10) * 1024 * 1024;
+
+/**
+ * Parse a comma-separated allowlist into lowercase entries
+ * @param {string} value - Environment variable value
+ * @returns {Array<string>} Entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+// Admins by username: "alice" is a GitHub user, "gitlab:bob" or "oidc:carol" a user of another provider
+const ADMIN_USERS = parseList(process.env.ADMIN_USERS);
+
+// Members of these GitHub organizations are admins (memberships are read when signing in)
+const ADMIN_GITHUB_ORGS = parseList(process.env.ADMIN_GITHUB_ORGS);
+
+/**
+ * Read the role required for a feature. Unknown values restrict the feature to admins.
+ * @param {string} feature - Feature name
+ * @returns {string} Role
+ */
+function readFeatureRole(feature) {
+  const value = (process.env[FEATURES[feature]] || 'anonymous').trim().toLowerCase();
+
+  if (!ROLES.includes(value)) {
+    console.warn(`Warning: ${FEATURES[feature]} must be one of ${ROLES.join(', ')}; restricting ${feature} to admins.`);
+    return 'admin';
+  }
+
+  return value;
+}
+
+const FEATURE_ROLES = Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, readFeatureRole(feature)]));
+
+/**
+ * Check whether a sign-in identity is on the admin allowlists
+ * @param {Object} identity - Identity of a user record (provider, username, orgs)
+ * @returns {boolean} Whether the identity makes its user an admin
+ */
+function isAdminIdentity({ provider, username, orgs }) {
+  const name = String(username || '').toLowerCase();
+
+  if (ADMIN_USERS.includes(`${provider}:${name}`)) {
+    return true;
+  }
+
+  return provider === 'github' && (
+    ADMIN_USERS.includes(name) ||
+    (orgs || []).some(org => ADMIN_GITHUB_ORGS.includes(org.toLowerCase()))
+  );
+}
+
+/**
+ * Get the role of a request's user
+ * @param {Object|null} user - req.user
+ * @returns {string} anonymous, user or admin
+ */
+function getRole(user) {
+  if (!user) {
+    return 'anonymous';
+  }
+
+  return (user.identities || []).some(isAdminIdentity) ? 'admin' : 'user';
+}
+
+/**
+ * Check whether a user has a role or a more privileged one
+ * @param {Object|null} user - req.user
+ * @param {string} role - Required role
+ * @returns {boolean} Whether the user has the role
+ */
+function hasRole(user, role) {
+  return ROLES.indexOf(getRole(user)) >= ROLES.indexOf(role);
+}
+
+/**
+ * Get the role a feature is restricted to
+ * @param {string} feature - Feature name (largeFiles, batch, pdf)
+ * @returns {string} Required role
+ */
+function getFeatureRole(feature) {
+  return FEATURE_ROLES[feature];
+}
+
+/**
+ * List which features a user may use
+ * @param {Object|null} user - req.user
+ * @returns {Object} Feature name -> whether it is allowed
+ */
+function getAllowedFeatures(user) {
+  return Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, hasRole(user, FEATURE_ROLES[feature])]));
+}
+
+/**
+ * Whether GitHub organization memberships are needed to assign roles
+ * @returns {boolean} Whether ADMIN_GITHUB_ORGS is set
+ */
+function needsGitHubOrgs() {
+  return ADMIN_GITHUB_ORGS.length > 0;
+}
+
+module.exports = {
+  ROLES,
+  LARGE_FILE_SIZE,
+  getRole,
+  hasRole,
+  getFeatureRole,
+  getAllowedFeatures,
+  needsGitHubOrgs
+};
@@ -0,0 +1,202 @@
+const path = require('path');
+const sharp = require('sharp');
+const imageConverter = require('../utils/imageConverter');
+const pdfConverter = require('../utils/pdfConverter');
+const archiveBuilder = require('../utils/archiveBuilder');
+const progressHub = require('../utils/progressHub');
+const storage = require('../utils/storage');
+const downloadSigner = require('../utils/downloadSigner');
+const jobQueue = require('../utils/jobQueue');
+const { SUPPORTED_PDF_TYPES } = require('../middleware/upload');
+
+class BatchController {
+  /**
+   * Convert several files with the same settings and bundle the results in a ZIP archive
+   * @param {Object} options - Batch options
+   * @param {Array<Object>} options.files - Uploaded files (originalname, mimetype, buffer)
+   * @param {string} options.outputFormat - Target format for images
+   * @param {string} options.compressionLevel - Compression level
+   * @param {Object} options.optimizations - PDF optimization steps to enable or disable
+   * @param {Object} options.metadataOptions - Normalized image metadata options (autoOrient, exif, gps, icc)
+   * @param {string} options.password - Password for encrypted PDFs
+   * @param {Object} options.protection - Password protection for output PDFs
+   * @param {string} options.jobId - Job ID for progress updates
+   * @param {AbortSignal} options.signal - Signal raised when the job is cancelled
+   * @param {Object} options.download - Download link options (ownerId, oneTime)
+   * @returns {Object} Batch result with per-file manifest
+   */
+  async convertBatch({ files, outputFormat, compressionLevel, optimizations, metadataOptions, password, protection, jobId, signal, download }) {
+    try {
+      const entries = [];
+      const manifest = [];
+      const usedNames = new Set(['manifest.json']);
+
+      console.log(`Converting batch of ${files.length} files, format: ${outputFormat}, level: ${compressionLevel}`);
+
+      for (let i = 0; i < files.length; i++) {
+        jobQueue.throwIfCancelled(signal);
+
+        const file = files[i];
+        const fileProgress = (progress, message) => {
+          jobQueue.throwIfCancelled(signal);
+          this.sendProgress(jobId, {
+            progress: ((i + progress / 100) / files.length) * 90,
+            message: `File ${i + 1} of ${files.length}: ${message}`,
+            file: { index: i, name: file.originalname, status: 'processing', progress }
+          });
+        };
+
+        try {
+          const converted = await this.convertFile(file, {
+            outputFormat,
+            compressionLevel,
+            optimizations,
+            metadataOptions,
+            password,
+            protection,
+            progressCallback: fileProgress
+          });
+          const outputName = archiveBuilder.uniqueName(converted.name, usedNames);
+
+          entries.push({ name: outputName, data: converted.buffer });
+          manifest.push({
+            index: i,
+            originalName: file.originalname,
+            outputName,
+            status: 'converted',
+            originalSize: file.buffer.length,
+            convertedSize: converted.buffer.length,
+            compressionRatio: this.formatRatio(file.buffer.length, converted.buffer.length)
+          });
+        } catch (error) {
+          jobQueue.throwIfCancelled(signal);
+          console.warn(`Batch file failed: ${file.originalname}: ${error.message}`);
+
+          manifest.push({
+            index: i,
+            originalName: file.originalname,
+            outputName: null,
+            status: 'failed',
+            originalSize: file.buffer.length,
+            error: error.message
+          });
+        }
+
+        const entry = manifest[manifest.length - 1];
+        this.sendProgress(jobId, {
+          progress: ((i + 1) / files.length) * 90,
+          message: `Processed ${i + 1} of ${files.length} files`,
+          file: { index: i, name: file.originalname, status: entry.status, progress: 100, error: entry.error }
+        });
+      }
+
+      const succeeded = manifest.filter(entry => entry.status === 'converted');
+      if (succeeded.length === 0) {
+        throw new Error('No files could be converted');
+      }
+
+      this.sendProgress(jobId, { progress: 92, message: 'Creating ZIP archive...' });
+
+      entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+      const zipBuffer = await archiveBuilder.createZip(entries);
+
+      jobQueue.throwIfCancelled(signal);
+      this.sendProgress(jobId, { progress: 98, message: 'Preparing download...' });
+
+      const downloadUrl = await this.storeForDownload(zipBuffer, download);
+
+      const originalSize = succeeded.reduce((total, entry) => total + entry.originalSize, 0);
+      const convertedSize = succeeded.reduce((total, entry) => total + entry.convertedSize, 0);
+
+      this.sendProgress(jobId, { progress: 100, message: 'Batch conversion completed!' });
+
+      return {
+        downloadUrl,
+        fileCount: files.length,
+        succeeded: succeeded.length,
+        failed: files.length - succeeded.length,
+        originalSize,
+        convertedSize,
+        archiveSize: zipBuffer.length,
+        compressionRatio: this.formatRatio(originalSize, convertedSize),
+        manifest
+      };
+
+    } catch (error) {
+      throw new Error(`Batch conversion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a single file of a batch
+   * @param {Object} file - Uploaded file
+   * @param {Object} options - Conversion options
+   * @returns {Object} Converted buffer and output file name
+   */
+  async convertFile(file, { outputFormat, compressionLevel, optimizations, metadataOptions, password, protection, progressCallback }) {
+    const baseName = path.parse(file.originalname).name || 'file';
+
+    if (SUPPORTED_PDF_TYPES.includes(file.mimetype)) {
+      const { buffer } = await pdfConverter.compress({
+        buffer: file.buffer,
+        compressionLevel,
+        optimizations,
+        password,
+        protection,
+        progressCallback
+      });
+
+      return { buffer, name: `${baseName}.pdf` };
+    }
+
+    const metadata = await sharp(file.buffer).metadata();
+    const buffer = await imageConverter.convert({
+      buffer: file.buffer,
+      outputFormat,
+      compressionLevel,
+      metadata,
+      metadataOptions,
+      progressCallback
+    });
+
+    return { buffer, name: `${baseName}.${outputFormat}` };
+  }
+
+  /**
+   * Format a compression ratio as a percentage string
+   * @param {number} originalSize - Original size in bytes
+   * @param {number} convertedSize - Converted size in bytes
+   * @returns {string} Compression ratio
+   */
+  formatRatio(originalSize, convertedSize) {
+    return ((originalSize - convertedSize) / originalSize * 100).toFixed(1) + '%';
+  }
+
+  /**
+   * Send progress update to the subscribers of a job
+   * @param {string} jobId - Job ID
+   * @param {Object} data - Progress data
+   */
+  sendProgress(jobId, data) {
+    progressHub.publish(jobId, 'progress', data);
+  }
+
+  /**
+   * Store ZIP archive for download
+   * @param {Buffer} buffer - Archive buffer
+   * @param {Object} download - Download link options (ownerId, oneTime)
+   * @returns {string} Signed download URL
+   */
+  async storeForDownload(buffer, download) {
+    const filename = downloadSigner.createFilename('batch', 'zip');
+
+    await storage.put(filename, buffer, {
+      mimeType: 'application/zip',
+      originalName: 'converted_files.zip'
+    });
+
+    return downloadSigner.createUrl(filename, download);
+  }
+}
+
+module.exports = new BatchController();
@@ -1,5 +1,12 @@
+const { pipeline, Transform, Writable } = require('stream');
 const sharp = require('sharp');
 const imageConverter = require('../utils/imageConverter');
+const pdfConverter = require('../utils/pdfConverter');
+const progressHub = require('../utils/progressHub');
+const storage = require('../utils/storage');
+const downloadSigner = require('../utils/downloadSigner');
+const jobQueue = require('../utils/jobQueue');
+const fileValidator = require('../utils/fileValidator');
 
 class ImageController {
   /**
@@ -8,13 +15,21 @@ class ImageController {
    * @param {Buffer} options.buffer - Image buffer
    * @param {string} options.outputFormat - Target format
    * @param {string} options.compressionLevel - Compression level
-   * @param {WebSocket.Server} options.wss - WebSocket server for progress updates
+   * @param {Object} options.resize - Normalized resize options
+   * @param {Object} options.crop - Normalized crop rectangle
+   * @param {Object} options.animation - Normalized animation options (maxFps, frameStep, colors)
+   * @param {Object} options.metadataOptions - Normalized metadata options (autoOrient, exif, gps, icc)
+   * @param {number} options.targetSize - Maximum output size in bytes, searched over quality
+   * @param {boolean} options.allowScaling - Whether target size mode may scale the image down
+   * @param {string} options.jobId - Job ID for progress updates
+   * @param {AbortSignal} options.signal - Signal raised when the job is cancelled
+   * @param {Object} options.download - Download link options (ownerId, oneTime)
    * @returns {Object} Conversion result
    */
-  async convertImage({ buffer, outputFormat, compressionLevel, wss }) {
+  async convertImage({ buffer, outputFormat, compressionLevel, resize, crop, animation, metadataOptions, targetSize, allowScaling, jobId, signal, download }) {
     try {
-      // Broadcast progress update
-      this.broadcastProgress(wss, { progress: 10, message: 'Analyzing image...' });
+      // Send progress update
+      this.sendProgress(jobId, { progress: 10, message: 'Analyzing image...' });
 
       // Get image metadata
       const metadata = await sharp(buffer).metadata();
@@ -22,90 +37,230 @@ class ImageController {
 
       console.log(`Converting image: ${metadata.format} -> ${outputFormat}, ${metadata.width}x${metadata.height}`);
 
-      this.broadcastProgress(wss, { progress: 30, message: 'Starting conversion...' });
+      this.sendProgress(jobId, { progress: 30, message: 'Starting conversion...' });
 
-      // Perform conversion
-      const convertedBuffer = await imageConverter.convert({
+      const conversionOptions = {
         buffer,
         outputFormat,
         compressionLevel,
         metadata,
+        resize,
+        crop,
+        animation,
+        metadataOptions,
         progressCallback: (progress, message) => {
-          this.broadcastProgress(wss, { progress: 30 + (progress * 0.6), message });
+          jobQueue.throwIfCancelled(signal);
+          this.sendProgress(jobId, { progress: 30 + (progress * 0.6), message });
         }
-      });
+      };
+
+      // Perform conversion, searching for the best quality under the budget in target size mode
+      let convertedBuffer;
+      let targetResult = null;
+
+      if (targetSize) {
+        targetResult = await imageConverter.convertToTargetSize({ ...conversionOptions, targetSize, allowScaling });
+        convertedBuffer = targetResult.buffer;
+      } else {
+        convertedBuffer = await imageConverter.convert(conversionOptions);
+      }
 
-      this.broadcastProgress(wss, { progress: 90, message: 'Preparing download...' });
+      jobQueue.throwIfCancelled(signal);
+      this.sendProgress(jobId, { progress: 90, message: 'Preparing download...' });
 
       // Store converted file for download
-      const downloadUrl = this.storeForDownload(convertedBuffer, outputFormat, metadata);
+      const downloadUrl = await this.storeForDownload(convertedBuffer, outputFormat, metadata, download);
 
       const convertedSize = convertedBuffer.length;
       const compressionRatio = ((originalSize - convertedSize) / originalSize * 100).toFixed(1);
+      const { width, height, pages } = await sharp(convertedBuffer).metadata();
+      const animated = await imageConverter.isAnimationPreserved(metadata, outputFormat);
 
-      this.broadcastProgress(wss, { progress: 100, message: 'Conversion completed!' });
+      this.sendProgress(jobId, { progress: 100, message: 'Conversion completed!' });
 
-      return {
+      const result = {
         downloadUrl,
         outputFormat,
         originalSize,
         convertedSize,
-        compressionRatio: compressionRatio + '%'
+        compressionRatio: compressionRatio + '%',
+        originalDimensions: { width: metadata.width, height: metadata.height },
+        dimensions: { width, height },
+        originalFrames: metadata.pages || 1,
+        frames: pages || 1
       };
 
+      if (metadata.pages > 1 && !animated) {
+        result.warning = `${outputFormat.toUpperCase()} output does not support animation, so only the first of ${metadata.pages} frames was converted`;
+      }
+
+      if (targetResult) {
+        result.targetSize = targetSize;
+        result.quality = targetResult.quality;
+        result.scale = targetResult.scale;
+        result.attempts = targetResult.attempts;
+      }
+
+      return result;
+
     } catch (error) {
-      this.broadcastProgress(wss, { progress: 0, message: 'Conversion failed', error: error.message });
+      // Validation and option errors carry a code the client can act on
+      const decodeError = fileValidator.fromDecodeError(error);
+      if (decodeError.code) throw decodeError;
       throw new Error(`Image conversion failed: ${error.message}`);
     }
   }
 
   /**
-   * Broadcast progress update to all connected clients
-   * @param {WebSocket.Server} wss - WebSocket server
-   * @param {Object} data - Progress data
+   * Build a PDF document with one page per image
+   * @param {Object} options - Conversion options
+   * @param {Array<Object>} options.files - Uploaded images (originalname, buffer)
+   * @param {string} options.pageSize - Page size (a3, a4, a5, letter, legal or fit)
+   * @param {string} options.orientation - Page orientation (auto, portrait, landscape)
+   * @param {number} options.margin - Page margin in points
+   * @param {Object} options.protection - Password protection for the output
+   * @param {string} options.jobId - Job ID for progress updates
+   * @param {AbortSignal} options.signal - Signal raised when the job is cancelled
+   * @param {Object} options.download - Download link options (ownerId, oneTime)
+   * @returns {Object} Conversion result
    */
-  broadcastProgress(wss, data) {
-    if (wss && wss.clients) {
-      const message = JSON.stringify({
-        type: 'progress',
-        data
-      });
+  async convertToPDF({ files, pageSize, orientation, margin, protection, jobId, signal, download }) {
+    try {
+      this.sendProgress(jobId, { progress: 10, message: `Building PDF from ${files.length} images...` });
 
-      wss.clients.forEach(client => {
-        if (client.readyState === 1) { // WebSocket.OPEN
-          client.send(message);
+      const pdfBuffer = await pdfConverter.createFromImages({
+        images: files.map(file => ({ buffer: file.buffer, name: file.originalname })),
+        pageSize,
+        orientation,
+        margin,
+        protection,
+        progressCallback: (progress, message) => {
+          jobQueue.throwIfCancelled(signal);
+          this.sendProgress(jobId, { progress: 10 + (progress * 0.8), message });
         }
       });
+
+      jobQueue.throwIfCancelled(signal);
+      this.sendProgress(jobId, { progress: 90, message: 'Preparing download...' });
+
+      const downloadUrl = await this.storeForDownload(pdfBuffer, 'pdf', null, download);
+
+      const originalSize = files.reduce((total, file) => total + file.buffer.length, 0);
+      const convertedSize = pdfBuffer.length;
+      const compressionRatio = ((originalSize - convertedSize) / originalSize * 100).toFixed(1);
+
+      console.log(`Built PDF from ${files.length} images: ${originalSize} -> ${convertedSize} bytes`);
+
+      this.sendProgress(jobId, { progress: 100, message: 'Conversion completed!' });
+
+      return {
+        downloadUrl,
+        outputFormat: 'pdf',
+        pageCount: files.length,
+        originalSize,
+        convertedSize,
+        compressionRatio: compressionRatio + '%'
+      };
+
+    } catch (error) {
+      if (error.code) throw error;
+      throw new Error(`Image to PDF conversion failed: ${error.message}`);
     }
   }
 
+  /**
+   * Convert an image stream and write the result to an output stream without buffering the whole file.
+   * Nothing is written to the output until the first converted bytes are available,
+   * so callers can still send an error response when the input is rejected.
+   * The input is checked by content on its way through, like buffered uploads.
+   * @param {Object} options - Conversion options
+   * @param {stream.Readable} options.input - Source image stream
+   * @param {string} options.fileName - Name of the uploaded file, if any
+   * @param {string} options.declaredType - MIME type given by the client
+   * @param {stream.Writable} options.output - Destination stream, usually the HTTP response
+   * @param {string} options.outputFormat - Target format
+   * @param {string} options.compressionLevel - Compression level
+   * @param {Object} options.metadataOptions - Normalized metadata options (autoOrient, exif, gps, icc)
+   * @param {number} options.maxBytes - Maximum number of input bytes
+   * @param {Error} [options.limitError] - Error to fail with when the input exceeds maxBytes
+   * @param {Function} options.onStart - Called before the first output bytes are written
+   * @returns {Promise<Object>} Number of bytes read and written
+   */
+  streamImage({ input, fileName, declaredType, output, outputFormat, compressionLevel, metadataOptions, maxBytes, limitError, onStart }) {
+    return new Promise((resolve, reject) => {
+      let originalSize = 0;
+      let convertedSize = 0;
+
+      const validator = fileValidator.createStreamValidator({ name: fileName, declaredType, accept: ['image'] });
+      const transformer = imageConverter.createPipeline({ outputFormat, compressionLevel, metadataOptions });
+
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          originalSize += chunk.length;
+          if (originalSize > maxBytes) {
+            return callback(limitError || new Error(`File too large. Maximum size is ${maxBytes / 1024 / 1024}MB.`));
+          }
+          callback(null, chunk);
+        }
+      });
+
+      // Forward to the output without letting pipeline() destroy it on error
+      const sink = new Writable({
+        write(chunk, encoding, callback) {
+          if (convertedSize === 0 && onStart) onStart();
+          convertedSize += chunk.length;
+
+          if (output.write(chunk)) {
+            callback();
+          } else {
+            output.once('drain', callback);
+          }
+        },
+        final(callback) {
+          output.end();
+          callback();
+        }
+      });
+
+      pipeline(input, limiter, validator, transformer, sink, (error) => {
+        if (error) {
+          error = fileValidator.fromDecodeError(error, fileName);
+          error.outputStarted = convertedSize > 0;
+          return reject(error);
+        }
+
+        console.log(`Image streamed to ${outputFormat}: ${originalSize} -> ${convertedSize} bytes`);
+        resolve({ originalSize, convertedSize });
+      });
+    });
+  }
+
+  /**
+   * Send progress update to the subscribers of a job
+   * @param {string} jobId - Job ID
+   * @param {Object} data - Progress data
+   */
+  sendProgress(jobId, data) {
+    progressHub.publish(jobId, 'progress', data);
+  }
+
   /**
    * Store converted file for download
    * @param {Buffer} buffer - File buffer
    * @param {string} format - File format
    * @param {Object} metadata - Original metadata
-   * @returns {string} Download URL
+   * @param {Object} download - Download link options (ownerId, oneTime)
+   * @returns {string} Signed download URL
    */
-  storeForDownload(buffer, format, metadata) {
-    // Initialize global temp storage if not exists
-    if (!global.tempFiles) {
-      global.tempFiles = {};
-    }
+  async storeForDownload(buffer, format, metadata, download) {
+    const filename = downloadSigner.createFilename('converted', format);
 
-    const filename = `converted_${Date.now()}.${format}`;
-    const mimeType = this.getMimeType(format);
-
-    global.tempFiles[filename] = {
-      buffer,
-      mimeType,
-      originalName: `converted_image.${format}`,
-      timestamp: Date.now()
-    };
-
-    // Clean up old files (older than 10 minutes)
-    this.cleanupOldFiles();
+    await storage.put(filename, buffer, {
+      mimeType: this.getMimeType(format),
+      originalName: format === 'pdf' ? 'converted_images.pdf' : `converted_image.${format}`
+    });
 
-    return `/api/convert/download/${filename}`;
+    return downloadSigner.createUrl(filename, download);
   }
 
   /**
@@ -121,26 +276,15 @@ class ImageController {
       webp: 'image/webp',
       bmp: 'image/bmp',
       gif: 'image/gif',
-      tiff: 'image/tiff'
+      tiff: 'image/tiff',
+      pdf: 'application/pdf',
+      avif: 'image/avif',
+      heif: 'image/heif',
+      heic: 'image/heic',
+      jxl: 'image/jxl'
     };
     return mimeTypes[format.toLowerCase()] || 'application/octet-stream';
   }
-
-  /**
-   * Clean up old temporary files
-   */
-  cleanupOldFiles() {
-    if (!global.tempFiles) return;
-
-    const now = Date.now();
-    const maxAge = 10 * 60 * 1000; // 10 minutes
-
-    Object.keys(global.tempFiles).forEach(filename => {
-      if (now - global.tempFiles[filename].timestamp > maxAge) {
-        delete global.tempFiles[filename];
-      }
-    });
-  }
 }
 
 module.exports = new ImageController();
\ No newline at end of file
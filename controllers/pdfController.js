@@ -1,5 +1,11 @@
-const { PDFDocument } = require('pdf-lib');
 const pdfConverter = require('../utils/pdfConverter');
+const pdfRenderer = require('../utils/pdfRenderer');
+const archiveBuilder = require('../utils/archiveBuilder');
+const imageController = require('./imageController');
+const progressHub = require('../utils/progressHub');
+const storage = require('../utils/storage');
+const downloadSigner = require('../utils/downloadSigner');
+const jobQueue = require('../utils/jobQueue');
 
 class PDFController {
   /**
@@ -7,119 +13,292 @@ class PDFController {
    * @param {Object} options - Compression options
    * @param {Buffer} options.buffer - PDF buffer
    * @param {string} options.compressionLevel - Compression level
-   * @param {WebSocket.Server} options.wss - WebSocket server for progress updates
+   * @param {Object} options.optimizations - Optimization steps to enable or disable
+   * @param {string} options.password - Password of an encrypted PDF
+   * @param {Object} options.protection - Password protection for the output
+   * @param {string} options.jobId - Job ID for progress updates
+   * @param {AbortSignal} options.signal - Signal raised when the job is cancelled
+   * @param {Object} options.download - Download link options (ownerId, oneTime)
    * @returns {Object} Compression result
    */
-  async compressPDF({ buffer, compressionLevel, wss }) {
+  async compressPDF({ buffer, compressionLevel, optimizations, password, protection, jobId, signal, download }) {
     try {
-      // Broadcast progress update
-      this.broadcastProgress(wss, { progress: 10, message: 'Analyzing PDF...' });
+      // Send progress update
+      this.sendProgress(jobId, { progress: 10, message: 'Analyzing PDF...' });
 
       const originalSize = buffer.length;
       console.log(`Compressing PDF: ${originalSize} bytes, level: ${compressionLevel}`);
 
-      // Load PDF document
-      const pdfDoc = await PDFDocument.load(buffer);
-      const pageCount = pdfDoc.getPageCount();
-
-      this.broadcastProgress(wss, { 
-        progress: 20, 
-        message: `Processing PDF with ${pageCount} pages...` 
-      });
-
-      // Perform compression
-      const compressedBuffer = await pdfConverter.compress({
+      // Perform compression; the document is parsed once, and fails early when a password is needed
+      const { buffer: compressedBuffer, pageCount, images, cleanup } = await pdfConverter.compress({
         buffer,
         compressionLevel,
-        pageCount,
+        optimizations,
+        password,
+        protection,
         progressCallback: (progress, message) => {
-          this.broadcastProgress(wss, { progress: 20 + (progress * 0.7), message });
+          jobQueue.throwIfCancelled(signal);
+          this.sendProgress(jobId, { progress: 20 + (progress * 0.7), message });
         }
       });
 
-      this.broadcastProgress(wss, { progress: 90, message: 'Preparing download...' });
+      jobQueue.throwIfCancelled(signal);
+      this.sendProgress(jobId, { progress: 90, message: 'Preparing download...' });
 
       // Store compressed file for download
-      const downloadUrl = this.storeForDownload(compressedBuffer);
+      const downloadUrl = await this.storeForDownload(compressedBuffer, download);
 
       const compressedSize = compressedBuffer.length;
       const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(1);
 
-      this.broadcastProgress(wss, { progress: 100, message: 'Compression completed!' });
+      this.sendProgress(jobId, { progress: 100, message: 'Compression completed!' });
 
       return {
         downloadUrl,
         originalSize,
         compressedSize,
-        compressionRatio: compressionRatio + '%'
+        compressionRatio: compressionRatio + '%',
+        pageCount,
+        imagesRecompressed: images.recompressed,
+        imageBytesSaved: images.bytesSaved,
+        cleanup
       };
 
     } catch (error) {
-      this.broadcastProgress(wss, { progress: 0, message: 'Compression failed', error: error.message });
+      // Password errors carry a code the client can act on
+      if (error.code) throw error;
       throw new Error(`PDF compression failed: ${error.message}`);
     }
   }
 
   /**
-   * Broadcast progress update to all connected clients
-   * @param {WebSocket.Server} wss - WebSocket server
-   * @param {Object} data - Progress data
+   * Render PDF pages to images. A single page is returned as an image, several pages as a ZIP archive.
+   * @param {Object} options - Render options
+   * @param {Buffer} options.buffer - PDF buffer
+   * @param {string} options.outputFormat - Image format (png, jpg, webp)
+   * @param {number} options.dpi - Resolution in dots per inch
+   * @param {Array<Object>|null} options.pages - Parsed page ranges, null for all pages
+   * @param {string} options.compressionLevel - Compression level
+   * @param {string} options.password - Password of an encrypted PDF
+   * @param {string} options.jobId - Job ID for progress updates
+   * @param {AbortSignal} options.signal - Signal raised when the job is cancelled
+   * @param {Object} options.download - Download link options (ownerId, oneTime)
+   * @returns {Object} Render result with per-page sizes
    */
-  broadcastProgress(wss, data) {
-    if (wss && wss.clients) {
-      const message = JSON.stringify({
-        type: 'progress',
-        data
-      });
+  async renderPages({ buffer, outputFormat, dpi, pages, compressionLevel, password, jobId, signal, download }) {
+    try {
+      this.sendProgress(jobId, { progress: 10, message: 'Loading PDF...' });
+
+      const originalSize = buffer.length;
+      console.log(`Rendering PDF: ${originalSize} bytes to ${outputFormat} at ${dpi} DPI`);
 
-      wss.clients.forEach(client => {
-        if (client.readyState === 1) { // WebSocket.OPEN
-          client.send(message);
+      const { pageCount, pages: rendered } = await pdfRenderer.render({
+        buffer,
+        pages,
+        dpi,
+        outputFormat,
+        compressionLevel,
+        password,
+        progressCallback: (progress, message) => {
+          jobQueue.throwIfCancelled(signal);
+          this.sendProgress(jobId, { progress: 10 + (progress * 0.75), message });
         }
       });
+
+      jobQueue.throwIfCancelled(signal);
+
+      let downloadUrl;
+      let convertedSize;
+
+      if (rendered.length === 1) {
+        this.sendProgress(jobId, { progress: 90, message: 'Preparing download...' });
+
+        convertedSize = rendered[0].buffer.length;
+        downloadUrl = await this.storeForDownload(rendered[0].buffer, download, {
+          prefix: 'page',
+          extension: outputFormat,
+          mimeType: imageController.getMimeType(outputFormat),
+          originalName: `page-${rendered[0].pageNumber}.${outputFormat}`
+        });
+      } else {
+        this.sendProgress(jobId, { progress: 88, message: 'Creating ZIP archive...' });
+
+        const zipBuffer = await archiveBuilder.createZip(rendered.map(page => ({
+          name: `page-${page.pageNumber}.${outputFormat}`,
+          data: page.buffer
+        })));
+
+        jobQueue.throwIfCancelled(signal);
+        this.sendProgress(jobId, { progress: 95, message: 'Preparing download...' });
+
+        convertedSize = zipBuffer.length;
+        downloadUrl = await this.storeForDownload(zipBuffer, download, {
+          prefix: 'pages',
+          extension: 'zip',
+          mimeType: 'application/zip',
+          originalName: 'pdf_pages.zip'
+        });
+      }
+
+      this.sendProgress(jobId, { progress: 100, message: 'Rendering completed!' });
+
+      return {
+        downloadUrl,
+        outputFormat,
+        dpi,
+        pageCount,
+        pagesRendered: rendered.length,
+        pages: rendered.map(page => ({
+          pageNumber: page.pageNumber,
+          width: page.width,
+          height: page.height,
+          size: page.buffer.length
+        })),
+        originalSize,
+        convertedSize,
+        compressionRatio: ((originalSize - convertedSize) / originalSize * 100).toFixed(1) + '%'
+      };
+
+    } catch (error) {
+      if (error.code) throw error;
+      throw new Error(`PDF rendering failed: ${error.message}`);
     }
   }
 
   /**
-   * Store compressed file for download
-   * @param {Buffer} buffer - File buffer
-   * @returns {string} Download URL
+   * Run a page operation (merge, split, extract, delete, reorder, rotate)
+   * @param {Object} options - Operation options
+   * @param {string} options.operation - Page operation
+   * @param {Array<Buffer>} options.buffers - Input PDFs; only merge takes more than one
+   * @param {Object} options.options - Options normalized by pdfConverter.parsePageOperation
+   * @param {string} options.password - Password of encrypted inputs
+   * @param {Object} options.protection - Password protection for the output
+   * @param {string} options.jobId - Job ID for progress updates
+   * @param {AbortSignal} options.signal - Signal raised when the job is cancelled
+   * @param {Object} options.download - Download link options (ownerId, oneTime)
+   * @returns {Object} Operation result with per-part page lists
    */
-  storeForDownload(buffer) {
-    // Initialize global temp storage if not exists
-    if (!global.tempFiles) {
-      global.tempFiles = {};
-    }
+  async processPages({ operation, buffers, options, password, protection, jobId, signal, download }) {
+    try {
+      this.sendProgress(jobId, { progress: 5, message: 'Loading PDF...' });
+
+      const originalSize = buffers.reduce((total, buffer) => total + buffer.length, 0);
+      console.log(`PDF page operation: ${operation} on ${buffers.length} document(s), ${originalSize} bytes`);
+
+      const parts = await pdfConverter.applyPageOperation({
+        operation,
+        buffers,
+        options,
+        password,
+        protection,
+        progressCallback: (progress, message) => {
+          jobQueue.throwIfCancelled(signal);
+          this.sendProgress(jobId, { progress: 5 + (progress * 0.8), message });
+        }
+      });
+
+      jobQueue.throwIfCancelled(signal);
+
+      let downloadUrl;
+      let convertedSize;
 
-    const filename = `compressed_${Date.now()}.pdf`;
+      if (parts.length === 1) {
+        this.sendProgress(jobId, { progress: 90, message: 'Preparing download...' });
 
-    global.tempFiles[filename] = {
-      buffer,
-      mimeType: 'application/pdf',
-      originalName: 'compressed_document.pdf',
-      timestamp: Date.now()
-    };
+        convertedSize = parts[0].buffer.length;
+        downloadUrl = await this.storeForDownload(parts[0].buffer, download, {
+          prefix: operation,
+          originalName: `${operation}_document.pdf`
+        });
+      } else {
+        this.sendProgress(jobId, { progress: 88, message: 'Creating ZIP archive...' });
 
-    // Clean up old files (older than 10 minutes)
-    this.cleanupOldFiles();
+        const zipBuffer = await archiveBuilder.createZip(parts.map((part, i) => ({
+          name: this.getPartName(part, i),
+          data: part.buffer
+        })));
 
-    return `/api/convert/download/${filename}`;
+        jobQueue.throwIfCancelled(signal);
+        this.sendProgress(jobId, { progress: 95, message: 'Preparing download...' });
+
+        convertedSize = zipBuffer.length;
+        downloadUrl = await this.storeForDownload(zipBuffer, download, {
+          prefix: operation,
+          extension: 'zip',
+          mimeType: 'application/zip',
+          originalName: 'pdf_parts.zip'
+        });
+      }
+
+      this.sendProgress(jobId, { progress: 100, message: 'Page operation completed!' });
+
+      return {
+        downloadUrl,
+        operation,
+        documentCount: buffers.length,
+        partCount: parts.length,
+        parts: parts.map((part, i) => ({
+          name: parts.length > 1 ? this.getPartName(part, i) : `${operation}_document.pdf`,
+          pages: part.pages,
+          pageCount: part.pageCount,
+          size: part.buffer.length
+        })),
+        originalSize,
+        convertedSize
+      };
+
+    } catch (error) {
+      if (error.code) throw error;
+      throw new Error(`PDF page operation failed: ${error.message}`);
+    }
   }
 
   /**
-   * Clean up old temporary files
+   * Name a split part after the pages it holds, e.g. part-2-pages-4-6.pdf
+   * @param {Object} part - Output document (pages)
+   * @param {number} index - Zero-based part index
+   * @returns {string} File name inside the archive
    */
-  cleanupOldFiles() {
-    if (!global.tempFiles) return;
+  getPartName(part, index) {
+    const first = part.pages[0];
+    const last = part.pages[part.pages.length - 1];
+    const label = first === last ? `page-${first}` : `pages-${first}-${last}`;
 
-    const now = Date.now();
-    const maxAge = 10 * 60 * 1000; // 10 minutes
+    return `part-${index + 1}-${label}.pdf`;
+  }
 
-    Object.keys(global.tempFiles).forEach(filename => {
-      if (now - global.tempFiles[filename].timestamp > maxAge) {
-        delete global.tempFiles[filename];
-      }
+  /**
+   * Send progress update to the subscribers of a job
+   * @param {string} jobId - Job ID
+   * @param {Object} data - Progress data
+   */
+  sendProgress(jobId, data) {
+    progressHub.publish(jobId, 'progress', data);
+  }
+
+  /**
+   * Store compressed file (or rendered pages, or page operation output) for download
+   * @param {Buffer} buffer - File buffer
+   * @param {Object} download - Download link options (ownerId, oneTime)
+   * @param {Object} file - Stored file details (prefix, extension, mimeType, originalName)
+   * @returns {string} Signed download URL
+   */
+  async storeForDownload(buffer, download, file = {}) {
+    const {
+      prefix = 'compressed',
+      extension = 'pdf',
+      mimeType = 'application/pdf',
+      originalName = 'compressed_document.pdf'
+    } = file;
+
+    const filename = downloadSigner.createFilename(prefix, extension);
+
+    await storage.put(filename, buffer, {
+      mimeType,
+      originalName
     });
+
+    return downloadSigner.createUrl(filename, download);
   }
 }
 
@@ -1,3 +1,7 @@
+const tokenStore = require('../utils/tokenStore');
+const userStore = require('../utils/userStore');
+const roles = require('../config/roles');
+
 /**
  * Authentication middleware to ensure user is authenticated
  * @param {Object} req - Express request object
@@ -9,8 +13,8 @@ function ensureAuthenticated(req, res, next) {
     return next();
   }
   
-  // For API requests, return JSON error
-  if (req.path.startsWith('/api/')) {
+  // For API requests, return JSON error (req.path is relative to the router it is mounted on)
+  if (req.originalUrl.startsWith('/api/')) {
     return res.status(401).json({ 
       error: 'Authentication required',
       authRequired: true 
@@ -33,6 +37,179 @@ function optionalAuthentication(req, res, next) {
   next();
 }
 
+/**
+ * API token middleware - authenticates requests carrying an `Authorization: Bearer` token
+ * as the token's user. Requests without the header fall through to the session.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object  
+ * @param {Function} next - Express next function
+ */
+async function authenticateToken(req, res, next) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+  const access = scheme === 'Bearer' ? await tokenStore.verify(token) : null;
+  const user = access ? await userStore.get(access.userId) : null;
+
+  if (!user) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ 
+      error: 'Invalid or expired API token',
+      code: 'INVALID_TOKEN'
+    });
+  }
+
+  // The token replaces any session for this request
+  req.user = user;
+  req.authToken = { id: access.id, scopes: access.scopes };
+  next();
+}
+
+/**
+ * Create middleware that requires API tokens to carry a scope.
+ * Session users are not limited by scopes.
+ * @param {string} scope - Required scope (convert, history, admin)
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.authToken || req.authToken.scopes.includes(scope)) {
+      return next();
+    }
+
+    res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+    res.status(403).json({ 
+      error: `API token is missing the "${scope}" scope`,
+      code: 'INSUFFICIENT_SCOPE',
+      scope
+    });
+  };
+}
+
+/**
+ * Create the error for a user lacking a role: 401 when signed out, 403 when signed in
+ * @param {Object|null} user - req.user
+ * @param {string} requiredRole - Role the request needs
+ * @param {string} action - What was refused, for the error message
+ * @param {Object} details - Extra fields for the response (feature, limit)
+ * @returns {Error} Error with status, code (AUTH_REQUIRED or FORBIDDEN_ROLE) and response details
+ */
+function createRoleError(user, requiredRole, action, details = {}) {
+  const role = roles.getRole(user);
+  const signedOut = role === 'anonymous';
+
+  const error = new Error(signedOut ? `Sign in to use ${action}` : `Only ${requiredRole}s can use ${action}`);
+  error.status = signedOut ? 401 : 403;
+  error.code = signedOut ? 'AUTH_REQUIRED' : 'FORBIDDEN_ROLE';
+  error.details = { ...(signedOut && { authRequired: true }), role, requiredRole, ...details };
+  return error;
+}
+
+/**
+ * Check whether an error was created by createRoleError
+ * @param {Error} error - Error to check
+ * @returns {boolean} Whether the error refuses a request for its user's role
+ */
+function isRoleError(error) {
+  return Boolean(error && error.details && ['AUTH_REQUIRED', 'FORBIDDEN_ROLE'].includes(error.code));
+}
+
+/**
+ * Send a role error as the response
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error created by createRoleError
+ */
+function sendRoleError(res, error) {
+  res.status(error.status).json({ 
+    error: error.message,
+    code: error.code,
+    ...error.details
+  });
+}
+
+/**
+ * Answer a request whose user lacks a role: 401 when signed out, 403 when signed in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} requiredRole - Role the request needs
+ * @param {string} action - What was refused, for the error message
+ * @param {Object} details - Extra fields for the response (feature, limit)
+ */
+function denyRole(req, res, requiredRole, action, details = {}) {
+  sendRoleError(res, createRoleError(req.user, requiredRole, action, details));
+}
+
+/**
+ * Create middleware that requires the user to have a role (anonymous, user, admin).
+ * Roles are assigned by the allowlists in config/roles.js.
+ * @param {string} role - Required role
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (roles.hasRole(req.user, role)) {
+      return next();
+    }
+
+    denyRole(req, res, role, 'this feature');
+  };
+}
+
+// Descriptions of restrictable features, for error messages
+const FEATURE_DESCRIPTIONS = {
+  largeFiles: 'large file uploads',
+  batch: 'batch conversions',
+  pdf: 'PDF operations'
+};
+
+/**
+ * Create middleware that allows a feature only for the role set in its FEATURE_*_ROLE variable
+ * @param {string} feature - Feature name (batch, pdf)
+ * @returns {Function} Express middleware
+ */
+function requireFeature(feature) {
+  return (req, res, next) => {
+    const role = roles.getFeatureRole(feature);
+    if (roles.hasRole(req.user, role)) {
+      return next();
+    }
+
+    denyRole(req, res, role, FEATURE_DESCRIPTIONS[feature], { feature });
+  };
+}
+
+/**
+ * Middleware limiting uploads to LARGE_FILE_MB unless the user may use large files.
+ * A larger Content-Length is refused before the body is read. Otherwise, and for chunked bodies
+ * of unknown length, the limit is left in req.uploadLimit for the upload readers to enforce
+ * on the bytes they read (see middleware/upload.js).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function restrictLargeUploads(req, res, next) {
+  const role = roles.getFeatureRole('largeFiles');
+  if (req.method !== 'POST' || roles.hasRole(req.user, role)) {
+    return next();
+  }
+
+  const error = createRoleError(req.user, role, `uploads over ${Math.round(roles.LARGE_FILE_SIZE / (1024 * 1024))}MB`, {
+    feature: 'largeFiles',
+    limit: roles.LARGE_FILE_SIZE
+  });
+
+  const length = parseInt(req.get('Content-Length'), 10);
+  if (length > roles.LARGE_FILE_SIZE) {
+    return sendRoleError(res, error);
+  }
+
+  req.uploadLimit = { size: roles.LARGE_FILE_SIZE, error };
+  next();
+}
+
 /**
  * Middleware to add user context to all requests
  * @param {Object} req - Express request object
@@ -75,6 +252,13 @@ function bypassAuthInDev(req, res, next) {
 module.exports = {
   ensureAuthenticated,
   optionalAuthentication,
+  authenticateToken,
+  requireScope,
+  requireRole,
+  requireFeature,
+  restrictLargeUploads,
+  isRoleError,
+  sendRoleError,
   addUserContext,
   bypassAuthInDev
 };
\ No newline at end of file
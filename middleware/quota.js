@@ -0,0 +1,50 @@
+const usageTracker = require('../utils/usageTracker');
+
+// Human readable names of the quotas, for error messages
+const QUOTA_NAMES = {
+  conversions: 'conversion',
+  bytesIn: 'upload volume',
+  cpuMs: 'processing time'
+};
+
+/**
+ * Quota middleware for conversion requests.
+ * Refuses new conversions once the daily quota of the user (or anonymous IP) is used up,
+ * and remembers who to charge in req.usageKey. Usage itself is recorded by the job queue.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function enforceQuota(req, res, next) {
+  if (req.method !== 'POST') {
+    return next();
+  }
+
+  req.usageKey = usageTracker.getKey(req);
+
+  const exceeded = usageTracker.checkQuota(req.usageKey, {
+    bytesIn: parseInt(req.get('Content-Length'), 10) || 0
+  });
+
+  if (!exceeded) {
+    return next();
+  }
+
+  const resetAt = usageTracker.getResetTime();
+  res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+
+  res.status(429).json({
+    error: `Daily ${QUOTA_NAMES[exceeded.quota]} quota reached` +
+      (req.user ? '' : '. Sign in for a higher allowance'),
+    code: 'QUOTA_EXCEEDED',
+    quota: exceeded.quota,
+    limit: exceeded.limit,
+    used: exceeded.used,
+    resetAt: new Date(resetAt).toISOString(),
+    authenticated: Boolean(req.user)
+  });
+}
+
+module.exports = {
+  enforceQuota
+};
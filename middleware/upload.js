@@ -0,0 +1,337 @@
+const express = require('express');
+const multer = require('multer');
+const busboy = require('busboy');
+const fileValidator = require('../utils/fileValidator');
+
+// Supported file types
+const SUPPORTED_IMAGE_TYPES = [
+  'image/jpeg', 'image/jpg', 'image/png', 'image/webp', 
+  'image/bmp', 'image/gif', 'image/tiff', 'image/heic',
+  'image/heif', 'image/avif', 'image/jxl'
+];
+const SUPPORTED_PDF_TYPES = ['application/pdf'];
+const ALL_SUPPORTED_TYPES = [...SUPPORTED_IMAGE_TYPES, ...SUPPORTED_PDF_TYPES];
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB limit
+
+// Raw binary request bodies are accepted with these content types
+const RAW_BODY_TYPES = [...ALL_SUPPORTED_TYPES, 'application/octet-stream'];
+
+/**
+ * Get the JSON body limit for legacy base64 uploads of files up to a size
+ * @param {number} fileSize - Largest file size in bytes
+ * @returns {number} Body limit in bytes; base64 adds about a third on top of the file size
+ */
+function getLegacyJsonLimit(fileSize) {
+  return Math.ceil(fileSize * 4 / 3) + 1024 * 1024;
+}
+
+// Room for multipart boundaries, part headers and form fields on top of the file data
+const MULTIPART_OVERHEAD = 1024 * 1024;
+
+/**
+ * Create an error for uploads over their total size limit
+ * @param {number} maxTotalSize - Limit in bytes
+ * @returns {Error} Error with HTTP status 413
+ */
+function createTotalSizeError(maxTotalSize) {
+  const error = new Error(`Upload too large. Maximum total size is ${maxTotalSize / 1024 / 1024}MB.`);
+  error.status = 413;
+  return error;
+}
+
+/**
+ * Get the largest file a request may upload: MAX_FILE_SIZE, or the lower limit
+ * restrictLargeUploads sets for users who may not upload large files
+ * @param {Object} req - Express request object
+ * @returns {number} Limit in bytes
+ */
+function getUploadLimit(req) {
+  return req.uploadLimit ? Math.min(req.uploadLimit.size, MAX_FILE_SIZE) : MAX_FILE_SIZE;
+}
+
+/**
+ * Get the error for uploads over the limit restrictLargeUploads set for the request's user
+ * @param {Object} req - Express request object
+ * @returns {Error|null} Role error, or null when the request may upload MAX_FILE_SIZE
+ */
+function getUploadLimitError(req) {
+  return req.uploadLimit && req.uploadLimit.size < MAX_FILE_SIZE ? req.uploadLimit.error : null;
+}
+
+/**
+ * Multer storage engine keeping files in memory, like multer.memoryStorage(),
+ * that stops reading once all files of a request together exceed a total size,
+ * or the limit restrictLargeUploads set for the request's user
+ * @param {number|null} maxTotalSize - Limit on the bytes of all files of a request, or null for none
+ * @returns {Object} Multer storage engine
+ */
+function createMemoryStorage(maxTotalSize) {
+  return {
+    _handleFile(req, file, cb) {
+      const chunks = [];
+      let size = 0;
+      let failed = false;
+
+      file.stream.on('data', (chunk) => {
+        if (failed) return;
+
+        size += chunk.length;
+        req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+
+        if (maxTotalSize && req.uploadedBytes > maxTotalSize) {
+          failed = true;
+          chunks.length = 0;
+          return cb(createTotalSizeError(maxTotalSize));
+        }
+
+        const limitError = getUploadLimitError(req);
+        if (limitError && req.uploadedBytes > req.uploadLimit.size) {
+          failed = true;
+          chunks.length = 0;
+          return cb(limitError);
+        }
+
+        chunks.push(chunk);
+      });
+
+      file.stream.on('error', (error) => {
+        if (failed) return;
+        failed = true;
+        cb(error);
+      });
+
+      file.stream.on('end', () => {
+        if (failed) return;
+        cb(null, { buffer: Buffer.concat(chunks), size });
+      });
+    },
+
+    _removeFile(req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    }
+  };
+}
+
+/**
+ * Create middleware that refuses requests whose Content-Length already exceeds an upload's
+ * total size limit, before anything is read
+ * @param {number} maxTotalSize - Limit on the bytes of all files of a request
+ * @returns {Function} Express middleware
+ */
+function rejectOversizedBody(maxTotalSize) {
+  return (req, res, next) => {
+    const length = parseInt(req.get('Content-Length'), 10);
+
+    if (length > maxTotalSize + MULTIPART_OVERHEAD) {
+      return next(createTotalSizeError(maxTotalSize));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Create a multer instance with in-memory storage and file type filtering.
+ * The declared type only pre-filters uploads; validateUploads checks the actual content.
+ * @param {Object} options - Upload options
+ * @param {number} options.files - Maximum number of files per request
+ * @param {number|null} options.maxTotalSize - Maximum bytes of all files of a request together
+ * @returns {multer.Multer} Multer instance
+ */
+function createUpload({ files = 1, maxTotalSize = null } = {}) {
+  return multer({
+    storage: createMemoryStorage(maxTotalSize),
+    limits: {
+      fileSize: MAX_FILE_SIZE,
+      files
+    },
+    fileFilter: (req, file, cb) => {
+      if (RAW_BODY_TYPES.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(fileValidator.createError(415, 'UNSUPPORTED_TYPE', 'declared-type',
+          `Unsupported file type: ${file.mimetype}. Supported types: Images (jpg, jpeg, png, webp, bmp, gif, tiff, heic, heif, avif, jxl) and PDF files.`,
+          { file: file.originalname, declaredType: file.mimetype }), false);
+      }
+    }
+  });
+}
+
+/**
+ * Create middleware running a body parser sized to the request's upload limit (see getUploadLimit).
+ * Bodies over a limit set by restrictLargeUploads fail with its role error rather than a 413.
+ * @param {Function} createParser - Creates the body parser for a file size limit in bytes
+ * @returns {Function} Express middleware
+ */
+function limitedBodyParser(createParser) {
+  // One parser per limit in use; there are at most two
+  const parsers = new Map();
+
+  return (req, res, next) => {
+    const limit = getUploadLimit(req);
+    if (!parsers.has(limit)) {
+      parsers.set(limit, createParser(limit));
+    }
+
+    parsers.get(limit)(req, res, (error) => {
+      if (error && error.type === 'entity.too.large' && getUploadLimitError(req)) {
+        return next(getUploadLimitError(req));
+      }
+      next(error);
+    });
+  };
+}
+
+/**
+ * Middleware chain accepting a single file as multipart/form-data (field "file"),
+ * as a raw binary body, or as legacy base64 JSON (fileData).
+ * Each of them buffers the whole file in memory; getFileStream is the streaming alternative.
+ */
+const conversionInput = [
+  createUpload({ files: 1 }).single('file'),
+  limitedBodyParser(limit => express.raw({ type: RAW_BODY_TYPES, limit })),
+  limitedBodyParser(limit => express.json({ limit: getLegacyJsonLimit(limit) }))
+];
+
+/**
+ * Create middleware that checks every uploaded file by content (see utils/fileValidator).
+ * Runs after multer or conversionInput; files that pass get their detected MIME type,
+ * so later handlers can trust `file.mimetype`.
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.accept - Accepted kinds of file (image, pdf)
+ * @returns {Function} Express middleware
+ */
+function validateUploads({ accept = ['image', 'pdf'] } = {}) {
+  return async (req, res, next) => {
+    const files = req.files || (req.file ? [req.file] : []);
+
+    for (const file of files) {
+      const detected = await fileValidator.validate(file.buffer, {
+        name: file.originalname,
+        declaredType: file.mimetype,
+        accept
+      });
+      file.mimetype = detected.mimeType;
+    }
+
+    // Raw and base64 bodies of conversionInput
+    if (files.length === 0) {
+      const { buffer, source } = getConversionInput(req);
+      if (buffer) {
+        req.fileType = await fileValidator.validate(buffer, {
+          declaredType: source === 'raw' ? req.get('Content-Type') : undefined,
+          accept
+        });
+      }
+    }
+
+    next();
+  };
+}
+
+/**
+ * Get the uploaded file and conversion options from a request parsed by conversionInput.
+ * Raw binary bodies carry their options in the query string.
+ * @param {Object} req - Express request object
+ * @returns {Object} File buffer (or null), options and input source
+ */
+function getConversionInput(req) {
+  // Base64 bodies are decoded once, on the first call
+  if (!req.conversionInput) {
+    req.conversionInput = readConversionInput(req);
+  }
+
+  return req.conversionInput;
+}
+
+/**
+ * Read the file and options of a request parsed by conversionInput
+ * @param {Object} req - Express request object
+ * @returns {Object} File buffer (or null), options and input source
+ */
+function readConversionInput(req) {
+  if (req.file) {
+    return { buffer: req.file.buffer, options: req.body || {}, source: 'multipart' };
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    return { buffer: req.body, options: req.query, source: 'raw' };
+  }
+
+  const options = { ...req.query, ...(req.body || {}) };
+
+  if (typeof options.fileData === 'string') {
+    return { buffer: Buffer.from(options.fileData, 'base64'), options, source: 'base64' };
+  }
+
+  return { buffer: null, options, source: null };
+}
+
+/**
+ * Get a readable stream of the uploaded file without buffering it.
+ * Multipart requests yield the first file part; any other body is streamed as is.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} File stream, MIME type and file name
+ */
+function getFileStream(req) {
+  if (!req.is('multipart/form-data')) {
+    return Promise.resolve({
+      stream: req,
+      mimeType: req.get('Content-Type') || 'application/octet-stream',
+      filename: null
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: getUploadLimit(req) } });
+    let found = false;
+
+    parser.on('file', (name, stream, info) => {
+      if (found) return stream.resume();
+      found = true;
+
+      stream.on('limit', () => {
+        stream.destroy(getUploadLimitError(req) || new Error('File too large. Maximum size is 50MB.'));
+      });
+
+      resolve({ stream, mimeType: info.mimeType, filename: info.filename });
+    });
+
+    parser.on('error', reject);
+    parser.on('close', () => {
+      if (!found) reject(new Error('No file uploaded'));
+    });
+
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Parse an option that may arrive as a JSON string (multipart fields, query parameters)
+ * @param {*} value - Option value
+ * @returns {*} Parsed value
+ * @throws {Error} If the string is not valid JSON
+ */
+function parseJsonOption(value) {
+  if (typeof value !== 'string') return value;
+  return JSON.parse(value);
+}
+
+module.exports = {
+  SUPPORTED_IMAGE_TYPES,
+  SUPPORTED_PDF_TYPES,
+  ALL_SUPPORTED_TYPES,
+  RAW_BODY_TYPES,
+  MAX_FILE_SIZE,
+  createUpload,
+  rejectOversizedBody,
+  getUploadLimit,
+  getUploadLimitError,
+  conversionInput,
+  getConversionInput,
+  getFileStream,
+  parseJsonOption,
+  validateUploads
+};
@@ -0,0 +1,263 @@
+class AdminDashboard {
+  constructor() {
+    this.ws = null;
+    this.authorized = false;
+    this.init();
+  }
+
+  /**
+   * Initialize the dashboard
+   */
+  async init() {
+    this.setupTheme();
+    document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
+
+    // The first snapshot comes over HTTP, which also tells whether the user is an admin
+    if (await this.loadStats()) {
+      this.setupWebSocket();
+    }
+  }
+
+  /**
+   * Load a statistics snapshot
+   * @returns {Promise<boolean>} Whether the user may see the dashboard
+   */
+  async loadStats() {
+    try {
+      const response = await fetch('/api/admin/stats', {
+        credentials: 'include'
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        this.showError(response.status === 401
+          ? 'Sign in with an admin account to see the server dashboard.'
+          : result.error || 'Failed to load server statistics');
+        return false;
+      }
+
+      this.authorized = true;
+      this.render(result);
+      return true;
+    } catch (error) {
+      console.error('Failed to load server statistics:', error);
+      this.showError('Failed to load server statistics');
+      return false;
+    }
+  }
+
+  /**
+   * Follow live statistics over WebSocket, reconnecting when the connection drops
+   */
+  setupWebSocket() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const wsUrl = `${protocol}//${window.location.host}`;
+
+    try {
+      this.ws = new WebSocket(wsUrl);
+
+      this.ws.onopen = () => {
+        this.ws.send(JSON.stringify({ type: 'subscribe-stats' }));
+      };
+
+      this.ws.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+
+          if (data.type === 'stats-subscribed') {
+            this.setStatus('Live', true);
+          } else if (data.type === 'stats') {
+            this.render(data.data);
+          } else if (data.type === 'error') {
+            // Admin rights were lost, e.g. after signing out in another tab
+            this.authorized = false;
+            this.showError(data.error);
+          }
+        } catch (error) {
+          console.error('Error parsing WebSocket message:', error);
+        }
+      };
+
+      this.ws.onclose = () => {
+        if (!this.authorized) return;
+
+        this.setStatus('Reconnecting...', false);
+        setTimeout(() => this.setupWebSocket(), 3000);
+      };
+
+      this.ws.onerror = (error) => {
+        console.error('WebSocket error:', error);
+      };
+    } catch (error) {
+      console.error('Failed to setup WebSocket:', error);
+    }
+  }
+
+  /**
+   * Show a statistics snapshot
+   * @param {Object} stats - Snapshot from /api/admin/stats
+   */
+  render(stats) {
+    const { websocket, jobs, storage, memory } = stats;
+
+    document.getElementById('adminSection').style.display = 'block';
+    document.getElementById('errorSection').style.display = 'none';
+
+    this.setText('statConnections', websocket.connections);
+    this.setText('statFollowedJobs', `${websocket.followedJobs} jobs followed`);
+    this.setText('statInFlight', jobs.queued + jobs.running);
+    this.setText('statQueue', `${jobs.running} running, ${jobs.queued} queued (${jobs.concurrency} at once)`);
+    this.setText('statCompleted', jobs.completed);
+    this.setText('statCancelled', `${jobs.cancelled} cancelled`);
+    this.setText('statFailed', jobs.failed);
+    this.setText('statFailureRate', `${this.formatRate(jobs.failureRate)} failure rate`);
+    this.setText('statStorage', this.formatFileSize(storage.bytes));
+    this.setText('statStorageFiles', `${storage.files} files in ${storage.backend} storage` +
+      (storage.maxBytes ? ` (of ${this.formatFileSize(storage.maxBytes)})` : ''));
+    this.setText('statUptime', this.formatDuration(stats.uptimeSeconds * 1000));
+    this.setText('statMemory', `${this.formatFileSize(memory.rss)} memory`);
+
+    this.renderRows('formatsBody', 'formatsEmpty', 'formatsTable', jobs.formats, format => [
+      format.format,
+      format.completed,
+      format.failed,
+      this.formatRate(format.failureRate),
+      format.averageDurationMs === null ? '-' : this.formatDuration(format.averageDurationMs)
+    ]);
+
+    this.renderRows('usersBody', 'usersEmpty', 'usersTable', stats.topUsers, user => [
+      user.username ? `${user.displayName || user.username} (@${user.username})` : user.id,
+      user.usage.conversions,
+      this.formatFileSize(user.usage.bytesIn),
+      this.formatFileSize(user.usage.bytesOut),
+      this.formatDuration(user.usage.cpuMs)
+    ]);
+  }
+
+  /**
+   * Fill a table body, or show its empty message when there are no rows
+   * @param {string} bodyId - Table body element ID
+   * @param {string} emptyId - Empty message element ID
+   * @param {string} tableId - Table element ID
+   * @param {Array<Object>} items - Items to show
+   * @param {Function} toCells - Maps an item to its cell texts
+   */
+  renderRows(bodyId, emptyId, tableId, items, toCells) {
+    const body = document.getElementById(bodyId);
+    body.innerHTML = '';
+
+    document.getElementById(emptyId).style.display = items.length ? 'none' : 'block';
+    document.getElementById(tableId).style.display = items.length ? '' : 'none';
+
+    items.forEach(item => {
+      const row = document.createElement('tr');
+      toCells(item).forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+  }
+
+  /**
+   * Set the text of an element
+   * @param {string} id - Element ID
+   * @param {*} value - Text to show
+   */
+  setText(id, value) {
+    document.getElementById(id).textContent = value;
+  }
+
+  /**
+   * Show the connection status
+   * @param {string} text - Status text
+   * @param {boolean} live - Whether updates are arriving
+   */
+  setStatus(text, live) {
+    const status = document.getElementById('adminStatus');
+    status.textContent = text;
+    status.classList.toggle('live', live);
+  }
+
+  /**
+   * Show an error instead of the dashboard
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    document.getElementById('adminSection').style.display = 'none';
+    document.getElementById('errorSection').style.display = 'block';
+    document.getElementById('errorMessage').textContent = message;
+    this.setStatus('Not connected', false);
+  }
+
+  /**
+   * Format a failure rate
+   * @param {number|null} rate - Rate from 0 to 1, or null when nothing finished
+   * @returns {string} Percentage
+   */
+  formatRate(rate) {
+    return rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * Format a duration
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Formatted duration
+   */
+  formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)} s`;
+    if (ms < 60 * 60 * 1000) return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+    return `${Math.floor(ms / 3600000)} h ${Math.floor((ms % 3600000) / 60000)} min`;
+  }
+
+  /**
+   * Format file size in human readable format
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Formatted size
+   */
+  formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  /**
+   * Setup theme from the choice saved by the converter page
+   */
+  setupTheme() {
+    const savedTheme = localStorage.getItem('theme') || 'light';
+    document.documentElement.setAttribute('data-theme', savedTheme);
+    this.updateThemeToggle(savedTheme);
+  }
+
+  /**
+   * Toggle theme between light and dark
+   */
+  toggleTheme() {
+    const currentTheme = document.documentElement.getAttribute('data-theme');
+    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+
+    document.documentElement.setAttribute('data-theme', newTheme);
+    localStorage.setItem('theme', newTheme);
+    this.updateThemeToggle(newTheme);
+  }
+
+  /**
+   * Update theme toggle button
+   */
+  updateThemeToggle(theme) {
+    const themeToggle = document.getElementById('themeToggle');
+    themeToggle.textContent = theme === 'dark' ? '☀️' : '🌙';
+  }
+}
+
+// Initialize the dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new AdminDashboard();
+});
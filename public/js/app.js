@@ -1,8 +1,18 @@
 class FileConverter {
   constructor() {
     this.uploadedFile = null;
+    this.batchFiles = null;
     this.ws = null;
+    this.job = null;
     this.user = null;
+    this.providers = [];
+    this.history = [];
+    this.rerunEntry = null;
+    this.targetSizeFormats = ['jpg', 'jpeg', 'webp', 'avif'];
+    this.outputFormats = {
+      images: ['jpg', 'png', 'webp', 'gif', 'tiff', 'pdf'],
+      pdf: ['pdf']
+    };
     this.init();
   }
 
@@ -13,7 +23,9 @@ class FileConverter {
     this.setupEventListeners();
     this.setupWebSocket();
     this.setupTheme();
+    this.loadLoginProviders();
     this.checkAuthStatus();
+    this.loadOutputFormats();
     this.handleAuthCallback();
     console.log('File Converter initialized');
   }
@@ -34,6 +46,8 @@ class FileConverter {
 
     // Conversion button
     document.getElementById('convertBtn').addEventListener('click', this.startConversion.bind(this));
+    document.getElementById('cancelBtn').addEventListener('click', this.cancelJob.bind(this));
+    document.getElementById('outputFormat').addEventListener('change', this.updateFormatOptions.bind(this));
 
     // Download and retry buttons
     document.getElementById('downloadBtn').addEventListener('click', this.downloadFile.bind(this));
@@ -45,6 +59,10 @@ class FileConverter {
 
     // Authentication events
     document.getElementById('logoutBtn').addEventListener('click', this.logout.bind(this));
+
+    // History events
+    document.getElementById('historyClearBtn').addEventListener('click', this.clearHistory.bind(this));
+    document.getElementById('historyFileInput').addEventListener('change', this.handleRerunFiles.bind(this));
   }
 
   /**
@@ -59,13 +77,39 @@ class FileConverter {
       
       this.ws.onopen = () => {
         console.log('WebSocket connected');
+        // Resubscribe to the current job after a reconnect; the replayed event replaces polling
+        if (this.job) {
+          this.stopPolling(this.job);
+          this.subscribeToJob(this.job);
+        }
       };
       
       this.ws.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
+
+          // Ignore events for jobs other than the current one
+          if (!this.job || data.jobId !== this.job.jobId) {
+            if (data.type === 'error' && data.error) {
+              console.error('WebSocket error:', data.error);
+            }
+            return;
+          }
+
+          // The hub no longer knows the job (expired, or the server restarted): ask for its status once
+          if (data.type === 'error' && !data.data) {
+            this.checkJobStatus(this.job);
+            return;
+          }
+
           if (data.type === 'progress') {
             this.updateProgress(data.data);
+          } else if (data.type === 'complete') {
+            this.settleJob({ status: 'completed', result: data.data });
+          } else if (data.type === 'error') {
+            this.settleJob({ status: 'failed', error: data.data.error });
+          } else if (data.type === 'cancelled') {
+            this.settleJob({ status: 'cancelled' });
           }
         } catch (error) {
           console.error('Error parsing WebSocket message:', error);
@@ -74,6 +118,9 @@ class FileConverter {
       
       this.ws.onclose = () => {
         console.log('WebSocket disconnected');
+        if (this.job) {
+          this.startPolling(this.job);
+        }
         // Try to reconnect after 3 seconds
         setTimeout(() => this.setupWebSocket(), 3000);
       };
@@ -86,6 +133,165 @@ class FileConverter {
     }
   }
 
+  /**
+   * Submit a conversion request and subscribe to the queued job
+   * @param {string} endpoint - Conversion endpoint
+   * @param {Object|FormData} payload - Request payload, sent as JSON unless it is form data
+   * @returns {Object} Job ID and token
+   */
+  async submitJob(endpoint, payload) {
+    const isFormData = payload instanceof FormData;
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      credentials: 'include',
+      headers: isFormData ? {} : {
+        'Content-Type': 'application/json'
+      },
+      body: isFormData ? payload : JSON.stringify(payload)
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Conversion failed');
+    }
+
+    this.job = { jobId: result.jobId, token: result.token };
+    this.subscribeToJob(this.job);
+
+    return this.job;
+  }
+
+  /**
+   * Wait for a job to finish, using WebSocket events with status polling as fallback
+   * @param {Object} job - Job ID and token
+   * @returns {Promise<Object>} Job result
+   */
+  waitForJob(job) {
+    return new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        this.startPolling(job);
+      }
+    });
+  }
+
+  /**
+   * Poll the status of a job while the WebSocket is down, backing off from 2 to 30 seconds
+   * so long jobs stay well within the request rate limit
+   * @param {Object} job - Job ID and token
+   * @param {number} delay - Delay before the next poll in milliseconds
+   */
+  startPolling(job, delay = 2000) {
+    if (job.pollTimer || !job.resolve) return;
+
+    const timer = setTimeout(async () => {
+      await this.checkJobStatus(job);
+
+      // Polling was stopped or restarted while the request was pending
+      if (job.pollTimer !== timer) return;
+      job.pollTimer = null;
+
+      if (job.resolve && (!this.ws || this.ws.readyState !== WebSocket.OPEN)) {
+        this.startPolling(job, Math.min(delay * 2, 30000));
+      }
+    }, delay);
+    job.pollTimer = timer;
+  }
+
+  /**
+   * Stop polling the status of a job
+   * @param {Object} job - Job ID and token
+   */
+  stopPolling(job) {
+    clearTimeout(job.pollTimer);
+    job.pollTimer = null;
+  }
+
+  /**
+   * Fetch the status of a job and settle it if it has finished.
+   * Jobs the server no longer knows are settled as failed.
+   * @param {Object} job - Job ID and token
+   */
+  async checkJobStatus(job) {
+    try {
+      const response = await fetch(`/api/jobs/${job.jobId}`, {
+        credentials: 'include',
+        headers: { 'X-Job-Token': job.token }
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        this.settleJob(result.job, job);
+      } else if (response.status === 403 || response.status === 404) {
+        this.settleJob({ status: 'failed', error: result.error }, job);
+      }
+    } catch (error) {
+      console.error('Job status polling error:', error);
+    }
+  }
+
+  /**
+   * Resolve or reject the pending job once it has finished
+   * @param {Object} status - Job status (status, result, error)
+   * @param {Object} job - Job to settle, defaults to the current job
+   */
+  settleJob(status, job = this.job) {
+    if (!job || !job.resolve || !['completed', 'failed', 'cancelled'].includes(status.status)) {
+      return;
+    }
+
+    this.stopPolling(job);
+    const { resolve, reject } = job;
+    job.resolve = job.reject = null;
+
+    // A finished job is not resubscribed after a reconnect
+    if (this.job === job) {
+      this.job = null;
+    }
+
+    if (status.status === 'completed') {
+      resolve(status.result);
+    } else if (status.status === 'cancelled') {
+      reject(new Error('Conversion cancelled'));
+    } else {
+      reject(new Error(status.error || 'Conversion failed'));
+    }
+  }
+
+  /**
+   * Cancel the current job
+   */
+  async cancelJob() {
+    if (!this.job) return;
+
+    try {
+      await fetch(`/api/jobs/${this.job.jobId}`, {
+        method: 'DELETE',
+        credentials: 'include',
+        headers: { 'X-Job-Token': this.job.token }
+      });
+    } catch (error) {
+      console.error('Cancel error:', error);
+    }
+  }
+
+  /**
+   * Subscribe to progress updates for a job
+   * @param {Object} job - Job ID and token
+   */
+  subscribeToJob(job) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({
+        type: 'subscribe',
+        jobId: job.jobId,
+        token: job.token
+      }));
+    }
+  }
+
   /**
    * Setup theme functionality
    */
@@ -142,7 +348,9 @@ class FileConverter {
     document.getElementById('uploadArea').classList.remove('dragover');
     
     const files = e.dataTransfer.files;
-    if (files.length > 0) {
+    if (files.length > 1) {
+      this.processBatch(files);
+    } else if (files.length > 0) {
       this.processFile(files[0]);
     }
   }
@@ -152,7 +360,9 @@ class FileConverter {
    */
   handleFileSelect(e) {
     const files = e.target.files;
-    if (files.length > 0) {
+    if (files.length > 1) {
+      this.processBatch(files);
+    } else if (files.length > 0) {
       this.processFile(files[0]);
     }
   }
@@ -170,11 +380,11 @@ class FileConverter {
 
       this.showLoading(true);
 
-      // Upload file
+      // Upload and analyze the file
       const formData = new FormData();
       formData.append('file', file);
 
-      const response = await fetch('/api/upload/file', {
+      const response = await fetch('/api/upload/analyze', {
         method: 'POST',
         body: formData
       });
@@ -189,8 +399,11 @@ class FileConverter {
         ...result.fileInfo,
         buffer: file
       };
+      this.batchFiles = null;
+      document.getElementById('batchFileList').style.display = 'none';
 
       this.showFileInfo(result.fileInfo);
+      this.showFileAnalysis(result.analysis);
       this.showConversionOptions(result.fileInfo);
 
     } catch (error) {
@@ -201,6 +414,89 @@ class FileConverter {
     }
   }
 
+  /**
+   * Prepare several files for batch conversion
+   */
+  processBatch(fileList) {
+    const files = Array.from(fileList);
+
+    if (files.length > 50) {
+      this.showError('You can convert up to 50 files at once');
+      return;
+    }
+
+    const oversized = files.find(file => file.size > 50 * 1024 * 1024);
+    if (oversized) {
+      this.showError(`${oversized.name} exceeds the 50MB limit`);
+      return;
+    }
+
+    this.uploadedFile = null;
+    this.batchFiles = files;
+
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    const firstImage = files.find(file => file.type.startsWith('image/'));
+
+    this.showFileInfo({
+      originalName: `${files.length} files`,
+      mimeType: 'Batch',
+      size: totalSize
+    });
+    this.showFileAnalysis(null);
+    this.renderBatchList(files);
+    this.showConversionOptions({
+      isImage: Boolean(firstImage),
+      mimeType: firstImage ? firstImage.type : 'application/pdf'
+    });
+  }
+
+  /**
+   * Render the list of files in a batch
+   */
+  renderBatchList(files) {
+    const list = document.getElementById('batchFileList');
+    list.innerHTML = '';
+
+    files.forEach((file, index) => {
+      const item = document.createElement('li');
+      item.id = `batchFile-${index}`;
+      item.className = 'batch-file';
+
+      const name = document.createElement('span');
+      name.className = 'batch-file-name';
+      name.textContent = file.name;
+
+      const status = document.createElement('span');
+      status.className = 'batch-file-status';
+      status.textContent = this.formatFileSize(file.size);
+
+      item.append(name, status);
+      list.appendChild(item);
+    });
+
+    list.style.display = 'block';
+  }
+
+  /**
+   * Update the status of a single file in the batch list
+   */
+  updateBatchFile(file) {
+    const item = document.getElementById(`batchFile-${file.index}`);
+    if (!item) return;
+
+    const status = item.querySelector('.batch-file-status');
+    item.className = `batch-file batch-file-${file.status}`;
+
+    if (file.status === 'processing') {
+      status.textContent = `${Math.round(file.progress)}%`;
+    } else if (file.status === 'converted') {
+      status.textContent = '✓';
+    } else if (file.status === 'failed') {
+      status.textContent = '✗';
+      status.title = file.error || 'Conversion failed';
+    }
+  }
+
   /**
    * Show file information
    */
@@ -212,16 +508,100 @@ class FileConverter {
     this.showSection('fileInfoSection');
   }
 
+  /**
+   * Show the format-specific details of an analyzed file
+   * @param {Object|null} analysis - Analysis from /api/upload/analyze, or null to hide the details
+   */
+  showFileAnalysis(analysis) {
+    const container = document.getElementById('fileAnalysis');
+    container.innerHTML = '';
+
+    if (!analysis) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const rows = analysis.type === 'pdf' ? this.getPDFDetails(analysis) : this.getImageDetails(analysis);
+
+    rows.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+      const row = document.createElement('p');
+      const name = document.createElement('strong');
+      name.textContent = `${label}:`;
+      row.append(name, ` ${value}`);
+      container.appendChild(row);
+    });
+
+    container.style.display = 'block';
+  }
+
+  /**
+   * Describe an analyzed image as label/value rows
+   */
+  getImageDetails(info) {
+    const metadata = [
+      info.hasExif && 'EXIF',
+      info.hasIccProfile && 'ICC profile',
+      info.hasXmp && 'XMP',
+      info.hasIptc && 'IPTC'
+    ].filter(Boolean);
+
+    let dimensions = `${info.width} × ${info.height} px`;
+    if (info.displayWidth !== info.width || info.displayHeight !== info.height) {
+      dimensions += ` (shown as ${info.displayWidth} × ${info.displayHeight})`;
+    }
+
+    return [
+      ['Format', info.format ? info.format.toUpperCase() : null],
+      ['Dimensions', dimensions],
+      ['Color', [info.colorSpace, info.bitDepth && `${info.bitDepth}-bit`, `${info.channels} channels`, info.hasAlpha && 'alpha'].filter(Boolean).join(', ')],
+      ['Orientation', info.orientation !== 1 ? `EXIF ${info.orientation}` : null],
+      ['Metadata', metadata.length ? metadata.join(', ') : 'None'],
+      ['Frames', info.animated ? `${info.frames}${info.duration ? `, ${(info.duration / 1000).toFixed(1)}s` : ''}` : null]
+    ];
+  }
+
+  /**
+   * Describe an analyzed PDF as label/value rows
+   */
+  getPDFDetails(info) {
+    const sizes = info.pageSizes
+      .map(size => `${Math.round(size.width)} × ${Math.round(size.height)} pt${size.rotation ? ` (rotated ${size.rotation}°)` : ''}${info.pageSizes.length > 1 ? ` – ${size.pages} pages` : ''}`)
+      .join('; ');
+
+    const embedded = info.fonts.filter(font => font.embedded).length;
+
+    let encryption = 'None';
+    if (info.passwordRequired) {
+      encryption = 'Password protected – enter the password below';
+    } else if (info.encrypted) {
+      encryption = 'Encrypted (opened without a password)';
+    }
+
+    return [
+      ['Pages', info.pageCount],
+      ['Page size', sizes],
+      ['PDF version', info.pdfVersion],
+      ['Encryption', encryption],
+      ['Title', info.title],
+      ['Author', info.author],
+      ['Fonts', info.fonts.length ? `${info.fonts.length} (${embedded} embedded): ${info.fonts.map(font => font.name).join(', ')}` : null],
+      ['Images', info.passwordRequired ? null : info.imageCount],
+      ['Form fields', info.formFields && info.formFields.length ? info.formFields.length : null]
+    ];
+  }
+
   /**
    * Show conversion options
    */
   showConversionOptions(fileInfo) {
     const formatGroup = document.getElementById('formatGroup');
-    
+    const outputFormat = document.getElementById('outputFormat');
+
     if (fileInfo.isImage) {
       formatGroup.style.display = 'block';
+      this.renderFormatOptions('images');
+
       // Set default output format based on input
-      const outputFormat = document.getElementById('outputFormat');
       if (fileInfo.mimeType.includes('png')) {
         outputFormat.value = 'png';
       } else if (fileInfo.mimeType.includes('webp')) {
@@ -229,17 +609,64 @@ class FileConverter {
       } else {
         outputFormat.value = 'jpg';
       }
+    } else if (!this.batchFiles) {
+      // A single PDF can be compressed or rendered to images
+      formatGroup.style.display = this.outputFormats.pdf.length > 1 ? 'block' : 'none';
+      this.renderFormatOptions('pdf');
+      outputFormat.value = 'pdf';
     } else {
       formatGroup.style.display = 'none';
     }
-    
+
+    this.updateFormatOptions();
     this.showSection('conversionSection');
   }
 
+  /**
+   * Fill the output format list for images or PDFs
+   * @param {string} kind - Input kind (images, pdf)
+   */
+  renderFormatOptions(kind) {
+    const labels = {
+      jpg: 'JPG',
+      png: 'PNG',
+      webp: 'WebP',
+      gif: 'GIF',
+      tiff: 'TIFF',
+      avif: 'AVIF',
+      heif: 'HEIF',
+      jxl: 'JPEG XL',
+      pdf: 'PDF Document'
+    };
+    const pdfLabels = {
+      pdf: 'PDF (Compress)',
+      png: 'PNG Images',
+      jpg: 'JPG Images',
+      webp: 'WebP Images'
+    };
+
+    const select = document.getElementById('outputFormat');
+    select.innerHTML = '';
+
+    // jpeg is an alias of jpg, so only one of them is listed
+    this.outputFormats[kind]
+      .filter(format => format !== 'jpeg')
+      .forEach(format => {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = (kind === 'pdf' ? pdfLabels[format] : labels[format]) || format.toUpperCase();
+        select.appendChild(option);
+      });
+  }
+
   /**
    * Start conversion process
    */
   async startConversion() {
+    if (this.batchFiles) {
+      return this.startBatchConversion();
+    }
+
     if (!this.uploadedFile) {
       this.showError('No file uploaded');
       return;
@@ -253,41 +680,55 @@ class FileConverter {
 
       this.showSection('progressSection');
 
-      // Convert file to base64 for transmission
-      const fileBase64 = await this.fileToBase64(this.uploadedFile.buffer);
+      // Send the file as multipart form data
+      const payload = new FormData();
+      const outputFormat = document.getElementById('outputFormat').value;
+      payload.append('compressionLevel', document.getElementById('compressionLevel').value);
+
+      let endpoint;
+
+      if (this.uploadedFile.isImage && outputFormat === 'pdf') {
+        endpoint = '/api/convert/image-to-pdf';
+        payload.append('files', this.uploadedFile.buffer, this.uploadedFile.originalName);
+        this.appendPageLayout(payload);
+        this.appendPasswords(payload, true);
+      } else if (this.uploadedFile.isPDF && outputFormat !== 'pdf') {
+        endpoint = '/api/convert/pdf-to-image';
+        payload.append('file', this.uploadedFile.buffer, this.uploadedFile.originalName);
+        payload.append('outputFormat', outputFormat);
+        payload.append('dpi', document.getElementById('renderDpi').value);
+        payload.append('pages', document.getElementById('renderPages').value);
+        this.appendPasswords(payload, false);
+      } else if (this.uploadedFile.isImage) {
+        payload.append('file', this.uploadedFile.buffer, this.uploadedFile.originalName);
+        endpoint = '/api/convert/image';
+        payload.append('outputFormat', outputFormat);
 
-      let endpoint, payload;
+        const resize = this.getResizeOptions();
+        if (resize) {
+          payload.append('resize', JSON.stringify(resize));
+        }
 
-      if (this.uploadedFile.isImage) {
-        endpoint = '/api/convert/image';
-        payload = {
-          fileData: fileBase64,
-          outputFormat: document.getElementById('outputFormat').value,
-          compressionLevel: document.getElementById('compressionLevel').value
-        };
+        // Search for the best quality under the size limit, scaling down if needed
+        const targetSize = parseInt(document.getElementById('targetSize').value, 10);
+        const useTargetSize = Boolean(targetSize && this.targetSizeFormats.includes(outputFormat));
+        if (useTargetSize) {
+          payload.append('targetSize', `${targetSize}KB`);
+          payload.append('allowScaling', 'true');
+        }
+
+        payload.append('metadata', JSON.stringify(this.getMetadataOptions({ decoded: useTargetSize })));
       } else if (this.uploadedFile.isPDF) {
         endpoint = '/api/convert/pdf';
-        payload = {
-          fileData: fileBase64,
-          compressionLevel: document.getElementById('compressionLevel').value
-        };
+        payload.append('file', this.uploadedFile.buffer, this.uploadedFile.originalName);
+        this.appendPasswords(payload, true);
       } else {
         throw new Error('Unsupported file type');
       }
 
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      const result = await response.json();
-
-      if (!response.ok) {
-        throw new Error(result.error || 'Conversion failed');
-      }
+      // Queue the conversion and wait for it to finish
+      const job = await this.submitJob(endpoint, payload);
+      const result = await this.waitForJob(job);
 
       this.showResults(result);
 
@@ -303,18 +744,141 @@ class FileConverter {
   }
 
   /**
-   * Convert file to base64
+   * Show the options that apply to the selected input and output format
    */
-  fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.readAsDataURL(file);
-      reader.onload = () => {
-        const base64 = reader.result.split(',')[1];
-        resolve(base64);
-      };
-      reader.onerror = error => reject(error);
-    });
+  updateFormatOptions() {
+    const isSingleImage = Boolean(this.uploadedFile && this.uploadedFile.isImage && !this.batchFiles);
+    const isSinglePDF = Boolean(this.uploadedFile && this.uploadedFile.isPDF && !this.batchFiles);
+    const hasImages = isSingleImage || Boolean(this.batchFiles && this.batchFiles.some(file => file.type.startsWith('image/')));
+    const format = document.getElementById('outputFormat').value;
+
+    const show = (id, visible) => {
+      document.getElementById(id).style.display = visible ? 'block' : 'none';
+    };
+
+    // Resizing and target sizes apply to single image conversions only
+    show('resizeGroup', isSingleImage && format !== 'pdf');
+    show('targetSizeGroup', isSingleImage && this.targetSizeFormats.includes(format));
+    show('metadataGroup', hasImages && format !== 'pdf');
+    show('pageLayoutGroup', hasImages && format === 'pdf');
+    show('renderGroup', isSinglePDF && format !== 'pdf');
+
+    // Encrypted PDFs need their password; PDF output can be protected with a new one
+    show('passwordGroup', isSinglePDF || (hasImages && format === 'pdf'));
+    document.getElementById('pdfPassword').style.display = isSinglePDF ? '' : 'none';
+    document.getElementById('protectPassword').style.display = format === 'pdf' ? '' : 'none';
+  }
+
+  /**
+   * Add the image-to-PDF page layout options to a request
+   * @param {FormData} payload - Request payload
+   */
+  appendPageLayout(payload) {
+    payload.append('pageSize', document.getElementById('pageSize').value);
+    payload.append('orientation', document.getElementById('pageOrientation').value);
+    payload.append('margin', document.getElementById('pageMargin').value || '0');
+  }
+
+  /**
+   * Add the PDF password options to a request
+   * @param {FormData} payload - Request payload
+   * @param {boolean} protect - Whether the output is a PDF that can be password protected
+   */
+  appendPasswords(payload, protect) {
+    const password = document.getElementById('pdfPassword').value;
+    const protectPassword = document.getElementById('protectPassword').value;
+
+    if (password) {
+      payload.append('password', password);
+    }
+
+    if (protect && protectPassword) {
+      payload.append('protection', JSON.stringify({ userPassword: protectPassword }));
+    }
+  }
+
+  /**
+   * Get resize options from the conversion form
+   * @returns {Object|null} Resize options, or null when no size was entered
+   */
+  getResizeOptions() {
+    const width = parseInt(document.getElementById('resizeWidth').value, 10);
+    const height = parseInt(document.getElementById('resizeHeight').value, 10);
+
+    if (!width && !height) {
+      return null;
+    }
+
+    return {
+      width: width || undefined,
+      height: height || undefined,
+      fit: document.getElementById('resizeFit').value,
+      withoutEnlargement: true
+    };
+  }
+
+  /**
+   * Get EXIF and colour profile options from the conversion form
+   * @param {Object} options - Request options
+   * @param {boolean} options.decoded - Whether the server re-encodes decoded pixels (target size mode),
+   *   which can't keep the source EXIF or colour profile
+   * @returns {Object} Metadata options
+   */
+  getMetadataOptions({ decoded = false } = {}) {
+    const exifMode = document.getElementById('exifMode').value;
+    const iccMode = document.getElementById('iccMode').value;
+
+    return {
+      autoOrient: true,
+      exif: exifMode === 'strip' || decoded ? 'strip' : 'keep',
+      gps: exifMode === 'keep' ? 'keep' : 'strip',
+      icc: iccMode === 'keep' && decoded ? 'strip' : iccMode
+    };
+  }
+
+  /**
+   * Start batch conversion of all selected files
+   */
+  async startBatchConversion() {
+    const convertBtn = document.getElementById('convertBtn');
+
+    try {
+      convertBtn.disabled = true;
+      convertBtn.querySelector('.btn-text').style.display = 'none';
+      convertBtn.querySelector('.btn-loader').style.display = 'inline';
+
+      this.showSection('progressSection');
+
+      const formData = new FormData();
+      const outputFormat = document.getElementById('outputFormat').value;
+      this.batchFiles.forEach(file => formData.append('files', file));
+      formData.append('outputFormat', outputFormat);
+      formData.append('compressionLevel', document.getElementById('compressionLevel').value);
+
+      // Images can also be combined into one PDF with a page each
+      let endpoint = '/api/convert/batch';
+      if (outputFormat === 'pdf') {
+        endpoint = '/api/convert/image-to-pdf';
+        this.appendPageLayout(formData);
+        this.appendPasswords(formData, true);
+      } else {
+        formData.append('metadata', JSON.stringify(this.getMetadataOptions()));
+      }
+
+      // Queue the batch and wait for it to finish
+      const job = await this.submitJob(endpoint, formData);
+      const result = await this.waitForJob(job);
+
+      this.showResults(result);
+
+    } catch (error) {
+      console.error('Batch conversion error:', error);
+      this.showError(error.message);
+    } finally {
+      convertBtn.disabled = false;
+      convertBtn.querySelector('.btn-text').style.display = 'inline';
+      convertBtn.querySelector('.btn-loader').style.display = 'none';
+    }
   }
 
   /**
@@ -329,6 +893,10 @@ class FileConverter {
     progressText.textContent = data.message;
     progressPercentage.textContent = `${Math.round(data.progress)}%`;
 
+    if (data.file) {
+      this.updateBatchFile(data.file);
+    }
+
     if (data.error) {
       this.showError(data.error);
     }
@@ -341,12 +909,253 @@ class FileConverter {
     document.getElementById('originalSize').textContent = this.formatFileSize(result.originalSize);
     document.getElementById('newSize').textContent = this.formatFileSize(result.convertedSize || result.compressedSize);
     document.getElementById('compressionRatio').textContent = result.compressionRatio;
+    this.renderBatchResults(result.manifest);
 
     // Store download URL for later use
     this.downloadUrl = result.downloadUrl;
 
     this.hideSection('progressSection');
     this.showSection('resultsSection');
+
+    // Signed-in users get the finished job added to their history
+    if (this.user) {
+      this.loadHistory();
+    }
+  }
+
+  /**
+   * Load the signed-in user's conversion history
+   */
+  async loadHistory() {
+    try {
+      const response = await fetch('/api/history', {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        this.hideSection('historySection');
+        return;
+      }
+
+      const { entries } = await response.json();
+      this.history = entries;
+      this.renderHistory();
+      this.showSection('historySection');
+    } catch (error) {
+      console.error('Failed to load history:', error);
+    }
+  }
+
+  /**
+   * Render the conversion history panel
+   */
+  renderHistory() {
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+
+    document.getElementById('historyEmpty').style.display = this.history.length ? 'none' : 'block';
+    document.getElementById('historyClearBtn').style.display = this.history.length ? '' : 'none';
+
+    this.history.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'history-item';
+
+      const details = document.createElement('div');
+      details.className = 'history-details';
+
+      const name = document.createElement('span');
+      name.className = 'history-name';
+      name.textContent = entry.inputName;
+      name.title = entry.inputName;
+
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      meta.textContent = this.describeHistoryEntry(entry);
+
+      details.append(name, meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'history-actions';
+
+      if (entry.downloadUrl) {
+        const download = document.createElement('button');
+        download.textContent = 'Download';
+        download.title = `Available until ${new Date(entry.expiresAt).toLocaleTimeString()}`;
+        download.addEventListener('click', () => {
+          this.downloadUrl = entry.downloadUrl;
+          this.downloadFile();
+        });
+        actions.appendChild(download);
+      }
+
+      const rerun = document.createElement('button');
+      rerun.textContent = 'Run again';
+      rerun.title = 'Choose the file again to convert it with the same settings';
+      rerun.addEventListener('click', () => this.rerunHistoryEntry(entry));
+
+      const remove = document.createElement('button');
+      remove.className = 'history-delete-btn';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteHistoryEntry(entry));
+
+      actions.append(rerun, remove);
+      item.append(details, actions);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Summarize a history entry: output, sizes, compression and time
+   * @param {Object} entry - History entry
+   * @returns {string} Summary line
+   */
+  describeHistoryEntry(entry) {
+    const output = entry.options.operation || entry.options.outputFormat ||
+      entry.endpoint.split('/').pop().replace(/-/g, ' ');
+    const parts = [output.toUpperCase()];
+
+    if (entry.fileCount > 1) {
+      parts.push(`${entry.fileCount} files`);
+    }
+
+    parts.push(`${this.formatFileSize(entry.originalSize)} → ${this.formatFileSize(entry.convertedSize)}`);
+
+    if (entry.compressionRatio) {
+      parts.push(entry.compressionRatio);
+    }
+
+    parts.push(new Date(entry.createdAt).toLocaleString());
+    return parts.join(' · ');
+  }
+
+  /**
+   * Ask for the input of a past conversion so it can be run again with the same settings.
+   * Uploads are not kept on the server, so the file has to be chosen again.
+   * @param {Object} entry - History entry
+   */
+  rerunHistoryEntry(entry) {
+    const fileInput = document.getElementById('historyFileInput');
+
+    this.rerunEntry = entry;
+    fileInput.value = '';
+    fileInput.multiple = entry.fileCount > 1;
+    fileInput.click();
+  }
+
+  /**
+   * Run a past conversion again on the chosen files
+   */
+  async handleRerunFiles(e) {
+    const entry = this.rerunEntry;
+    const files = Array.from(e.target.files);
+    this.rerunEntry = null;
+
+    if (!entry || files.length === 0) return;
+
+    try {
+      this.resetApp();
+      this.showSection('progressSection');
+
+      const payload = new FormData();
+      const multiple = ['/api/convert/batch', '/api/convert/image-to-pdf', '/api/convert/pdf/merge'].includes(entry.endpoint);
+      files.forEach(file => payload.append(multiple ? 'files' : 'file', file));
+
+      Object.entries(entry.options).forEach(([name, value]) => {
+        payload.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      });
+
+      // Queue the conversion and wait for it to finish
+      const job = await this.submitJob(entry.endpoint, payload);
+      const result = await this.waitForJob(job);
+
+      this.showResults(result);
+
+    } catch (error) {
+      console.error('Re-run error:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Delete a history entry and its converted file
+   * @param {Object} entry - History entry
+   */
+  async deleteHistoryEntry(entry) {
+    try {
+      const response = await fetch(`/api/history/${entry.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok && response.status !== 404) {
+        throw new Error('Failed to delete history entry');
+      }
+
+      this.history = this.history.filter(item => item.id !== entry.id);
+      this.renderHistory();
+    } catch (error) {
+      console.error('Delete history error:', error);
+      this.showAuthMessage('Failed to delete history entry. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Delete the whole conversion history
+   */
+  async clearHistory() {
+    if (!confirm('Delete your whole conversion history and any converted files still available?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/history', {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to clear history');
+      }
+
+      this.history = [];
+      this.renderHistory();
+    } catch (error) {
+      console.error('Clear history error:', error);
+      this.showAuthMessage('Failed to clear history. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Render per-file results of a batch conversion
+   */
+  renderBatchResults(manifest) {
+    const list = document.getElementById('batchResults');
+    list.innerHTML = '';
+
+    if (!manifest) {
+      list.style.display = 'none';
+      return;
+    }
+
+    manifest.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `batch-file batch-file-${entry.status}`;
+
+      const name = document.createElement('span');
+      name.className = 'batch-file-name';
+      name.textContent = entry.outputName || entry.originalName;
+
+      const status = document.createElement('span');
+      status.className = 'batch-file-status';
+      status.textContent = entry.status === 'converted'
+        ? `${this.formatFileSize(entry.originalSize)} → ${this.formatFileSize(entry.convertedSize)}`
+        : entry.error;
+
+      item.append(name, status);
+      list.appendChild(item);
+    });
+
+    list.style.display = 'block';
   }
 
   /**
@@ -367,11 +1176,19 @@ class FileConverter {
    * Reset application to initial state
    */
   resetApp() {
+    if (this.job) {
+      this.stopPolling(this.job);
+    }
+
     this.uploadedFile = null;
+    this.batchFiles = null;
     this.downloadUrl = null;
+    this.job = null;
     
-    // Reset file input
+    // Reset file input and batch lists
     document.getElementById('fileInput').value = '';
+    document.getElementById('batchFileList').style.display = 'none';
+    document.getElementById('batchResults').style.display = 'none';
     
     // Hide all sections except upload
     this.hideSection('fileInfoSection');
@@ -437,6 +1254,92 @@ class FileConverter {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  /**
+   * Fill the output format list with the formats the server can encode
+   */
+  async loadOutputFormats() {
+    try {
+      const response = await fetch('/api/upload/formats');
+      if (!response.ok) return;
+
+      const { outputFormats } = await response.json();
+      this.outputFormats = outputFormats;
+
+      const select = document.getElementById('outputFormat');
+      const selected = select.value;
+
+      this.renderFormatOptions(this.uploadedFile && this.uploadedFile.isPDF ? 'pdf' : 'images');
+
+      if ([...select.options].some(option => option.value === selected)) {
+        select.value = selected;
+      }
+    } catch (error) {
+      console.error('Failed to load output formats:', error);
+    }
+  }
+
+  /**
+   * Load the login providers configured on the server
+   */
+  async loadLoginProviders() {
+    try {
+      const response = await fetch('/auth/providers');
+      if (response.ok) {
+        const data = await response.json();
+        this.providers = data.providers;
+      }
+    } catch (error) {
+      console.error('Failed to load login providers:', error);
+    }
+
+    this.renderLoginProviders();
+  }
+
+  /**
+   * Show a login button per provider when signed out, and links to the
+   * providers not linked yet when signed in
+   */
+  renderLoginProviders() {
+    const authLogin = document.getElementById('authLogin');
+    const githubLoginBtn = document.getElementById('githubLoginBtn');
+    const linkProviders = document.getElementById('linkProviders');
+
+    authLogin.querySelectorAll('.login-btn').forEach(button => button.remove());
+    githubLoginBtn.style.display = 'none';
+    linkProviders.innerHTML = '';
+
+    this.providers.forEach(provider => {
+      if (provider.name === 'github') {
+        githubLoginBtn.href = provider.loginUrl;
+        githubLoginBtn.style.display = '';
+        return;
+      }
+
+      const button = document.createElement('a');
+      button.className = `login-btn login-btn-${provider.name}`;
+      button.href = provider.loginUrl;
+      button.textContent = `Sign in with ${provider.label}`;
+      authLogin.appendChild(button);
+    });
+
+    if (this.user) {
+      const linked = (this.user.identities || []).map(identity => identity.provider);
+
+      this.providers
+        .filter(provider => !linked.includes(provider.name))
+        .forEach(provider => {
+          const link = document.createElement('a');
+          link.href = provider.loginUrl;
+          link.textContent = `Link ${provider.label}`;
+          link.title = `Also sign in to this account with ${provider.label}`;
+          linkProviders.appendChild(link);
+        });
+    }
+
+    // Signed-out visitors only see the login area when at least one provider is configured
+    authLogin.style.display = !this.user && this.providers.length > 0 ? 'flex' : 'none';
+  }
+
   /**
    * Check authentication status and update UI
    */
@@ -472,13 +1375,12 @@ class FileConverter {
    * @param {boolean} isAuthenticated - Whether user is authenticated
    */
   updateAuthUI(isAuthenticated) {
-    const authLogin = document.getElementById('authLogin');
     const authProfile = document.getElementById('authProfile');
 
     if (isAuthenticated && this.user) {
       // Show user profile
-      authLogin.style.display = 'none';
       authProfile.style.display = 'flex';
+      this.renderLoginProviders();
 
       // Update user information
       const userAvatar = document.getElementById('userAvatar');
@@ -494,27 +1396,22 @@ class FileConverter {
 
       userName.textContent = this.user.displayName || this.user.username;
       userUsername.textContent = `@${this.user.username}`;
+      document.getElementById('adminLink').style.display = this.user.role === 'admin' ? '' : 'none';
+
+      this.loadHistory();
 
       console.log('User authenticated:', this.user.username);
     } else {
-      // Show login button
-      authLogin.style.display = 'block';
+      // Show login buttons
       authProfile.style.display = 'none';
+      this.renderLoginProviders();
+
+      this.history = [];
+      this.hideSection('historySection');
       console.log('User not authenticated');
     }
   }
 
-  /**
-   * Hide authentication UI completely
-   */
-  hideAuthUI() {
-    const authLogin = document.getElementById('authLogin');
-    const authProfile = document.getElementById('authProfile');
-    
-    authLogin.style.display = 'none';
-    authProfile.style.display = 'none';
-  }
-
   /**
    * Handle authentication callback from OAuth
    */
@@ -523,21 +1420,21 @@ class FileConverter {
     const authStatus = urlParams.get('auth');
     const error = urlParams.get('error');
 
-    if (authStatus === 'success') {
+    if (authStatus === 'success' || authStatus === 'linked') {
       console.log('Authentication successful');
       // Remove URL parameters
       window.history.replaceState({}, document.title, window.location.pathname);
       // Refresh auth status
       this.checkAuthStatus();
       // Show success message
-      this.showAuthMessage('Successfully signed in with GitHub!', 'success');
+      this.showAuthMessage(authStatus === 'linked' ? 'Account linked successfully!' : 'Successfully signed in!', 'success');
     } else if (error) {
       console.error('Authentication error:', error);
       let errorMessage = 'Authentication failed. Please try again.';
       
       switch (error) {
         case 'auth_failed':
-          errorMessage = 'GitHub authentication failed. Please try again.';
+          errorMessage = 'Sign-in was cancelled or denied. Please try again.';
           break;
         case 'auth_callback_failed':
           errorMessage = 'Authentication callback failed. Please try again.';
@@ -546,8 +1443,13 @@ class FileConverter {
           errorMessage = 'Please sign in to continue.';
           break;
         case 'oauth_not_configured':
-          errorMessage = 'GitHub OAuth is not configured. Please check the server configuration.';
-          this.hideAuthUI();
+          errorMessage = 'This sign-in method is not configured. Please check the server configuration.';
+          break;
+        case 'identity_in_use':
+          errorMessage = 'That account is already linked to another user.';
+          break;
+        case 'provider_already_linked':
+          errorMessage = 'Another account from this provider is already linked. Unlink it first.';
           break;
       }
       
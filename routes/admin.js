@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const adminStats = require('../utils/adminStats');
+
+/**
+ * Get a snapshot of server statistics
+ * Live updates are sent to admins subscribed over WebSocket ({ "type": "subscribe-stats" })
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    res.json(await adminStats.collect());
+  } catch (error) {
+    console.error('Admin stats route error:', error);
+    res.status(500).json({ error: 'Failed to collect server statistics' });
+  }
+});
+
+module.exports = router;
@@ -1,48 +1,98 @@
 const express = require('express');
 const passport = require('passport');
+const usageTracker = require('../utils/usageTracker');
+const tokenStore = require('../utils/tokenStore');
+const userStore = require('../utils/userStore');
+const providers = require('../config/providers');
+const roles = require('../config/roles');
 const router = express.Router();
 
+// Sign-in errors that are shown to the user with their own message
+const SIGN_IN_ERRORS = {
+  IDENTITY_IN_USE: 'identity_in_use',
+  PROVIDER_ALREADY_LINKED: 'provider_already_linked'
+};
+
 /**
- * GitHub OAuth login route
- * Redirects user to GitHub for authentication
+ * Middleware for routes that need a signed-in browser session, answering with JSON otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-router.get('/github', (req, res, next) => {
-  // Check if GitHub OAuth is configured
-  if (!process.env.GITHUB_CLIENT_ID || !process.env.GITHUB_CLIENT_SECRET) {
-    return res.redirect('/?error=oauth_not_configured');
+function ensureSignedIn(req, res, next) {
+  if (req.isAuthenticated()) {
+    return next();
   }
-  
-  passport.authenticate('github', {
-    scope: ['user:email']
-  })(req, res, next);
-});
+
+  res.status(401).json({ 
+    error: 'Authentication required',
+    authRequired: true 
+  });
+}
 
 /**
- * GitHub OAuth callback route
- * Handles the callback from GitHub after authentication
+ * List the login providers configured on this server
  */
-router.get('/github/callback', (req, res, next) => {
-  // Check if GitHub OAuth is configured
-  if (!process.env.GITHUB_CLIENT_ID || !process.env.GITHUB_CLIENT_SECRET) {
-    return res.redirect('/?error=oauth_not_configured');
-  }
-  
-  passport.authenticate('github', { 
-    failureRedirect: '/?error=auth_failed' 
-  })(req, res, next);
-}, (req, res) => {
+router.get('/providers', async (req, res) => {
   try {
-    // Authentication successful
-    console.log('User authenticated successfully:', req.user.username);
-    
-    // Redirect back to the main application
-    res.redirect('/?auth=success');
+    res.json({ providers: await providers.getAvailableProviders() });
   } catch (error) {
-    console.error('Authentication callback error:', error);
-    res.redirect('/?error=auth_callback_failed');
+    console.error('List providers route error:', error);
+    res.status(500).json({ error: 'Failed to list login providers' });
   }
 });
 
+// Login and callback routes for every provider (/auth/github, /auth/google, /auth/gitlab, /auth/oidc).
+// Routes of providers that are not configured redirect back with an error.
+providers.getProviders().forEach(({ name, label }) => {
+  /**
+   * OAuth login route
+   * Redirects user to the provider for authentication; signed-in users link the new identity
+   */
+  router.get(`/${name}`, async (req, res, next) => {
+    if (!(await providers.whenReady(name))) {
+      return res.redirect('/?error=oauth_not_configured');
+    }
+
+    passport.authenticate(name)(req, res, next);
+  });
+
+  /**
+   * OAuth callback route
+   * Handles the callback from the provider after authentication
+   */
+  router.get(`/${name}/callback`, async (req, res, next) => {
+    if (!(await providers.whenReady(name))) {
+      return res.redirect('/?error=oauth_not_configured');
+    }
+
+    const linking = req.isAuthenticated();
+
+    passport.authenticate(name, (error, user) => {
+      if (error) {
+        console.error(`${label} authentication callback error:`, error.message);
+        return res.redirect(`/?error=${SIGN_IN_ERRORS[error.code] || 'auth_callback_failed'}`);
+      }
+
+      if (!user) {
+        return res.redirect('/?error=auth_failed');
+      }
+
+      req.login(user, (loginError) => {
+        if (loginError) {
+          console.error('Login error:', loginError);
+          return res.redirect('/?error=auth_callback_failed');
+        }
+
+        console.log(`User ${linking ? 'linked' : 'authenticated'} with ${label}:`, user.username);
+
+        // Redirect back to the main application
+        res.redirect(linking ? '/?auth=linked' : '/?auth=success');
+      });
+    })(req, res, next);
+  });
+});
+
 /**
  * Logout route
  * Logs out the user and destroys session
@@ -90,12 +140,19 @@ router.get('/user', (req, res) => {
         avatar: req.user.avatar,
         profileUrl: req.user.profileUrl,
         provider: req.user.provider,
+        identities: req.user.identities.map(({ provider, username }) => ({ provider, username })),
+        role: roles.getRole(req.user),
+        features: roles.getAllowedFeatures(req.user),
         isAuthenticated: true
       };
       
       res.json(userInfo);
     } else {
-      res.json({ isAuthenticated: false });
+      res.json({
+        isAuthenticated: false,
+        role: roles.getRole(null),
+        features: roles.getAllowedFeatures(null)
+      });
     }
   } catch (error) {
     console.error('Get user route error:', error);
@@ -110,6 +167,7 @@ router.get('/user', (req, res) => {
 router.get('/status', (req, res) => {
   res.json({
     isAuthenticated: req.isAuthenticated(),
+    role: roles.getRole(req.user),
     user: req.isAuthenticated() ? {
       username: req.user.username,
       displayName: req.user.displayName,
@@ -118,4 +176,117 @@ router.get('/status', (req, res) => {
   });
 });
 
+/**
+ * Unlink a sign-in identity from the current account
+ * The last remaining identity cannot be unlinked
+ */
+router.delete('/identities/:provider', ensureSignedIn, async (req, res) => {
+  try {
+    const user = await userStore.unlinkIdentity(req.user.id, req.params.provider);
+
+    res.json({
+      success: true,
+      message: `${req.params.provider} account unlinked`,
+      identities: user.identities.map(({ provider, username }) => ({ provider, username }))
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Unlink identity route error:', error);
+    res.status(500).json({ error: 'Failed to unlink account' });
+  }
+});
+
+/**
+ * Get today's usage and remaining allowance
+ * Signed-in users are counted per account, anonymous visitors per IP address
+ */
+router.get('/usage', (req, res) => {
+  try {
+    res.json({
+      isAuthenticated: req.isAuthenticated(),
+      ...usageTracker.getSummary(usageTracker.getKey(req))
+    });
+  } catch (error) {
+    console.error('Get usage route error:', error);
+    res.status(500).json({ error: 'Failed to get usage information' });
+  }
+});
+
+/**
+ * List personal API tokens
+ * Only token details are returned; the tokens themselves are shown once, when created
+ */
+router.get('/tokens', ensureSignedIn, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tokens: await tokenStore.list(req.user.id)
+    });
+  } catch (error) {
+    console.error('List tokens route error:', error);
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+});
+
+/**
+ * Create a personal API token
+ * Body: { name, scopes: ['convert', 'history', 'admin'], expiresInDays }
+ */
+router.post('/tokens', ensureSignedIn, async (req, res) => {
+  let options;
+  try {
+    options = tokenStore.parseCreateOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ 
+      error: error.message 
+    });
+  }
+
+  // Tokens cannot grant more than their owner has
+  if (options.scopes.includes('admin') && !roles.hasRole(req.user, 'admin')) {
+    return res.status(403).json({
+      error: 'Only admins can create tokens with the admin scope',
+      code: 'FORBIDDEN_ROLE',
+      role: roles.getRole(req.user),
+      requiredRole: 'admin'
+    });
+  }
+
+  try {
+    const { token, details } = await tokenStore.create(req.user, options);
+
+    console.log(`API token created for ${req.user.username}: ${details.name} (${details.scopes.join(', ')})`);
+    res.status(201).json({
+      success: true,
+      message: 'Copy the token now, it will not be shown again',
+      token,
+      details
+    });
+  } catch (error) {
+    console.error('Create token route error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create API token' });
+  }
+});
+
+/**
+ * Revoke a personal API token
+ */
+router.delete('/tokens/:id', ensureSignedIn, async (req, res) => {
+  try {
+    const revoked = await tokenStore.revoke(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ success: true, message: 'API token revoked' });
+  } catch (error) {
+    console.error('Revoke token route error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
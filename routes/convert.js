@@ -2,99 +2,771 @@ const express = require('express');
 const router = express.Router();
 const imageController = require('../controllers/imageController');
 const pdfController = require('../controllers/pdfController');
+const batchController = require('../controllers/batchController');
+const imageConverter = require('../utils/imageConverter');
+const pdfConverter = require('../utils/pdfConverter');
+const pdfRenderer = require('../utils/pdfRenderer');
+const jobQueue = require('../utils/jobQueue');
+const storage = require('../utils/storage');
+const downloadSigner = require('../utils/downloadSigner');
+const fileValidator = require('../utils/fileValidator');
+const usageTracker = require('../utils/usageTracker');
+const {
+  SUPPORTED_IMAGE_TYPES,
+  SUPPORTED_PDF_TYPES,
+  createUpload,
+  rejectOversizedBody,
+  getUploadLimit,
+  getUploadLimitError,
+  conversionInput,
+  getConversionInput,
+  getFileStream,
+  parseJsonOption,
+  validateUploads
+} = require('../middleware/upload');
+const { requireFeature, isRoleError, sendRoleError } = require('../middleware/auth');
 
-// Image conversion endpoint
-router.post('/image', async (req, res) => {
+// Batch limits
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 50;
+const BATCH_MAX_TOTAL_SIZE = (parseInt(process.env.BATCH_MAX_TOTAL_MB, 10) || 200) * 1024 * 1024;
+
+// Multi-file uploads are refused by Content-Length up front, and stop being read
+// once their files together pass the total size limit
+const batchUpload = [
+  rejectOversizedBody(BATCH_MAX_TOTAL_SIZE),
+  createUpload({ files: BATCH_MAX_FILES, maxTotalSize: BATCH_MAX_TOTAL_SIZE }).array('files', BATCH_MAX_FILES)
+];
+
+// One-time download links delete the file after the first successful download
+const DOWNLOAD_ONE_TIME_DEFAULT = process.env.DOWNLOAD_ONE_TIME === 'true';
+
+// One-time files with a download in progress, so a second request cannot fetch them concurrently
+const activeOneTimeDownloads = new Set();
+
+/**
+ * Check an image output format against the formats the running sharp build can encode
+ * @param {string} outputFormat - Requested output format
+ * @returns {Promise<string|null>} Error message, or null when the format is supported
+ */
+async function validateOutputFormat(outputFormat) {
+  const outputFormats = await imageConverter.getSupportedOutputFormats();
+
+  if (!outputFormats.includes(String(outputFormat).toLowerCase())) {
+    return `Unsupported output format: ${outputFormat}. Supported formats: ${outputFormats.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the download link options for a conversion request.
+ * Links are tied to the signed-in user so they cannot be shared with other accounts.
+ * @param {Object} req - Express request object
+ * @param {Object} options - Conversion options (body, multipart fields or query)
+ * @returns {Object} Download link options (ownerId, oneTime)
+ */
+function getDownloadOptions(req, options) {
+  const { oneTimeDownload } = options;
+
+  return {
+    ownerId: req.user ? req.user.id : null,
+    oneTime: oneTimeDownload === undefined
+      ? DOWNLOAD_ONE_TIME_DEFAULT
+      : oneTimeDownload === true || oneTimeDownload === 'true'
+  };
+}
+
+/**
+ * Build the usage accounting options for a conversion request
+ * @param {Object} req - Express request object
+ * @param {number} bytesIn - Size of the uploaded input in bytes
+ * @returns {Object} Usage options (key of the user or IP to charge, bytesIn)
+ */
+function getUsageOptions(req, bytesIn) {
+  return { key: req.usageKey || usageTracker.getKey(req), bytesIn };
+}
+
+/**
+ * Build the history details of a conversion request. Only signed-in users keep a history.
+ * @param {Object} req - Express request object
+ * @param {Array<string>} inputNames - Names of the uploaded files
+ * @param {Object} options - Conversion options (body, multipart fields or query)
+ * @returns {Object|null} History details, or null for anonymous requests
+ */
+function getHistoryOptions(req, inputNames, options) {
+  if (!req.user) return null;
+
+  return {
+    endpoint: req.baseUrl + req.path,
+    inputName: inputNames.length > 1 ? `${inputNames[0]} and ${inputNames.length - 1} more` : inputNames[0],
+    fileCount: inputNames.length,
+    options,
+    oneTime: getDownloadOptions(req, options).oneTime
+  };
+}
+
+/**
+ * Get the name of the file of a single-file conversion request.
+ * Raw and base64 bodies carry no file name unless one is given in the fileName option.
+ * @param {Object} req - Express request object
+ * @param {Object} options - Conversion options (body, multipart fields or query)
+ * @returns {string|undefined} File name
+ */
+function getInputName(req, options) {
+  return req.file ? req.file.originalname : options.fileName;
+}
+
+/**
+ * Read the PDF password options of a conversion request
+ * @param {Object} options - Conversion options (body, multipart fields or query)
+ * @returns {Object} Password for encrypted inputs and normalized output protection
+ * @throws {Error} If protection is not a valid JSON object of passwords and permissions
+ */
+function getPasswordOptions(options) {
+  let protection;
   try {
-    const { outputFormat, compressionLevel, fileData } = req.body;
+    protection = options.protection === '' ? undefined : parseJsonOption(options.protection);
+  } catch (error) {
+    throw new Error('protection must be a JSON object with userPassword, ownerPassword and permissions');
+  }
+
+  return {
+    password: typeof options.password === 'string' ? options.password : undefined,
+    protection: pdfConverter.parseProtectionOptions(protection)
+  };
+}
+
+// Image conversion endpoint - queues the conversion and returns a job ID.
+// Accepts multipart/form-data, a raw binary body (options in the query string) or legacy base64 JSON.
+router.post('/image', conversionInput, validateUploads({ accept: ['image'] }), async (req, res) => {
+  try {
+    const { buffer, options } = getConversionInput(req);
+    const { outputFormat, compressionLevel } = options;
     
-    if (!fileData || !outputFormat) {
+    if (!buffer || !outputFormat) {
       return res.status(400).json({ 
-        error: 'Missing required parameters: fileData and outputFormat' 
+        error: 'Missing required parameters: file and outputFormat' 
       });
     }
 
-    // Get WebSocket server for progress updates
-    const wss = req.app.get('wss');
-    
-    // Convert file data from base64 back to buffer
-    const buffer = Buffer.from(fileData, 'base64');
+    const formatError = await validateOutputFormat(outputFormat);
+    if (formatError) {
+      return res.status(400).json({ 
+        error: formatError 
+      });
+    }
+
+    let targetSize;
+    try {
+      targetSize = imageConverter.parseTargetSize(options.targetSize);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error.message 
+      });
+    }
+
+    if (targetSize && !imageConverter.supportsTargetSize(outputFormat)) {
+      return res.status(400).json({ 
+        error: 'targetSize is only supported for JPEG, WebP and AVIF output' 
+      });
+    }
+
+    // Multipart fields and query parameters arrive as JSON strings
+    let transforms;
+    let animation;
+    let metadataOptions;
+    try {
+      transforms = imageConverter.parseTransformOptions({
+        resize: parseJsonOption(options.resize),
+        crop: parseJsonOption(options.crop)
+      });
+      animation = imageConverter.parseAnimationOptions(parseJsonOption(options.animation));
+      metadataOptions = imageConverter.parseMetadataOptions(parseJsonOption(options.metadata), {
+        decoded: Boolean(targetSize) || imageConverter.dropsFrames(animation)
+      });
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error instanceof SyntaxError ? 'resize, crop, animation and metadata must be JSON objects' : error.message 
+      });
+    }
     
-    const result = await imageController.convertImage({
-      buffer,
-      outputFormat,
-      compressionLevel: compressionLevel || 'medium',
-      wss
+    const job = jobQueue.enqueue({
+      type: 'image',
+      format: outputFormat,
+      ownerId: req.user ? req.user.id : null,
+      usage: getUsageOptions(req, buffer.length),
+      history: getHistoryOptions(req, [getInputName(req, options)], options),
+      handler: ({ jobId, signal }) => imageController.convertImage({
+        buffer,
+        outputFormat,
+        compressionLevel: compressionLevel || 'medium',
+        resize: transforms.resize,
+        crop: transforms.crop,
+        animation,
+        metadataOptions,
+        targetSize,
+        allowScaling: options.allowScaling === true || options.allowScaling === 'true',
+        jobId,
+        signal,
+        download: getDownloadOptions(req, options)
+      })
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Image converted successfully',
-      downloadUrl: result.downloadUrl,
-      outputFormat: result.outputFormat,
-      originalSize: result.originalSize,
-      convertedSize: result.convertedSize,
-      compressionRatio: result.compressionRatio
+      message: 'Image conversion queued',
+      jobId: job.jobId,
+      token: job.token,
+      statusUrl: `/api/jobs/${job.jobId}`
     });
 
   } catch (error) {
     console.error('Image conversion error:', error);
     res.status(500).json({ 
-      error: error.message || 'Failed to convert image' 
+      error: error.message || 'Failed to queue image conversion' 
     });
   }
 });
 
-// PDF compression endpoint
-router.post('/pdf', async (req, res) => {
+// Streaming image conversion endpoint - the request body is piped through sharp straight into the response.
+// Accepts multipart/form-data or a raw binary body, with options in the query string.
+router.post('/image/stream', async (req, res) => {
+  const { outputFormat, compressionLevel } = req.query;
+
+  if (!outputFormat) {
+    return res.status(400).json({ 
+      error: 'Missing required query parameter: outputFormat' 
+    });
+  }
+
+  const formatError = await validateOutputFormat(outputFormat);
+  if (formatError) {
+    return res.status(400).json({ 
+      error: formatError 
+    });
+  }
+
+  let metadataOptions;
+  try {
+    metadataOptions = imageConverter.parseMetadataOptions(parseJsonOption(req.query.metadata));
+  } catch (error) {
+    return res.status(400).json({ 
+      error: error instanceof SyntaxError ? 'metadata must be a JSON object' : error.message 
+    });
+  }
+
   try {
-    const { compressionLevel, fileData } = req.body;
+    const { stream, mimeType, filename } = await getFileStream(req);
+
+    const cpuStart = process.cpuUsage();
+    const { originalSize, convertedSize } = await imageController.streamImage({
+      input: stream,
+      fileName: filename,
+      declaredType: mimeType,
+      output: res,
+      outputFormat,
+      compressionLevel: compressionLevel || 'medium',
+      metadataOptions,
+      maxBytes: getUploadLimit(req),
+      limitError: getUploadLimitError(req),
+      onStart: () => {
+        res.set({
+          'Content-Type': imageController.getMimeType(outputFormat),
+          'Content-Disposition': `attachment; filename="converted_image.${outputFormat}"`
+        });
+      }
+    });
+
+    const { user, system } = process.cpuUsage(cpuStart);
+    usageTracker.record(req.usageKey || usageTracker.getKey(req), {
+      conversions: 1,
+      bytesIn: originalSize,
+      bytesOut: convertedSize,
+      cpuMs: (user + system) / 1000
+    });
+
+  } catch (error) {
+    console.error('Streaming image conversion error:', error);
+
+    // Once converted bytes have been sent the only option is to abort the response
+    if (error.outputStarted || res.headersSent) {
+      return res.destroy(error);
+    }
+
+    if (fileValidator.isValidationError(error)) {
+      return res.status(error.status).json(fileValidator.toResponse(error));
+    }
+
+    if (isRoleError(error)) {
+      return sendRoleError(res, error);
+    }
+
+    res.status(error.status || 400).json({ 
+      error: `Image conversion failed: ${error.message}`,
+      ...(error.code && { code: error.code })
+    });
+  }
+});
+
+// PDF compression endpoint - queues the compression and returns a job ID.
+// Accepts multipart/form-data, a raw binary body (options in the query string) or legacy base64 JSON.
+router.post('/pdf', requireFeature('pdf'), conversionInput, validateUploads({ accept: ['pdf'] }), (req, res) => {
+  try {
+    const { buffer, options } = getConversionInput(req);
+    const { compressionLevel } = options;
     
-    if (!fileData) {
+    if (!buffer) {
       return res.status(400).json({ 
-        error: 'Missing required parameter: fileData' 
+        error: 'Missing required parameter: file' 
       });
     }
 
-    // Get WebSocket server for progress updates
-    const wss = req.app.get('wss');
-    
-    // Convert file data from base64 back to buffer
-    const buffer = Buffer.from(fileData, 'base64');
+    // Multipart fields and query parameters arrive as JSON strings
+    let optimizations;
+    try {
+      optimizations = parseJsonOption(options.optimizations);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'optimizations must be a JSON object of boolean flags' 
+      });
+    }
+
+    if (optimizations !== undefined && (!optimizations || typeof optimizations !== 'object' || Array.isArray(optimizations))) {
+      return res.status(400).json({ 
+        error: 'optimizations must be an object of boolean flags' 
+      });
+    }
+
+    let passwordOptions;
+    try {
+      passwordOptions = getPasswordOptions(options);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error.message 
+      });
+    }
     
-    const result = await pdfController.compressPDF({
-      buffer,
-      compressionLevel: compressionLevel || 'medium',
-      wss
+    const job = jobQueue.enqueue({
+      type: 'pdf',
+      format: 'pdf',
+      ownerId: req.user ? req.user.id : null,
+      usage: getUsageOptions(req, buffer.length),
+      history: getHistoryOptions(req, [getInputName(req, options)], options),
+      handler: ({ jobId, signal }) => pdfController.compressPDF({
+        buffer,
+        compressionLevel: compressionLevel || 'medium',
+        optimizations,
+        ...passwordOptions,
+        jobId,
+        signal,
+        download: getDownloadOptions(req, options)
+      })
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'PDF compressed successfully',
-      downloadUrl: result.downloadUrl,
-      originalSize: result.originalSize,
-      compressedSize: result.compressedSize,
-      compressionRatio: result.compressionRatio
+      message: 'PDF compression queued',
+      jobId: job.jobId,
+      token: job.token,
+      statusUrl: `/api/jobs/${job.jobId}`
     });
 
   } catch (error) {
     console.error('PDF compression error:', error);
     res.status(500).json({ 
-      error: error.message || 'Failed to compress PDF' 
+      error: error.message || 'Failed to queue PDF compression' 
     });
   }
 });
 
-// Download endpoint
-router.get('/download/:filename', (req, res) => {
+// Batch conversion endpoint - converts many files with the same settings into one ZIP archive
+router.post('/batch', requireFeature('batch'), batchUpload, validateUploads(), async (req, res) => {
   try {
-    const filename = req.params.filename;
+    const files = req.files || [];
+    const { outputFormat, compressionLevel } = req.body;
+
+    if (files.length === 0) {
+      return res.status(400).json({ 
+        error: 'No files uploaded' 
+      });
+    }
+
+    const hasImages = files.some(file => SUPPORTED_IMAGE_TYPES.includes(file.mimetype));
+    if (hasImages && !outputFormat) {
+      return res.status(400).json({ 
+        error: 'Missing required parameter for images: outputFormat' 
+      });
+    }
+
+    const formatError = hasImages ? await validateOutputFormat(outputFormat) : null;
+    if (formatError) {
+      return res.status(400).json({ 
+        error: formatError 
+      });
+    }
+
+    // Multipart fields arrive as strings
+    let optimizations;
+    try {
+      optimizations = parseJsonOption(req.body.optimizations);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'optimizations must be a JSON object of boolean flags' 
+      });
+    }
+
+    let passwordOptions;
+    let metadataOptions;
+    try {
+      passwordOptions = getPasswordOptions(req.body);
+      metadataOptions = imageConverter.parseMetadataOptions(parseJsonOption(req.body.metadata));
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error instanceof SyntaxError ? 'metadata must be a JSON object' : error.message 
+      });
+    }
+
+    const job = jobQueue.enqueue({
+      type: 'batch',
+      format: hasImages ? outputFormat : 'pdf',
+      ownerId: req.user ? req.user.id : null,
+      usage: getUsageOptions(req, req.uploadedBytes),
+      history: getHistoryOptions(req, files.map(file => file.originalname), req.body),
+      handler: ({ jobId, signal }) => batchController.convertBatch({
+        files: files.map(file => ({
+          originalname: file.originalname,
+          mimetype: file.mimetype,
+          buffer: file.buffer
+        })),
+        outputFormat,
+        compressionLevel: compressionLevel || 'medium',
+        optimizations,
+        metadataOptions,
+        ...passwordOptions,
+        jobId,
+        signal,
+        download: getDownloadOptions(req, req.body)
+      })
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Batch of ${files.length} files queued`,
+      jobId: job.jobId,
+      token: job.token,
+      fileCount: files.length,
+      statusUrl: `/api/jobs/${job.jobId}`
+    });
+
+  } catch (error) {
+    console.error('Batch conversion error:', error);
+    res.status(500).json({ 
+      error: error.message || 'Failed to queue batch conversion' 
+    });
+  }
+});
+
+// Image to PDF endpoint - builds one PDF with a page per uploaded image (multipart `files`)
+router.post('/image-to-pdf', requireFeature('pdf'), batchUpload, validateUploads({ accept: ['image'] }), (req, res) => {
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ 
+        error: 'No files uploaded' 
+      });
+    }
+
+    const nonImage = files.find(file => !SUPPORTED_IMAGE_TYPES.includes(file.mimetype));
+    if (nonImage) {
+      return res.status(400).json({ 
+        error: `Only images can be converted to PDF: ${nonImage.originalname}` 
+      });
+    }
+
+    let layout;
+    let protection;
+    try {
+      layout = pdfConverter.parseLayoutOptions(req.body);
+      ({ protection } = getPasswordOptions(req.body));
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error.message 
+      });
+    }
+
+    const job = jobQueue.enqueue({
+      type: 'image-to-pdf',
+      format: 'pdf',
+      ownerId: req.user ? req.user.id : null,
+      usage: getUsageOptions(req, req.uploadedBytes),
+      history: getHistoryOptions(req, files.map(file => file.originalname), req.body),
+      handler: ({ jobId, signal }) => imageController.convertToPDF({
+        files: files.map(file => ({
+          originalname: file.originalname,
+          buffer: file.buffer
+        })),
+        ...layout,
+        protection,
+        jobId,
+        signal,
+        download: getDownloadOptions(req, req.body)
+      })
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `PDF from ${files.length} images queued`,
+      jobId: job.jobId,
+      token: job.token,
+      fileCount: files.length,
+      statusUrl: `/api/jobs/${job.jobId}`
+    });
+
+  } catch (error) {
+    console.error('Image to PDF conversion error:', error);
+    res.status(500).json({ 
+      error: error.message || 'Failed to queue image to PDF conversion' 
+    });
+  }
+});
+
+// PDF to image endpoint - renders PDF pages to PNG, JPEG or WebP.
+// Accepts multipart/form-data, a raw binary body (options in the query string) or legacy base64 JSON.
+router.post('/pdf-to-image', requireFeature('pdf'), conversionInput, validateUploads({ accept: ['pdf'] }), async (req, res) => {
+  try {
+    const { buffer, options } = getConversionInput(req);
+
+    if (!buffer) {
+      return res.status(400).json({ 
+        error: 'Missing required parameter: file' 
+      });
+    }
+
+    if (!(await pdfRenderer.isAvailable())) {
+      return res.status(501).json({ 
+        error: 'PDF rendering is not available on this server' 
+      });
+    }
+
+    let renderOptions;
+    let pages;
+    try {
+      renderOptions = pdfRenderer.parseRenderOptions(options);
+      pages = pdfConverter.parsePageRanges(options.pages);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error.message 
+      });
+    }
+
+    const job = jobQueue.enqueue({
+      type: 'pdf-to-image',
+      format: renderOptions.outputFormat,
+      ownerId: req.user ? req.user.id : null,
+      usage: getUsageOptions(req, buffer.length),
+      history: getHistoryOptions(req, [getInputName(req, options)], options),
+      handler: ({ jobId, signal }) => pdfController.renderPages({
+        buffer,
+        ...renderOptions,
+        pages,
+        compressionLevel: options.compressionLevel || 'medium',
+        password: typeof options.password === 'string' ? options.password : undefined,
+        jobId,
+        signal,
+        download: getDownloadOptions(req, options)
+      })
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'PDF rendering queued',
+      jobId: job.jobId,
+      token: job.token,
+      statusUrl: `/api/jobs/${job.jobId}`
+    });
+
+  } catch (error) {
+    console.error('PDF to image conversion error:', error);
+    res.status(500).json({ 
+      error: error.message || 'Failed to queue PDF rendering' 
+    });
+  }
+});
+
+// PDF merge endpoint - combines the uploaded PDFs (multipart `files`) in upload order
+router.post('/pdf/merge', requireFeature('pdf'), batchUpload, validateUploads({ accept: ['pdf'] }), (req, res) => {
+  try {
+    const files = req.files || [];
+
+    if (files.length < 2) {
+      return res.status(400).json({ 
+        error: 'Upload at least two PDF files to merge' 
+      });
+    }
+
+    const nonPdf = files.find(file => !SUPPORTED_PDF_TYPES.includes(file.mimetype));
+    if (nonPdf) {
+      return res.status(400).json({ 
+        error: `Only PDF files can be merged: ${nonPdf.originalname}` 
+      });
+    }
+
+    let passwordOptions;
+    try {
+      passwordOptions = getPasswordOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error.message 
+      });
+    }
+
+    const job = jobQueue.enqueue({
+      type: 'pdf-merge',
+      format: 'pdf',
+      ownerId: req.user ? req.user.id : null,
+      usage: getUsageOptions(req, req.uploadedBytes),
+      history: getHistoryOptions(req, files.map(file => file.originalname), req.body),
+      handler: ({ jobId, signal }) => pdfController.processPages({
+        operation: 'merge',
+        buffers: files.map(file => file.buffer),
+        ...passwordOptions,
+        jobId,
+        signal,
+        download: getDownloadOptions(req, req.body)
+      })
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Merge of ${files.length} PDFs queued`,
+      jobId: job.jobId,
+      token: job.token,
+      fileCount: files.length,
+      statusUrl: `/api/jobs/${job.jobId}`
+    });
+
+  } catch (error) {
+    console.error('PDF merge error:', error);
+    res.status(500).json({ 
+      error: error.message || 'Failed to queue PDF merge' 
+    });
+  }
+});
+
+// PDF page operation endpoint - split, extract, delete, reorder or rotate pages of one PDF.
+// Accepts multipart/form-data, a raw binary body (options in the query string) or legacy base64 JSON.
+router.post('/pdf/:operation', requireFeature('pdf'), conversionInput, validateUploads({ accept: ['pdf'] }), (req, res) => {
+  try {
+    const { buffer, options } = getConversionInput(req);
+    const { operation } = req.params;
+
+    if (!buffer) {
+      return res.status(400).json({ 
+        error: 'Missing required parameter: file' 
+      });
+    }
+
+    let operationOptions;
+    let passwordOptions;
+    try {
+      operationOptions = pdfConverter.parsePageOperation(operation, options);
+      passwordOptions = getPasswordOptions(options);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: error.message 
+      });
+    }
+
+    const job = jobQueue.enqueue({
+      type: `pdf-${operation}`,
+      format: 'pdf',
+      ownerId: req.user ? req.user.id : null,
+      usage: getUsageOptions(req, buffer.length),
+      history: getHistoryOptions(req, [getInputName(req, options)], options),
+      handler: ({ jobId, signal }) => pdfController.processPages({
+        operation,
+        buffers: [buffer],
+        options: operationOptions,
+        ...passwordOptions,
+        jobId,
+        signal,
+        download: getDownloadOptions(req, options)
+      })
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `PDF ${operation} queued`,
+      jobId: job.jobId,
+      token: job.token,
+      statusUrl: `/api/jobs/${job.jobId}`
+    });
+
+  } catch (error) {
+    console.error('PDF page operation error:', error);
+    res.status(500).json({ 
+      error: error.message || 'Failed to queue PDF page operation' 
+    });
+  }
+});
+
+// Download endpoint - only serves links signed by the server before they expire
+router.get('/download/:filename', async (req, res) => {
+  const filename = req.params.filename;
+  let claimed = false;
+
+  /**
+   * Let other requests download the one-time file again, once per claim
+   */
+  const release = () => {
+    if (claimed) {
+      claimed = false;
+      activeOneTimeDownloads.delete(filename);
+    }
+  };
+
+  try {
+    const link = downloadSigner.verify(filename, req.query, req.user ? req.user.id : null);
+    if (!link.valid) {
+      return res.status(403).json({ 
+        error: link.reason 
+      });
+    }
+    
+    let served = false;
+
+    if (link.oneTime) {
+      if (activeOneTimeDownloads.has(filename)) {
+        return res.status(404).json({ 
+          error: 'File not found or expired' 
+        });
+      }
+
+      // Claimed before the first await, so concurrent requests for the link cannot both read the file.
+      // One-time files are removed once the download has been fully sent; any other outcome releases the claim.
+      claimed = true;
+      activeOneTimeDownloads.add(filename);
+
+      res.on('close', () => {
+        if (!served || !res.writableFinished) {
+          release();
+          return;
+        }
+
+        storage.delete(filename)
+          .catch(error => {
+            console.warn(`Warning: Could not delete downloaded file: ${error.message}`);
+          })
+          .finally(release);
+      });
+    }
     
-    // Get file from temporary storage (in production, use proper storage)
-    // For demo purposes, we'll implement a simple in-memory storage
-    const fileData = global.tempFiles && global.tempFiles[filename];
+    // Get file from the configured storage backend
+    const fileData = await storage.get(filename);
     
     if (!fileData) {
+      release();
       return res.status(404).json({ 
         error: 'File not found or expired' 
       });
@@ -106,16 +778,12 @@ router.get('/download/:filename', (req, res) => {
       'Content-Length': fileData.buffer.length
     });
 
+    // Everything but one-time files stays until the storage backend expires it
+    served = true;
     res.send(fileData.buffer);
 
-    // Clean up file after download
-    setTimeout(() => {
-      if (global.tempFiles && global.tempFiles[filename]) {
-        delete global.tempFiles[filename];
-      }
-    }, 60000); // Delete after 1 minute
-
   } catch (error) {
+    release();
     console.error('Download error:', error);
     res.status(500).json({ 
       error: 'Failed to download file' 
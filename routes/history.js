@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const historyStore = require('../utils/historyStore');
+const storage = require('../utils/storage');
+const downloadSigner = require('../utils/downloadSigner');
+
+/**
+ * Prepare a history entry for the client, with a fresh download link while the file is retained
+ * @param {Object} entry - Stored history entry
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object>} History entry
+ */
+async function presentEntry(entry, userId) {
+  const { filename, oneTime, ...details } = entry;
+  const available = Boolean(filename) && await storage.has(filename);
+
+  return {
+    ...details,
+    downloadUrl: available ? downloadSigner.createUrl(filename, { ownerId: userId, oneTime }) : null,
+    expiresAt: available ? new Date(new Date(entry.createdAt).getTime() + storage.ttl).toISOString() : null
+  };
+}
+
+/**
+ * Delete the retained output files of history entries
+ * @param {Array<Object>} entries - Deleted history entries
+ */
+async function deleteFiles(entries) {
+  for (const entry of entries) {
+    if (!entry.filename) continue;
+
+    try {
+      await storage.delete(entry.filename);
+    } catch (error) {
+      console.warn(`Warning: Could not delete file of history entry: ${error.message}`);
+    }
+  }
+}
+
+// List the signed-in user's conversions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const entries = await historyStore.list(req.user.id);
+
+    res.json({
+      success: true,
+      entries: await Promise.all(entries.map(entry => presentEntry(entry, req.user.id)))
+    });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({
+      error: 'Failed to get conversion history'
+    });
+  }
+});
+
+// Get one conversion, including the settings needed to run it again
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await historyStore.get(req.user.id, req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'History entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      entry: await presentEntry(entry, req.user.id)
+    });
+  } catch (error) {
+    console.error('Get history entry error:', error);
+    res.status(500).json({
+      error: 'Failed to get history entry'
+    });
+  }
+});
+
+// Delete one conversion and its converted file
+router.delete('/:id', async (req, res) => {
+  try {
+    const entry = await historyStore.remove(req.user.id, req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'History entry not found'
+      });
+    }
+
+    await deleteFiles([entry]);
+
+    res.json({
+      success: true,
+      message: 'History entry deleted'
+    });
+  } catch (error) {
+    console.error('Delete history entry error:', error);
+    res.status(500).json({
+      error: 'Failed to delete history entry'
+    });
+  }
+});
+
+// Delete the whole history and its converted files
+router.delete('/', async (req, res) => {
+  try {
+    const entries = await historyStore.clear(req.user.id);
+    await deleteFiles(entries);
+
+    res.json({
+      success: true,
+      message: 'History cleared',
+      deleted: entries.length
+    });
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({
+      error: 'Failed to clear conversion history'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../utils/jobQueue');
+const progressHub = require('../utils/progressHub');
+
+/**
+ * Middleware to ensure the caller owns the requested job.
+ * Ownership is proven by the signed-in session or the job token
+ * (X-Job-Token header or token query parameter).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function ensureJobOwner(req, res, next) {
+  const { id } = req.params;
+
+  if (!jobQueue.getStatus(id)) {
+    return res.status(404).json({
+      error: 'Job not found or expired'
+    });
+  }
+
+  const isOwner = progressHub.isOwner(id, {
+    userId: req.user ? req.user.id : null,
+    token: req.get('X-Job-Token') || req.query.token
+  });
+
+  if (!isOwner) {
+    return res.status(403).json({
+      error: 'Not authorized to access this job'
+    });
+  }
+
+  next();
+}
+
+// Job status endpoint
+router.get('/:id', ensureJobOwner, (req, res) => {
+  res.json({
+    success: true,
+    job: jobQueue.getStatus(req.params.id)
+  });
+});
+
+// Job cancellation endpoint
+router.delete('/:id', ensureJobOwner, (req, res) => {
+  const cancelled = jobQueue.cancel(req.params.id);
+
+  if (!cancelled) {
+    return res.status(409).json({
+      error: 'Job has already finished',
+      job: jobQueue.getStatus(req.params.id)
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Job cancelled',
+    job: jobQueue.getStatus(req.params.id)
+  });
+});
+
+module.exports = router;
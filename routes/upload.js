@@ -1,38 +1,15 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
+const imageConverter = require('../utils/imageConverter');
+const pdfConverter = require('../utils/pdfConverter');
+const pdfRenderer = require('../utils/pdfRenderer');
+const { SUPPORTED_IMAGE_TYPES, SUPPORTED_PDF_TYPES, createUpload, validateUploads } = require('../middleware/upload');
 const router = express.Router();
 
-// Supported file types
-const SUPPORTED_IMAGE_TYPES = [
-  'image/jpeg', 'image/jpg', 'image/png', 'image/webp', 
-  'image/bmp', 'image/gif', 'image/tiff', 'image/heic'
-];
-const SUPPORTED_PDF_TYPES = ['application/pdf'];
-const ALL_SUPPORTED_TYPES = [...SUPPORTED_IMAGE_TYPES, ...SUPPORTED_PDF_TYPES];
-
-// Multer configuration for in-memory storage
-const storage = multer.memoryStorage();
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
-    files: 1 // Only one file at a time for now
-  },
-  fileFilter: (req, file, cb) => {
-    console.log('File MIME type:', file.mimetype);
-    
-    if (ALL_SUPPORTED_TYPES.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Unsupported file type: ${file.mimetype}. Supported types: Images (jpg, jpeg, png, webp, bmp, gif, tiff, heic) and PDF files.`), false);
-    }
-  }
-});
+// Only one file at a time here, batches go through /api/convert/batch
+const upload = createUpload({ files: 1 });
 
 // File upload endpoint
-router.post('/file', upload.single('file'), (req, res) => {
+router.post('/file', upload.single('file'), validateUploads(), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -74,16 +51,79 @@ router.post('/file', upload.single('file'), (req, res) => {
   }
 });
 
-// Get supported formats
-router.get('/formats', (req, res) => {
+// File analysis endpoint - returns format-specific details of an uploaded image or PDF.
+// Encrypted PDFs can be opened with an optional `password` field.
+router.post('/analyze', upload.single('file'), validateUploads(), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No file uploaded' 
+      });
+    }
+
+    const { buffer, originalname, mimetype, size } = req.file;
+    const isPDF = SUPPORTED_PDF_TYPES.includes(mimetype);
+    let analysis;
+
+    if (isPDF) {
+      const password = req.body && typeof req.body.password === 'string' ? req.body.password : undefined;
+      analysis = await pdfConverter.getPDFInfo(buffer, password);
+
+      if (!analysis.isValid) {
+        return res.status(400).json({ 
+          error: `Could not read PDF: ${analysis.error}` 
+        });
+      }
+    } else {
+      try {
+        analysis = await imageConverter.getImageInfo(buffer);
+      } catch (error) {
+        return res.status(400).json({ 
+          error: `Could not read image: ${error.message}` 
+        });
+      }
+    }
+
+    console.log(`File analyzed: ${originalname} (${size} bytes)`);
+
+    res.json({
+      success: true,
+      fileInfo: {
+        originalName: originalname,
+        mimeType: mimetype,
+        size,
+        isImage: SUPPORTED_IMAGE_TYPES.includes(mimetype),
+        isPDF
+      },
+      analysis: {
+        type: isPDF ? 'pdf' : 'image',
+        ...analysis
+      }
+    });
+
+  } catch (error) {
+    console.error('Analysis error:', error);
+    res.status(500).json({ 
+      error: 'Failed to analyze uploaded file' 
+    });
+  }
+});
+
+// Get supported formats: what the upload validator accepts and the running sharp build can read and write
+router.get('/formats', async (req, res) => {
+  const pdfOutputFormats = ['pdf'];
+  if (await pdfRenderer.isAvailable()) {
+    pdfOutputFormats.push(...pdfRenderer.getRenderFormats());
+  }
+
   res.json({
     supportedFormats: {
-      images: ['jpg', 'jpeg', 'png', 'webp', 'bmp', 'gif', 'tiff', 'heic'],
+      images: await imageConverter.getSupportedInputFormats(),
       pdf: ['pdf']
     },
     outputFormats: {
-      images: ['jpg', 'jpeg', 'png', 'webp', 'bmp', 'gif', 'tiff'],
-      pdf: ['pdf'] // Only compression, no format change
+      images: [...await imageConverter.getSupportedOutputFormats(), 'pdf'],
+      pdf: pdfOutputFormats // pdf is compression, image formats render the pages
     },
     maxFileSize: '50MB'
   });
@@ -12,14 +12,25 @@ const passport = require('passport');
 
 // Import configuration
 const configurePassport = require('./config/passport');
+const { getProviders } = require('./config/providers');
+const { hasRole } = require('./config/roles');
+const progressHub = require('./utils/progressHub');
+const adminStats = require('./utils/adminStats');
+const userStore = require('./utils/userStore');
+const fileValidator = require('./utils/fileValidator');
+const FileSessionStore = require('./utils/sessionStore');
 
 // Import routes
 const uploadRoutes = require('./routes/upload');
 const convertRoutes = require('./routes/convert');
 const authRoutes = require('./routes/auth');
+const jobRoutes = require('./routes/jobs');
+const historyRoutes = require('./routes/history');
+const adminRoutes = require('./routes/admin');
 
 // Import middleware
-const { addUserContext, optionalAuthentication } = require('./middleware/auth');
+const { addUserContext, optionalAuthentication, ensureAuthenticated, authenticateToken, requireScope, requireRole, restrictLargeUploads, isRoleError, sendRoleError } = require('./middleware/auth');
+const { enforceQuota } = require('./middleware/quota');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,9 +39,9 @@ const wss = new WebSocket.Server({ server });
 const PORT = process.env.PORT || 3000;
 
 // Validate required environment variables
-if (!process.env.GITHUB_CLIENT_ID || !process.env.GITHUB_CLIENT_SECRET) {
-  console.warn('Warning: GitHub OAuth credentials not configured. Please set GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET environment variables.');
-  console.warn('You can copy .env.example to .env and fill in your GitHub OAuth app credentials.');
+if (!getProviders().some(provider => provider.configured)) {
+  console.warn('Warning: No login provider configured. Please set GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET (or the Google, GitLab or OIDC equivalents) environment variables.');
+  console.warn('You can copy .env.example to .env and fill in your OAuth app credentials.');
 }
 
 // Security middleware
@@ -60,8 +71,18 @@ app.use(cors({
   credentials: true
 }));
 
-// Session configuration
-app.use(session({
+// Session configuration - sessions are kept in a file so sign-ins survive restarts,
+// unless SESSION_STORE=memory is set
+const sessionStore = (process.env.SESSION_STORE || 'file').toLowerCase() === 'memory'
+  ? new session.MemoryStore()
+  : new FileSessionStore({
+    file: process.env.SESSION_STORE_PATH || path.join(__dirname, 'data', 'sessions.json'),
+    sweepInterval: 15 * 60 * 1000, // 15 minutes
+    touchDelay: 60 * 1000 // 1 minute
+  });
+
+const sessionParser = session({
+  store: sessionStore,
   secret: process.env.SESSION_SECRET || 'your-default-secret-change-in-production',
   resave: false,
   saveUninitialized: false,
@@ -70,45 +91,73 @@ app.use(session({
     httpOnly: true,
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
-}));
+});
+app.use(sessionParser);
 
 // Initialize Passport
 configurePassport();
 app.use(passport.initialize());
 app.use(passport.session());
 
+// API tokens (Authorization: Bearer) authenticate scripted requests to any API route
+app.use('/api', authenticateToken);
+
 // Add user context to all requests
 app.use(addUserContext);
 
+// Conversion routes parse their own bodies (multipart, raw binary or legacy base64 JSON),
+// so they are mounted before the general body parsers and their smaller limits.
+// Uploads over LARGE_FILE_MB may be restricted by role before anything is read.
+app.use('/api/convert', optionalAuthentication, requireScope('convert'), restrictLargeUploads, enforceQuota, convertRoutes);
+
 // Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// WebSocket connection handling for progress updates
-wss.on('connection', (ws) => {
+// WebSocket connection handling for per-job progress updates and live admin statistics
+wss.on('connection', (ws, req) => {
   console.log('Client connected for progress updates');
+
+  // Resolve the session so clients can follow jobs they created while signed in,
+  // and admins can follow server statistics
+  sessionParser(req, {}, async () => {
+    const userId = progressHub.getSessionUserId(req.session);
+    let isAdmin = false;
+
+    try {
+      isAdmin = hasRole(userId ? await userStore.get(userId) : null, 'admin');
+    } catch (error) {
+      console.error('WebSocket user lookup error:', error.message);
+    }
+
+    progressHub.handleConnection(ws, { userId, isAdmin });
+  });
   
   ws.on('close', () => {
     console.log('Client disconnected');
   });
 });
 
-// Make WebSocket server available to routes
-app.set('wss', wss);
-
 // Routes
 app.use('/auth', authRoutes);
-app.use('/api/upload', optionalAuthentication, uploadRoutes);
-app.use('/api/convert', optionalAuthentication, convertRoutes);
+app.use('/api/upload', optionalAuthentication, requireScope('convert'), restrictLargeUploads, uploadRoutes);
+app.use('/api/jobs', optionalAuthentication, requireScope('convert'), jobRoutes);
+app.use('/api/history', ensureAuthenticated, requireScope('history'), historyRoutes);
+app.use('/api/admin', requireRole('admin'), requireScope('admin'), adminRoutes);
 
 // Root route
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Admin dashboard - the page itself is public, its data is only served to admins
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Error:', error);
@@ -124,6 +173,16 @@ app.use((error, req, res, next) => {
     });
   }
   
+  // Upload validation failures say which check failed
+  if (fileValidator.isValidationError(error)) {
+    return res.status(error.status).json(fileValidator.toResponse(error));
+  }
+
+  // Uploads over the size allowed for the user's role
+  if (isRoleError(error)) {
+    return sendRoleError(res, error);
+  }
+  
   res.status(error.status || 500).json({ 
     error: error.message || 'Internal server error' 
   });
@@ -136,6 +195,7 @@ app.use((req, res) => {
 
 // Start server
 server.listen(PORT, () => {
+  adminStats.start(2000); // Live dashboard updates every 2 seconds
   console.log(`Server running on port ${PORT}`);
   console.log(`Open http://localhost:${PORT} to view the application`);
 });
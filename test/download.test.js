@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.DOWNLOAD_SECRET = 'test-download-secret';
+process.env.STORAGE_BACKEND = 'memory';
+
+const storage = require('../utils/storage');
+const downloadSigner = require('../utils/downloadSigner');
+const convertRoutes = require('../routes/convert');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/convert', convertRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Store a converted file and sign a link to it
+ * @param {Object} options - Link options (oneTime)
+ * @returns {Promise<Object>} File name and download URL
+ */
+async function storeFile(options) {
+  const filename = downloadSigner.createFilename('converted', 'txt');
+  await storage.put(filename, Buffer.from('converted file'), { mimeType: 'text/plain', originalName: 'converted.txt' });
+  return { filename, url: baseUrl + downloadSigner.createUrl(filename, options) };
+}
+
+test('reusable links can be downloaded repeatedly', async () => {
+  const { url } = await storeFile();
+
+  for (let i = 0; i < 2; i++) {
+    const response = await fetch(url);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'converted file');
+  }
+});
+
+test('one-time links are removed after the first download', async () => {
+  const { filename, url } = await storeFile({ oneTime: true });
+
+  assert.strictEqual((await fetch(url)).status, 200);
+  // The file is deleted once the response has closed
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(await storage.get(filename), null);
+  assert.strictEqual((await fetch(url)).status, 404);
+});
+
+test('concurrent downloads of a one-time link are served once', async (t) => {
+  const { url } = await storeFile({ oneTime: true });
+
+  // Slow reads that finish together, so all requests are in flight at the same time
+  const get = storage.get.bind(storage);
+  const readsDone = new Promise(resolve => setTimeout(resolve, 100));
+  t.mock.method(storage, 'get', async (key) => {
+    await readsDone;
+    return get(key);
+  });
+
+  const responses = await Promise.all([fetch(url), fetch(url), fetch(url)]);
+  await Promise.all(responses.map(response => response.arrayBuffer()));
+
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 404, 404]);
+});
+
+test('a one-time link is released when its file was not found', async () => {
+  const filename = downloadSigner.createFilename('converted', 'txt');
+  const url = baseUrl + downloadSigner.createUrl(filename, { oneTime: true });
+
+  assert.strictEqual((await fetch(url)).status, 404);
+
+  await storage.put(filename, Buffer.from('converted file'), { mimeType: 'text/plain', originalName: 'converted.txt' });
+  assert.strictEqual((await fetch(url)).status, 200);
+});
+
+test('unsigned links are refused', async () => {
+  const { filename } = await storeFile();
+  assert.strictEqual((await fetch(`${baseUrl}/api/convert/download/${filename}`)).status, 403);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DOWNLOAD_SECRET = 'test-download-secret';
+process.env.DOWNLOAD_URL_TTL_MINUTES = '5';
+
+const downloadSigner = require('../utils/downloadSigner');
+
+/**
+ * Split a download URL into its file name and query
+ * @param {string} url - URL from createUrl
+ * @returns {Object} File name and query object
+ */
+function parseUrl(url) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  return {
+    filename: decodeURIComponent(pathname.split('/').pop()),
+    query: Object.fromEntries(searchParams)
+  };
+}
+
+test('file names are unguessable and keep their extension', () => {
+  const first = downloadSigner.createFilename('converted', 'webp');
+  const second = downloadSigner.createFilename('converted', 'webp');
+
+  assert.match(first, /^converted_[A-Za-z0-9_-]{22}\.webp$/);
+  assert.notStrictEqual(first, second);
+});
+
+test('a signed link is valid for its file', () => {
+  const url = downloadSigner.createUrl('converted_abc.png');
+  const { filename, query } = parseUrl(url);
+
+  assert.strictEqual(filename, 'converted_abc.png');
+  assert.deepStrictEqual(downloadSigner.verify(filename, query, null), { valid: true, oneTime: false });
+});
+
+test('links expire after the configured time', (t) => {
+  const { filename, query } = parseUrl(downloadSigner.createUrl('converted_abc.png'));
+
+  assert.ok(Number(query.expires) - Date.now() <= 5 * 60 * 1000);
+
+  t.mock.method(Date, 'now', () => Number(query.expires) + 1);
+  assert.deepStrictEqual(downloadSigner.verify(filename, query, null),
+    { valid: false, reason: 'Download link has expired' });
+});
+
+test('links without a signature are refused', () => {
+  const { filename, query } = parseUrl(downloadSigner.createUrl('converted_abc.png'));
+
+  assert.strictEqual(downloadSigner.verify(filename, { expires: query.expires }, null).valid, false);
+  assert.strictEqual(downloadSigner.verify(filename, { sig: query.sig }, null).reason,
+    'Download link is missing its signature');
+});
+
+test('tampered links are refused', () => {
+  const { filename, query } = parseUrl(downloadSigner.createUrl('converted_abc.png'));
+  const invalid = { valid: false, reason: 'Download link is invalid or belongs to another user' };
+
+  assert.deepStrictEqual(downloadSigner.verify('converted_xyz.png', query, null), invalid);
+  assert.deepStrictEqual(downloadSigner.verify(filename, { ...query, expires: String(Number(query.expires) + 1000) }, null), invalid);
+  assert.deepStrictEqual(downloadSigner.verify(filename, { ...query, sig: query.sig.slice(0, -1) }, null), invalid);
+  assert.deepStrictEqual(downloadSigner.verify(filename, { ...query, sig: ['a', 'b'] }, null), invalid);
+});
+
+test('links of signed-in users only work for that user', () => {
+  const { filename, query } = parseUrl(downloadSigner.createUrl('converted_abc.png', { ownerId: 'user-1' }));
+
+  assert.strictEqual(downloadSigner.verify(filename, query, 'user-1').valid, true);
+  assert.strictEqual(downloadSigner.verify(filename, query, 'user-2').valid, false);
+  assert.strictEqual(downloadSigner.verify(filename, query, null).valid, false);
+});
+
+test('one-time links are reported and cannot be turned into reusable ones', () => {
+  const url = downloadSigner.createUrl('converted_abc.png', { oneTime: true });
+  const { filename, query } = parseUrl(url);
+
+  assert.strictEqual(query.once, '1');
+  assert.deepStrictEqual(downloadSigner.verify(filename, query, null), { valid: true, oneTime: true });
+
+  const { once, ...reusable } = query;
+  assert.strictEqual(downloadSigner.verify(filename, reusable, null).valid, false);
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { PDFDocument, PDFString } = require('@cantoo/pdf-lib');
+
+process.env.MAX_INPUT_PIXELS = '10000';
+process.env.MAX_PDF_PAGES = '3';
+
+const fileValidator = require('../utils/fileValidator');
+
+/**
+ * Create a solid image
+ * @param {string} format - Output format
+ * @param {number} size - Width and height in pixels
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function createImage(format, size = 16) {
+  return sharp({ create: { width: size, height: size, channels: 3, background: '#336699' } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+/**
+ * Create a PDF with blank pages
+ * @param {number} pageCount - Number of pages
+ * @returns {Promise<Buffer>} PDF file
+ */
+async function createPdf(pageCount) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage([200, 200]);
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Assert that a validation fails with a code
+ * @param {Promise} promise - Validation
+ * @param {number} status - Expected HTTP status
+ * @param {string} code - Expected error code
+ */
+async function assertRejected(promise, status, code) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(fileValidator.isValidationError(error));
+    assert.strictEqual(error.status, status);
+    assert.strictEqual(error.code, code);
+    return true;
+  });
+}
+
+test('image types are detected from their content', async () => {
+  for (const [format, mimeType] of [['png', 'image/png'], ['jpeg', 'image/jpeg'], ['webp', 'image/webp'], ['gif', 'image/gif'], ['tiff', 'image/tiff'], ['avif', 'image/avif']]) {
+    assert.strictEqual(fileValidator.detectType(await createImage(format)), mimeType, format);
+  }
+
+  assert.strictEqual(fileValidator.detectType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+  assert.strictEqual(fileValidator.detectType(Buffer.from('BM is not a bitmap header')), null);
+});
+
+test('valid images and PDFs pass with their pixel and page counts', async () => {
+  const image = await fileValidator.validate(await createImage('png'), { name: 'photo.png', declaredType: 'image/png' });
+  assert.deepStrictEqual(image, { mimeType: 'image/png', kind: 'image', pixels: 256 });
+
+  const pdf = await fileValidator.validate(await createPdf(2), { name: 'doc.pdf', declaredType: 'application/pdf' });
+  assert.deepStrictEqual(pdf, { mimeType: 'application/pdf', kind: 'pdf', pageCount: 2 });
+});
+
+test('the declared type is ignored when generic and compared through its aliases', async () => {
+  const jpeg = await createImage('jpeg');
+
+  assert.strictEqual((await fileValidator.validate(jpeg, { declaredType: 'application/octet-stream' })).mimeType, 'image/jpeg');
+  assert.strictEqual((await fileValidator.validate(jpeg, { declaredType: 'image/jpg' })).mimeType, 'image/jpeg');
+});
+
+test('unrecognized content is refused whatever the declared type', async () => {
+  await assertRejected(fileValidator.validate(Buffer.from('plain text pretending to be an image'), {
+    name: 'fake.png',
+    declaredType: 'image/png'
+  }), 415, 'UNRECOGNIZED_FILE');
+});
+
+test('content that does not match the declared type is refused', async () => {
+  await assertRejected(fileValidator.validate(await createImage('png'), { declaredType: 'image/jpeg' }), 415, 'TYPE_MISMATCH');
+});
+
+test('files of a kind the endpoint does not accept are refused', async () => {
+  await assertRejected(fileValidator.validate(await createImage('png'), { accept: ['pdf'] }), 415, 'UNEXPECTED_TYPE');
+  await assertRejected(fileValidator.validate(await createPdf(1), { accept: ['image'] }), 415, 'UNEXPECTED_TYPE');
+});
+
+test('files hiding a second format are refused', async () => {
+  const png = await createImage('png');
+
+  for (const payload of ['<script>alert(1)</script>', '%PDF-1.4\n', 'PK\x05\x06' + '\0'.repeat(18)]) {
+    await assertRejected(fileValidator.validate(Buffer.concat([png, Buffer.from(payload, 'latin1')])), 400, 'POLYGLOT_FILE');
+  }
+});
+
+test('PDFs may contain markup in their content', async () => {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([200, 200]);
+  // Rich-text annotations store their text as XHTML
+  const annotation = pdfDoc.context.register(pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'FreeText',
+    Rect: [10, 10, 190, 50],
+    RC: PDFString.of('<?xml version="1.0"?><body xmlns="http://www.w3.org/1999/xhtml"><p>Note</p></body>')
+  }));
+  page.node.addAnnot(annotation);
+  const pdf = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+
+  assert.ok(pdf.includes('<body xmlns'));
+  assert.strictEqual((await fileValidator.validate(pdf)).mimeType, 'application/pdf');
+});
+
+test('markup before the header of a PDF is refused', async () => {
+  const polyglot = Buffer.concat([Buffer.from('<html><script>alert(1)</script></html>\n'), await createPdf(1)]);
+
+  assert.strictEqual(fileValidator.findEmbeddedMarkup(polyglot, 'application/pdf'), 'HTML or script markup');
+});
+
+test('files with a valid header but unreadable content are refused', async () => {
+  const png = await createImage('png');
+
+  await assertRejected(fileValidator.validate(png.subarray(0, 40)), 400, 'UNREADABLE_FILE');
+  await assertRejected(fileValidator.validate(Buffer.from('%PDF-1.7\nnot a document')), 400, 'UNREADABLE_FILE');
+});
+
+test('images over the pixel limit are refused before decoding', async () => {
+  await assertRejected(fileValidator.validate(await createImage('png', 101)), 413, 'TOO_MANY_PIXELS');
+});
+
+test('PDFs over the page limit are refused', async () => {
+  await assertRejected(fileValidator.validate(await createPdf(4)), 413, 'TOO_MANY_PAGES');
+});
+
+test('sharp pixel limit failures become validation errors', () => {
+  const error = fileValidator.fromDecodeError(new Error('Input image exceeds pixel limit'), 'big.png');
+  assert.strictEqual(error.code, 'TOO_MANY_PIXELS');
+  assert.deepStrictEqual(fileValidator.toResponse(error).details, { file: 'big.png', limit: 10000 });
+
+  const other = new Error('Input buffer contains unsupported image format');
+  assert.strictEqual(fileValidator.fromDecodeError(other, 'big.png'), other);
+});
+
+test('streamed images are checked as they pass through', async () => {
+  const png = await createImage('png');
+
+  /**
+   * Stream a file through a validator in small chunks
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Buffer>} Bytes that came out of the validator
+   */
+  const streamThrough = async (buffer) => {
+    const chunks = [];
+    const source = Readable.from(Array.from({ length: Math.ceil(buffer.length / 10) }, (_, i) => buffer.subarray(i * 10, i * 10 + 10)));
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+    await pipeline(source, fileValidator.createStreamValidator({ name: 'stream.png' }), sink);
+    return Buffer.concat(chunks);
+  };
+
+  assert.ok((await streamThrough(png)).equals(png));
+
+  await assert.rejects(streamThrough(Buffer.from('x'.repeat(100))), { code: 'UNRECOGNIZED_FILE' });
+  await assert.rejects(streamThrough(Buffer.concat([png, Buffer.from('<html><body>hi</body></html>')])), { code: 'POLYGLOT_FILE' });
+});
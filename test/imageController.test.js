@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+
+process.env.MAX_INPUT_PIXELS = '10000';
+
+const imageController = require('../controllers/imageController');
+
+/**
+ * Create a solid PNG image
+ * @param {number} size - Width and height in pixels
+ * @returns {Promise<Buffer>} PNG image
+ */
+function createImage(size) {
+  return sharp({ create: { width: size, height: size, channels: 3, background: '#336699' } }).png().toBuffer();
+}
+
+test('images are converted and stored for download', async () => {
+  const result = await imageController.convertImage({ buffer: await createImage(16), outputFormat: 'webp', compressionLevel: 'medium' });
+
+  assert.strictEqual(result.outputFormat, 'webp');
+  assert.deepStrictEqual(result.dimensions, { width: 16, height: 16 });
+  assert.match(result.downloadUrl, /^\/api\/convert\/download\//);
+});
+
+test('pixel limit failures keep their validation code', async () => {
+  await assert.rejects(imageController.convertImage({ buffer: await createImage(101), outputFormat: 'webp', compressionLevel: 'medium' }),
+    { status: 413, code: 'TOO_MANY_PIXELS' });
+});
+
+test('option errors found during conversion keep their code', async () => {
+  const buffer = await createImage(16);
+
+  await assert.rejects(imageController.convertImage({ buffer, outputFormat: 'png', compressionLevel: 'medium', crop: { left: 10, top: 10, width: 10, height: 10 } }),
+    { status: 400, code: 'CROP_OUT_OF_BOUNDS' });
+  await assert.rejects(imageController.convertImage({ buffer, outputFormat: 'png', compressionLevel: 'medium', targetSize: 1000 }),
+    { status: 400, code: 'TARGET_SIZE_UNSUPPORTED' });
+  await assert.rejects(imageController.convertImage({ buffer, outputFormat: 'jpeg', compressionLevel: 'medium', targetSize: 10 }),
+    { status: 422, code: 'TARGET_SIZE_UNREACHABLE' });
+});
+
+test('other failures are reported as conversion failures', async () => {
+  await assert.rejects(imageController.convertImage({ buffer: Buffer.from('not an image'), outputFormat: 'png', compressionLevel: 'medium' }),
+    (error) => error.message.startsWith('Image conversion failed:') && error.code === undefined);
+});
+
+test('building a PDF keeps the code of a failed image', async (t) => {
+  const pdfConverter = require('../utils/pdfConverter');
+  const coded = Object.assign(new Error('Password required'), { code: 'PDF_PASSWORD_REQUIRED' });
+  t.mock.method(pdfConverter, 'createFromImages', async () => {
+    throw coded;
+  });
+
+  await assert.rejects(imageController.convertToPDF({ files: [{ originalname: 'a.png', buffer: await createImage(16) }] }), coded);
+});
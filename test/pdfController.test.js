@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument } = require('@cantoo/pdf-lib');
+
+const pdfConverter = require('../utils/pdfConverter');
+const pdfController = require('../controllers/pdfController');
+
+test('compression parses the document once', async (t) => {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < 3; i++) {
+    pdfDoc.addPage([200, 200]);
+  }
+  const loadDocument = t.mock.method(pdfConverter, 'loadDocument');
+
+  const result = await pdfController.compressPDF({ buffer: Buffer.from(await pdfDoc.save()), compressionLevel: 'medium' });
+
+  assert.strictEqual(loadDocument.mock.callCount(), 1);
+  assert.strictEqual(result.pageCount, 3);
+  assert.match(result.downloadUrl, /^\/api\/convert\/download\//);
+});
+
+test('compression keeps the code of password errors', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([200, 200]);
+  pdfDoc.encrypt({ userPassword: 'secret', ownerPassword: 'owner' });
+
+  await assert.rejects(pdfController.compressPDF({ buffer: Buffer.from(await pdfDoc.save()), compressionLevel: 'medium' }),
+    { code: 'PDF_PASSWORD_REQUIRED' });
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { PDFDocument } = require('@cantoo/pdf-lib');
+
+const pdfConverter = require('../utils/pdfConverter');
+
+/**
+ * Create an image dictionary
+ * @param {Object} entries - Dictionary entries
+ * @returns {Promise<PDFDict>} Dictionary
+ */
+async function createDict(entries = {}) {
+  const pdfDoc = await PDFDocument.create();
+  return pdfDoc.context.obj(entries);
+}
+
+test('Flate images are inflated to their raw pixels', async () => {
+  const pixels = Buffer.alloc(4 * 3 * 3, 200);
+  const decoded = pdfConverter.decodeFlateImage(await createDict(), zlib.deflateSync(pixels), 4, 3, 3);
+
+  assert.ok(decoded.equals(pixels));
+});
+
+test('PNG predictors are undone', async () => {
+  // Two gray rows of 3 pixels: "none" filter, then "up" filter adding 1 to each pixel
+  const filtered = Buffer.from([0, 10, 20, 30, 2, 1, 1, 1]);
+  const dict = await createDict({ DecodeParms: { Predictor: 12, Colors: 1, Columns: 3 } });
+  const decoded = pdfConverter.decodeFlateImage(dict, zlib.deflateSync(filtered), 3, 2, 1);
+
+  assert.deepStrictEqual([...decoded], [10, 20, 30, 11, 21, 31]);
+});
+
+test('streams inflating to more than the image size are left unchanged', async () => {
+  // A few kilobytes that would inflate to 16MB
+  const bomb = zlib.deflateSync(Buffer.alloc(16 * 1024 * 1024));
+
+  assert.strictEqual(pdfConverter.decodeFlateImage(await createDict(), bomb, 10, 10, 1), null);
+
+  const dict = await createDict({ DecodeParms: { Predictor: 15 } });
+  assert.strictEqual(pdfConverter.decodeFlateImage(dict, bomb, 10, 10, 1), null);
+});
+
+test('streams too short for the image are left unchanged', async () => {
+  assert.strictEqual(pdfConverter.decodeFlateImage(await createDict(), zlib.deflateSync(Buffer.alloc(10)), 10, 10, 1), null);
+});
+
+test('compression reports the page count of the document', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([200, 200]);
+  pdfDoc.addPage([200, 200]);
+
+  const result = await pdfConverter.compress({ buffer: Buffer.from(await pdfDoc.save()), compressionLevel: 'medium' });
+  assert.strictEqual(result.pageCount, 2);
+});
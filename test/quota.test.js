@@ -0,0 +1,146 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.QUOTA_ANONYMOUS_CONVERSIONS = '2';
+process.env.QUOTA_ANONYMOUS_MB = '1';
+process.env.QUOTA_ANONYMOUS_CPU_SECONDS = '0';
+process.env.QUOTA_USER_CONVERSIONS = '5';
+process.env.QUOTA_USER_MB = '0';
+process.env.QUOTA_USER_CPU_SECONDS = '10';
+
+const usageTracker = require('../utils/usageTracker');
+const { enforceQuota } = require('../middleware/quota');
+
+const MB = 1024 * 1024;
+
+beforeEach(() => {
+  usageTracker.usage.clear();
+});
+
+/**
+ * Create a request
+ * @param {Object} fields - Request fields (user, ip, method)
+ * @param {Object} headers - Request headers
+ * @returns {Object} Request stand-in
+ */
+function createRequest(fields = {}, headers = {}) {
+  return { method: 'POST', ip: '203.0.113.7', user: null, get: name => headers[name], ...fields };
+}
+
+/**
+ * Run the quota middleware
+ * @param {Object} req - Request stand-in
+ * @returns {Object} Whether next was called, the status, headers and response body
+ */
+function run(req) {
+  const result = { called: false, status: null, headers: {}, body: null };
+  const res = {
+    set(name, value) {
+      result.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  enforceQuota(req, res, () => {
+    result.called = true;
+  });
+  return result;
+}
+
+test('limits come from the environment and 0 disables a limit', () => {
+  assert.deepStrictEqual(usageTracker.getLimits('ip:203.0.113.7'), { conversions: 2, bytesIn: MB, cpuMs: null });
+  assert.deepStrictEqual(usageTracker.getLimits('user:1'), { conversions: 5, bytesIn: null, cpuMs: 10000 });
+});
+
+test('usage is charged to the signed-in user or the client IP', () => {
+  assert.strictEqual(usageTracker.getKey(createRequest()), 'ip:203.0.113.7');
+  assert.strictEqual(usageTracker.getKey(createRequest({ user: { id: 'u1' } })), 'user:u1');
+});
+
+test('requests within the quota pass and remember who to charge', () => {
+  const req = createRequest();
+  assert.ok(run(req).called);
+  assert.strictEqual(req.usageKey, 'ip:203.0.113.7');
+});
+
+test('anonymous users are refused once their conversions are used up', () => {
+  usageTracker.record('ip:203.0.113.7', { conversions: 2 });
+
+  const result = run(createRequest());
+
+  assert.ok(!result.called);
+  assert.strictEqual(result.status, 429);
+  assert.strictEqual(result.body.error, 'Daily conversion quota reached. Sign in for a higher allowance');
+  assert.strictEqual(result.body.code, 'QUOTA_EXCEEDED');
+  assert.strictEqual(result.body.quota, 'conversions');
+  assert.strictEqual(result.body.limit, 2);
+  assert.strictEqual(result.body.used, 2);
+  assert.strictEqual(result.body.authenticated, false);
+  assert.strictEqual(result.body.resetAt, new Date(usageTracker.getResetTime()).toISOString());
+
+  const retryAfter = Number(result.headers['Retry-After']);
+  assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+});
+
+test('other subjects keep their own allowance', () => {
+  usageTracker.record('ip:203.0.113.7', { conversions: 2 });
+
+  assert.ok(run(createRequest({ ip: '198.51.100.1' })).called);
+  assert.ok(run(createRequest({ user: { id: 'u1' } })).called);
+});
+
+test('uploads that would go over the volume quota are refused up front', () => {
+  usageTracker.record('ip:203.0.113.7', { conversions: 1, bytesIn: MB / 2 });
+
+  assert.ok(run(createRequest({}, { 'Content-Length': String(MB / 4) })).called);
+
+  const result = run(createRequest({}, { 'Content-Length': String(MB) }));
+  assert.strictEqual(result.status, 429);
+  assert.strictEqual(result.body.quota, 'bytesIn');
+  assert.strictEqual(result.body.used, MB / 2);
+});
+
+test('signed-in users are limited by processing time', () => {
+  usageTracker.record('user:u1', { conversions: 1, cpuMs: 10000 });
+
+  const result = run(createRequest({ user: { id: 'u1' } }));
+  assert.strictEqual(result.status, 429);
+  assert.strictEqual(result.body.error, 'Daily processing time quota reached');
+  assert.strictEqual(result.body.quota, 'cpuMs');
+  assert.strictEqual(result.body.authenticated, true);
+});
+
+test('only new conversions are checked', () => {
+  usageTracker.record('ip:203.0.113.7', { conversions: 2 });
+
+  const req = createRequest({ method: 'GET' });
+  assert.ok(run(req).called);
+  assert.strictEqual(req.usageKey, undefined);
+});
+
+test('the summary reports usage and remaining allowance', () => {
+  usageTracker.record('ip:203.0.113.7', { conversions: 1, bytesIn: 1000, bytesOut: 500, cpuMs: 20 });
+
+  const summary = usageTracker.getSummary('ip:203.0.113.7');
+  assert.strictEqual(summary.subject, 'ip');
+  assert.deepStrictEqual(summary.usage, { conversions: 1, bytesIn: 1000, bytesOut: 500, cpuMs: 20 });
+  assert.deepStrictEqual(summary.remaining, { conversions: 1, bytesIn: MB - 1000, cpuMs: null });
+});
+
+test('quotas reset at midnight UTC', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-03-01T23:59:00Z') });
+
+  usageTracker.record('ip:203.0.113.7', { conversions: 2 });
+  assert.strictEqual(run(createRequest()).status, 429);
+  assert.strictEqual(usageTracker.getResetTime(), Date.parse('2025-03-02T00:00:00Z'));
+
+  t.mock.timers.tick(2 * 60 * 1000);
+  assert.ok(run(createRequest()).called);
+});
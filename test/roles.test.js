@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.ADMIN_USERS = 'Alice, gitlab:bob';
+process.env.ADMIN_GITHUB_ORGS = 'Acme';
+process.env.FEATURE_BATCH_ROLE = 'user';
+process.env.FEATURE_PDF_ROLE = 'admin';
+process.env.FEATURE_LARGE_FILES_ROLE = 'user';
+process.env.LARGE_FILE_MB = '2';
+
+const roles = require('../config/roles');
+const { requireRole, requireFeature, restrictLargeUploads, isRoleError } = require('../middleware/auth');
+
+const LIMIT = 2 * 1024 * 1024;
+
+/**
+ * Create a user with sign-in identities
+ * @param {...Object} identities - Identities (provider, username, orgs)
+ * @returns {Object} User stand-in
+ */
+function createUser(...identities) {
+  return { id: identities.map(identity => identity.username).join('+'), identities };
+}
+
+const anonymous = null;
+const member = createUser({ provider: 'github', username: 'dave' });
+const admin = createUser({ provider: 'github', username: 'alice' });
+
+/**
+ * Create a request
+ * @param {Object} fields - Request fields (user, method)
+ * @param {Object} headers - Request headers
+ * @returns {Object} Request stand-in
+ */
+function createRequest(fields = {}, headers = {}) {
+  return { method: 'POST', get: name => headers[name], ...fields };
+}
+
+/**
+ * Run a middleware and report whether it called next
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request stand-in
+ * @returns {Object} Whether next was called, the status and the response body
+ */
+function run(middleware, req) {
+  const result = { called: false, status: null, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  middleware(req, res, () => {
+    result.called = true;
+  });
+  return result;
+}
+
+test('users are anonymous, users or admins', () => {
+  assert.strictEqual(roles.getRole(anonymous), 'anonymous');
+  assert.strictEqual(roles.getRole(member), 'user');
+  assert.strictEqual(roles.getRole(admin), 'admin');
+});
+
+test('admins are matched by GitHub username, provider and username, or GitHub organization', () => {
+  assert.strictEqual(roles.getRole(createUser({ provider: 'github', username: 'ALICE' })), 'admin');
+  assert.strictEqual(roles.getRole(createUser({ provider: 'gitlab', username: 'bob' })), 'admin');
+  assert.strictEqual(roles.getRole(createUser({ provider: 'github', username: 'erin', orgs: ['acme'] })), 'admin');
+  assert.ok(roles.needsGitHubOrgs());
+});
+
+test('allowlist entries do not match other providers', () => {
+  assert.strictEqual(roles.getRole(createUser({ provider: 'gitlab', username: 'alice' })), 'user');
+  assert.strictEqual(roles.getRole(createUser({ provider: 'github', username: 'bob' })), 'user');
+  assert.strictEqual(roles.getRole(createUser({ provider: 'gitlab', username: 'erin', orgs: ['acme'] })), 'user');
+});
+
+test('any linked identity on an allowlist makes the user an admin', () => {
+  const linked = createUser({ provider: 'google', username: 'alice@example.com' }, { provider: 'gitlab', username: 'bob' });
+  assert.strictEqual(roles.getRole(linked), 'admin');
+});
+
+test('roles include the less privileged ones', () => {
+  assert.ok(roles.hasRole(admin, 'user'));
+  assert.ok(roles.hasRole(member, 'anonymous'));
+  assert.ok(!roles.hasRole(member, 'admin'));
+  assert.ok(!roles.hasRole(anonymous, 'user'));
+});
+
+test('features are allowed by the role set in the environment', () => {
+  assert.strictEqual(roles.getFeatureRole('batch'), 'user');
+  assert.strictEqual(roles.getFeatureRole('pdf'), 'admin');
+  assert.deepStrictEqual(roles.getAllowedFeatures(anonymous), { largeFiles: false, batch: false, pdf: false });
+  assert.deepStrictEqual(roles.getAllowedFeatures(member), { largeFiles: true, batch: true, pdf: false });
+  assert.deepStrictEqual(roles.getAllowedFeatures(admin), { largeFiles: true, batch: true, pdf: true });
+});
+
+test('requireRole lets users with the role through', () => {
+  assert.ok(run(requireRole('admin'), createRequest({ user: admin })).called);
+  assert.ok(run(requireRole('user'), createRequest({ user: admin })).called);
+});
+
+test('requireRole asks signed-out users to sign in', () => {
+  const result = run(requireRole('admin'), createRequest({ user: anonymous }));
+
+  assert.ok(!result.called);
+  assert.strictEqual(result.status, 401);
+  assert.deepStrictEqual(result.body, {
+    error: 'Sign in to use this feature',
+    code: 'AUTH_REQUIRED',
+    authRequired: true,
+    role: 'anonymous',
+    requiredRole: 'admin'
+  });
+});
+
+test('requireRole refuses signed-in users without the role', () => {
+  const result = run(requireRole('admin'), createRequest({ user: member }));
+
+  assert.ok(!result.called);
+  assert.strictEqual(result.status, 403);
+  assert.deepStrictEqual(result.body, {
+    error: 'Only admins can use this feature',
+    code: 'FORBIDDEN_ROLE',
+    role: 'user',
+    requiredRole: 'admin'
+  });
+});
+
+test('requireFeature names the refused feature', () => {
+  assert.ok(run(requireFeature('batch'), createRequest({ user: member })).called);
+
+  const result = run(requireFeature('pdf'), createRequest({ user: member }));
+  assert.strictEqual(result.status, 403);
+  assert.strictEqual(result.body.error, 'Only admins can use PDF operations');
+  assert.strictEqual(result.body.feature, 'pdf');
+});
+
+test('large uploads of known size are refused before they are read', () => {
+  const result = run(restrictLargeUploads, createRequest({ user: anonymous }, { 'Content-Length': String(LIMIT + 1) }));
+
+  assert.ok(!result.called);
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(result.body.feature, 'largeFiles');
+  assert.strictEqual(result.body.limit, LIMIT);
+});
+
+test('uploads of unknown size carry the limit for the upload readers', () => {
+  const req = createRequest({ user: anonymous });
+  assert.ok(run(restrictLargeUploads, req).called);
+
+  assert.strictEqual(req.uploadLimit.size, LIMIT);
+  assert.ok(isRoleError(req.uploadLimit.error));
+  assert.strictEqual(req.uploadLimit.error.status, 401);
+});
+
+test('users allowed large files and other methods are not limited', () => {
+  const large = { 'Content-Length': String(LIMIT + 1) };
+
+  const allowed = createRequest({ user: member }, large);
+  assert.ok(run(restrictLargeUploads, allowed).called);
+  assert.strictEqual(allowed.uploadLimit, undefined);
+
+  assert.ok(run(restrictLargeUploads, createRequest({ user: anonymous, method: 'GET' }, large)).called);
+});
@@ -0,0 +1,159 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uwauwi-tokens-'));
+process.env.TOKENS_PATH = path.join(dataDir, 'tokens.json');
+process.env.USERS_PATH = path.join(dataDir, 'users.json');
+process.env.TOKENS_MAX_PER_USER = '3';
+
+const tokenStore = require('../utils/tokenStore');
+const userStore = require('../utils/userStore');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Create a request with headers
+ * @param {Object} headers - Request headers
+ * @param {Object} fields - Other request fields
+ * @returns {Object} Request stand-in
+ */
+function createRequest(headers = {}, fields = {}) {
+  return { get: name => headers[name], ...fields };
+}
+
+/**
+ * Create a response that records what a middleware sent
+ * @returns {Object} Response stand-in
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Run a middleware and report whether it called next
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request stand-in
+ * @returns {Promise<Object>} Whether next was called and the response
+ */
+async function run(middleware, req) {
+  const res = createResponse();
+  let called = false;
+  await middleware(req, res, () => {
+    called = true;
+  });
+  return { called, res };
+}
+
+test('creation options are validated and defaulted', () => {
+  assert.deepStrictEqual(tokenStore.parseCreateOptions({ name: '  ci  ' }), { name: 'ci', scopes: ['convert'], expiresAt: null });
+  assert.deepStrictEqual(tokenStore.parseCreateOptions({ name: 'ci', scopes: ['history', 'history'] }).scopes, ['history']);
+
+  const { expiresAt } = tokenStore.parseCreateOptions({ name: 'ci', expiresInDays: 30 });
+  assert.ok(Math.abs(expiresAt - Date.now() - 30 * 24 * 60 * 60 * 1000) < 1000);
+
+  assert.throws(() => tokenStore.parseCreateOptions({}), /name/);
+  assert.throws(() => tokenStore.parseCreateOptions({ name: 'ci', scopes: [] }), /scopes/);
+  assert.throws(() => tokenStore.parseCreateOptions({ name: 'ci', scopes: ['root'] }), /scopes/);
+  assert.throws(() => tokenStore.parseCreateOptions({ name: 'ci', expiresInDays: 0 }), /expiresInDays/);
+  assert.throws(() => tokenStore.parseCreateOptions({ name: 'ci', expiresInDays: 366 }), /expiresInDays/);
+});
+
+test('created tokens verify with their scopes and only their hash is stored', async () => {
+  const { token, details } = await tokenStore.create({ id: 'user-1' }, { name: 'ci', scopes: ['convert', 'history'], expiresAt: null });
+
+  assert.match(token, /^uwt_/);
+  assert.strictEqual(details.hint, `uwt_…${token.slice(-4)}`);
+  assert.deepStrictEqual(await tokenStore.verify(token), { id: details.id, userId: 'user-1', scopes: ['convert', 'history'] });
+
+  // The use is recorded before verify returns
+  const stored = fs.readFileSync(process.env.TOKENS_PATH, 'utf8');
+  assert.ok(!stored.includes(token));
+  assert.ok(stored.includes(tokenStore.hash(token)));
+  assert.ok(JSON.parse(stored).tokens.find(record => record.id === details.id).lastUsedAt);
+});
+
+test('unknown, malformed, expired and revoked tokens do not verify', async (t) => {
+  assert.strictEqual(await tokenStore.verify('uwt_unknown'), null);
+  assert.strictEqual(await tokenStore.verify('not-a-token'), null);
+  assert.strictEqual(await tokenStore.verify(undefined), null);
+
+  const expiring = await tokenStore.create({ id: 'user-2' }, { name: 'short', scopes: ['convert'], expiresAt: new Date(Date.now() + 1000) });
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 2000);
+  assert.strictEqual(await tokenStore.verify(expiring.token), null);
+  t.mock.restoreAll();
+
+  const revoked = await tokenStore.create({ id: 'user-2' }, { name: 'revoked', scopes: ['convert'], expiresAt: null });
+  assert.strictEqual(await tokenStore.revoke('user-1', revoked.details.id), false);
+  assert.strictEqual(await tokenStore.revoke('user-2', revoked.details.id), true);
+  assert.strictEqual(await tokenStore.verify(revoked.token), null);
+});
+
+test('users only see their own tokens and cannot exceed the limit', async () => {
+  const owner = { id: 'user-3' };
+  for (const name of ['one', 'two', 'three']) {
+    await tokenStore.create(owner, { name, scopes: ['convert'], expiresAt: null });
+  }
+
+  const listed = await tokenStore.list('user-3');
+  assert.strictEqual(listed.length, 3);
+  assert.ok(listed.every(details => !('hash' in details)));
+
+  await assert.rejects(tokenStore.create(owner, { name: 'four', scopes: ['convert'], expiresAt: null }), { status: 409 });
+});
+
+test('bearer tokens authenticate requests as their user', async () => {
+  const user = await userStore.upsertFromProfile({ provider: 'github', providerId: 42, username: 'octocat', displayName: 'Octocat' });
+  const { token, details } = await tokenStore.create(user, { name: 'ci', scopes: ['convert'], expiresAt: null });
+
+  const req = createRequest({ Authorization: `Bearer ${token}` });
+  const { called } = await run(authenticateToken, req);
+
+  assert.ok(called);
+  assert.strictEqual(req.user.id, user.id);
+  assert.deepStrictEqual(req.authToken, { id: details.id, scopes: ['convert'] });
+});
+
+test('requests without a token fall through and invalid tokens are refused', async () => {
+  assert.ok((await run(authenticateToken, createRequest())).called);
+
+  const { called, res } = await run(authenticateToken, createRequest({ Authorization: 'Bearer uwt_unknown' }));
+  assert.ok(!called);
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.code, 'INVALID_TOKEN');
+  assert.strictEqual(res.headers['WWW-Authenticate'], 'Bearer error="invalid_token"');
+});
+
+test('tokens without the required scope are refused', async () => {
+  const { called, res } = await run(requireScope('history'), createRequest({}, { authToken: { id: 't', scopes: ['convert'] } }));
+
+  assert.ok(!called);
+  assert.strictEqual(res.statusCode, 403);
+  assert.deepStrictEqual(res.body, { error: 'API token is missing the "history" scope', code: 'INSUFFICIENT_SCOPE', scope: 'history' });
+  assert.strictEqual(res.headers['WWW-Authenticate'], 'Bearer error="insufficient_scope", scope="history"');
+});
+
+test('tokens with the scope and session users pass the scope check', async () => {
+  assert.ok((await run(requireScope('history'), createRequest({}, { authToken: { id: 't', scopes: ['convert', 'history'] } }))).called);
+  assert.ok((await run(requireScope('admin'), createRequest({}, { user: { id: 'session-user' } }))).called);
+});
@@ -0,0 +1,82 @@
+const jobQueue = require('./jobQueue');
+const progressHub = require('./progressHub');
+const usageTracker = require('./usageTracker');
+const userStore = require('./userStore');
+const storage = require('./storage');
+
+// Users listed in the top usage table
+const TOP_USERS = 10;
+
+class AdminStats {
+  /**
+   * Server statistics for the admin dashboard, pushed live to admins over WebSocket
+   */
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Collect a snapshot of the server's state
+   * @returns {Promise<Object>} Connections, jobs, storage and top users
+   */
+  async collect() {
+    const [storageStats, topUsers] = await Promise.all([storage.stats(), this.getTopUsers()]);
+    const memory = process.memoryUsage();
+
+    return {
+      generatedAt: new Date().toISOString(),
+      uptimeSeconds: Math.round(process.uptime()),
+      memory: {
+        rss: memory.rss,
+        heapUsed: memory.heapUsed
+      },
+      websocket: progressHub.getConnectionStats(),
+      jobs: jobQueue.getStats(),
+      storage: storageStats,
+      topUsers
+    };
+  }
+
+  /**
+   * List today's busiest signed-in users with their usage
+   * @returns {Promise<Array<Object>>} Users with their counters
+   */
+  async getTopUsers() {
+    const subjects = usageTracker.getTopSubjects({ prefix: 'user:', limit: TOP_USERS });
+
+    return Promise.all(subjects.map(async ({ key, date, ...usage }) => {
+      const id = key.slice('user:'.length);
+      const user = await userStore.get(id);
+
+      return {
+        id,
+        username: user ? user.username : null,
+        displayName: user ? user.displayName : null,
+        usage
+      };
+    }));
+  }
+
+  /**
+   * Push a snapshot to subscribed admins at a fixed interval, while any are connected
+   * @param {number} interval - Interval between snapshots in milliseconds
+   */
+  start(interval) {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (!progressHub.hasStatsSubscribers()) return;
+
+      try {
+        progressHub.publishStats(await this.collect());
+      } catch (error) {
+        console.error('Failed to collect server statistics:', error.message);
+      }
+    }, interval);
+
+    // Publishing must not keep the process alive on its own
+    this.timer.unref();
+  }
+}
+
+module.exports = new AdminStats();
@@ -0,0 +1,50 @@
+const archiver = require('archiver');
+
+class ArchiveBuilder {
+  /**
+   * Create a ZIP archive in memory
+   * @param {Array<Object>} entries - Archive entries
+   * @param {string} entries[].name - File name inside the archive
+   * @param {Buffer|string} entries[].data - File contents
+   * @returns {Promise<Buffer>} ZIP archive buffer
+   */
+  createZip(entries) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', error => console.warn('Archive warning:', error.message));
+      archive.on('error', reject);
+
+      entries.forEach(({ name, data }) => {
+        archive.append(data, { name });
+      });
+
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Make a file name unique within an archive by appending a counter
+   * @param {string} name - Desired file name
+   * @param {Set<string>} usedNames - Names already in the archive, updated in place
+   * @returns {string} Unique file name
+   */
+  uniqueName(name, usedNames) {
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+
+    let candidate = name;
+    for (let i = 1; usedNames.has(candidate.toLowerCase()); i++) {
+      candidate = `${base}-${i}${extension}`;
+    }
+
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+}
+
+module.exports = new ArchiveBuilder();
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+class DownloadSigner {
+  constructor() {
+    this.secret = process.env.DOWNLOAD_SECRET || process.env.SESSION_SECRET || 'your-default-secret-change-in-production';
+    this.ttl = (parseInt(process.env.DOWNLOAD_URL_TTL_MINUTES, 10) || parseInt(process.env.STORAGE_TTL_MINUTES, 10) || 10) * 60 * 1000;
+  }
+
+  /**
+   * Create an unguessable file name
+   * @param {string} prefix - File name prefix
+   * @param {string} extension - File extension
+   * @returns {string} File name
+   */
+  createFilename(prefix, extension) {
+    return `${prefix}_${crypto.randomBytes(16).toString('base64url')}.${extension}`;
+  }
+
+  /**
+   * Create a signed, expiring download URL
+   * @param {string} filename - Stored file name
+   * @param {Object} options - Link options
+   * @param {string|null} options.ownerId - Signed-in user the link is tied to
+   * @param {boolean} options.oneTime - Whether the file is deleted after the first download
+   * @returns {string} Download URL
+   */
+  createUrl(filename, { ownerId = null, oneTime = false } = {}) {
+    const expires = Date.now() + this.ttl;
+    const signature = this.sign({ filename, expires, ownerId, oneTime });
+
+    const params = new URLSearchParams({ expires: String(expires), sig: signature });
+    if (oneTime) params.set('once', '1');
+
+    return `/api/convert/download/${encodeURIComponent(filename)}?${params}`;
+  }
+
+  /**
+   * Verify a download request
+   * @param {string} filename - Requested file name
+   * @param {Object} query - Request query (expires, sig, once)
+   * @param {string|null} userId - Signed-in user making the request
+   * @returns {Object} Whether the link is valid, the failure reason and whether it is one-time
+   */
+  verify(filename, query, userId) {
+    const expires = parseInt(query.expires, 10);
+    const oneTime = query.once === '1';
+
+    if (!query.sig || !expires) {
+      return { valid: false, reason: 'Download link is missing its signature' };
+    }
+
+    if (Date.now() > expires) {
+      return { valid: false, reason: 'Download link has expired' };
+    }
+
+    // Links for signed-in users are signed with their ID, so they fail for anyone else
+    const expected = this.sign({ filename, expires, ownerId: userId, oneTime });
+    const matches = typeof query.sig === 'string' &&
+      query.sig.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(query.sig), Buffer.from(expected));
+
+    if (!matches) {
+      return { valid: false, reason: 'Download link is invalid or belongs to another user' };
+    }
+
+    return { valid: true, oneTime };
+  }
+
+  /**
+   * Compute the HMAC signature of a download link
+   * @param {Object} link - Link fields
+   * @returns {string} Signature
+   */
+  sign({ filename, expires, ownerId, oneTime }) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update([filename, expires, ownerId ? String(ownerId) : '', oneTime ? '1' : '0'].join(':'))
+      .digest('base64url');
+  }
+}
+
+module.exports = new DownloadSigner();
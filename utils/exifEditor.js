@@ -0,0 +1,153 @@
+const zlib = require('zlib');
+
+// EXIF blocks may start with this header before the TIFF structure
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+
+// IFD0 tag pointing at the GPS sub-IFD
+const GPS_INFO_TAG = 0x8825;
+
+// Size in bytes of one value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+class ExifEditor {
+  /**
+   * Remove the GPS block from the EXIF data embedded in an image file.
+   * The EXIF block is patched in place in a copy of the file, so the file keeps its
+   * layout and every other tag survives a later re-encode that keeps EXIF.
+   * @param {Buffer} buffer - Image file
+   * @param {Buffer} exif - EXIF block as reported by sharp metadata
+   * @returns {Buffer|null} Copy of the file without GPS data, or null if the EXIF block could not be patched
+   */
+  removeGps(buffer, exif) {
+    let offset = buffer.indexOf(exif);
+    let tiffStart = exif.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER) ? EXIF_HEADER.length : 0;
+
+    // Some containers store the TIFF structure without the Exif header that sharp reports
+    if (offset === -1 && tiffStart > 0) {
+      offset = buffer.indexOf(exif.subarray(tiffStart));
+      tiffStart = 0;
+    }
+
+    if (offset === -1) {
+      return null;
+    }
+
+    const output = Buffer.from(buffer);
+    const tiff = output.subarray(offset + tiffStart, offset + exif.length);
+
+    try {
+      if (!this.clearGpsIfd(tiff)) {
+        return buffer;
+      }
+    } catch (error) {
+      console.warn('Could not remove GPS data from EXIF:', error.message);
+      return null;
+    }
+
+    this.updatePngChecksum(output, offset);
+    return output;
+  }
+
+  /**
+   * Zero the GPS sub-IFD and its values, and drop the pointer to it from IFD0
+   * @param {Buffer} tiff - TIFF structure of the EXIF block, modified in place
+   * @returns {boolean} Whether GPS data was found
+   */
+  clearGpsIfd(tiff) {
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+      throw new Error('Unknown TIFF byte order');
+    }
+
+    const littleEndian = byteOrder === 'II';
+    const read16 = (position) => this.checkBounds(tiff, position, 2) && (littleEndian ? tiff.readUInt16LE(position) : tiff.readUInt16BE(position));
+    const read32 = (position) => this.checkBounds(tiff, position, 4) && (littleEndian ? tiff.readUInt32LE(position) : tiff.readUInt32BE(position));
+    const write16 = (position, value) => littleEndian ? tiff.writeUInt16LE(value, position) : tiff.writeUInt16BE(value, position);
+
+    const ifd0 = read32(4);
+    const count = read16(ifd0);
+    const ifdEnd = ifd0 + 2 + count * 12 + 4;
+    this.checkBounds(tiff, ifd0, ifdEnd - ifd0);
+
+    let gpsEntry = -1;
+    for (let i = 0; i < count; i++) {
+      if (read16(ifd0 + 2 + i * 12) === GPS_INFO_TAG) {
+        gpsEntry = ifd0 + 2 + i * 12;
+        break;
+      }
+    }
+
+    if (gpsEntry === -1) {
+      return false;
+    }
+
+    const gpsIfd = read32(gpsEntry + 8);
+    const gpsCount = read16(gpsIfd);
+    this.checkBounds(tiff, gpsIfd, 2 + gpsCount * 12 + 4);
+
+    // Values larger than four bytes live outside the IFD and are zeroed first
+    for (let i = 0; i < gpsCount; i++) {
+      const entry = gpsIfd + 2 + i * 12;
+      const size = (TYPE_SIZES[read16(entry + 2)] || 1) * read32(entry + 4);
+
+      if (size > 4) {
+        const valueOffset = read32(entry + 8);
+        if (valueOffset + size <= tiff.length) {
+          tiff.fill(0, valueOffset, valueOffset + size);
+        }
+      }
+    }
+
+    tiff.fill(0, gpsIfd, gpsIfd + 2 + gpsCount * 12 + 4);
+
+    // Shift the remaining IFD0 entries and the next-IFD pointer over the GPS entry
+    tiff.copyWithin(gpsEntry, gpsEntry + 12, ifdEnd);
+    tiff.fill(0, ifdEnd - 12, ifdEnd);
+    write16(ifd0, count - 1);
+
+    return true;
+  }
+
+  /**
+   * Recompute the CRC of the PNG chunk containing a patched offset
+   * @param {Buffer} buffer - PNG file, modified in place
+   * @param {number} offset - Offset of the patched data
+   */
+  updatePngChecksum(buffer, offset) {
+    if (!buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+      return;
+    }
+
+    let position = PNG_SIGNATURE.length;
+    while (position + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(position);
+      const dataStart = position + 8;
+      const dataEnd = dataStart + length;
+
+      if (offset >= dataStart && offset < dataEnd) {
+        buffer.writeUInt32BE(zlib.crc32(buffer.subarray(position + 4, dataEnd)), dataEnd);
+        return;
+      }
+
+      position = dataEnd + 4;
+    }
+  }
+
+  /**
+   * Make sure a read stays inside the TIFF structure
+   * @param {Buffer} tiff - TIFF structure
+   * @param {number} position - Start of the read
+   * @param {number} length - Number of bytes read
+   * @returns {boolean} Always true; throws when out of bounds
+   */
+  checkBounds(tiff, position, length) {
+    if (position < 0 || position + length > tiff.length) {
+      throw new Error('EXIF structure points outside its block');
+    }
+    return true;
+  }
+}
+
+module.exports = new ExifEditor();
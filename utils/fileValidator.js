@@ -0,0 +1,391 @@
+const { Transform } = require('stream');
+const sharp = require('sharp');
+const { PDFDocument } = require('@cantoo/pdf-lib');
+
+// ISO base media (HEIF/AVIF) brands, mapped to the MIME type they identify
+const HEIF_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  hevc: 'image/heic',
+  hevx: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif'
+};
+
+// DIB header sizes a real BMP file can have, to tell "BM" files apart from text starting with BM
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// Declared types that say nothing about the content
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Declared types that are aliases of a detected type
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/heic': 'image/heif'
+};
+
+// Markup that browsers or interpreters would run if a file were served or included as text
+const ACTIVE_CONTENT_PATTERN = /<(?:script|html|iframe|body|\?php)[\s>]/i;
+
+// A ZIP end-of-central-directory record sits within this many bytes of the end of a ZIP file
+const ZIP_TAIL_SIZE = 65557;
+const ZIP_END_SIGNATURE = Buffer.from('PK\x05\x06', 'latin1');
+const PDF_SIGNATURE = Buffer.from('%PDF-', 'latin1');
+
+// Bytes needed before the type of a stream can be detected
+const SNIFF_SIZE = 64;
+
+class FileValidator {
+  constructor() {
+    // Decompression bomb protection: images decoding to more pixels (over all frames) are refused
+    this.maxInputPixels = parseInt(process.env.MAX_INPUT_PIXELS, 10) || 100000000;
+    this.maxPdfPages = parseInt(process.env.MAX_PDF_PAGES, 10) || 1000;
+  }
+
+  /**
+   * Check an uploaded file: detect its type from its content, compare it with the declared type,
+   * look for a second format hidden in it, and enforce the pixel and page limits.
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Validation options
+   * @param {string} options.name - File name, used in error messages
+   * @param {string} options.declaredType - MIME type given by the client, if any
+   * @param {Array<string>} options.accept - Accepted kinds of file (image, pdf)
+   * @returns {Promise<Object>} Detected MIME type and kind, with pixel or page counts
+   * @throws {Error} Validation error with status, code, check and details
+   */
+  async validate(buffer, { name, declaredType, accept = ['image', 'pdf'] } = {}) {
+    const detected = this.checkType(buffer.subarray(0, SNIFF_SIZE), { name, declaredType, accept });
+
+    const embedded = this.findEmbeddedFormat(buffer, detected.mimeType);
+    if (embedded) {
+      throw this.createPolyglotError(name, detected.mimeType, embedded);
+    }
+
+    if (detected.kind === 'pdf') {
+      return { ...detected, pageCount: await this.checkPageCount(buffer, name) };
+    }
+
+    return { ...detected, pixels: await this.checkPixelCount(buffer, name, detected.mimeType) };
+  }
+
+  /**
+   * Detect the type of a file from its first bytes and check it against the declared and accepted types
+   * @param {Buffer} head - First bytes of the file
+   * @param {Object} options - Same options as validate
+   * @returns {Object} Detected MIME type and kind
+   */
+  checkType(head, { name, declaredType, accept = ['image', 'pdf'] } = {}) {
+    const mimeType = this.detectType(head);
+
+    if (!mimeType) {
+      throw this.createError(415, 'UNRECOGNIZED_FILE', 'magic-bytes',
+        `${this.label(name)} is not a supported image or PDF file. Its content does not match any known format`,
+        { file: name || null, declaredType: declaredType || null });
+    }
+
+    const kind = mimeType === 'application/pdf' ? 'pdf' : 'image';
+
+    const declared = this.normalizeType(declaredType);
+    if (declared && !GENERIC_TYPES.includes(declared) && this.normalizeType(mimeType) !== declared) {
+      throw this.createError(415, 'TYPE_MISMATCH', 'declared-type',
+        `${this.label(name)} was sent as ${declaredType} but its content is ${mimeType}`,
+        { file: name || null, declaredType, detectedType: mimeType });
+    }
+
+    if (!accept.includes(kind)) {
+      throw this.createError(415, 'UNEXPECTED_TYPE', 'accepted-type',
+        `${this.label(name)} is ${kind === 'pdf' ? 'a PDF' : 'an image'}, but this endpoint only accepts ${accept.map(type => type === 'pdf' ? 'PDF files' : 'images').join(' and ')}`,
+        { file: name || null, detectedType: mimeType, accepted: accept });
+    }
+
+    return { mimeType, kind };
+  }
+
+  /**
+   * Detect a file type from its magic bytes
+   * @param {Buffer} head - First bytes of the file
+   * @returns {string|null} MIME type, or null when unrecognized
+   */
+  detectType(head) {
+    const ascii = (start, end) => head.toString('latin1', start, end);
+
+    if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'image/tiff';
+    if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+
+    if (ascii(0, 2) === 'BM' && head.length >= 18 && BMP_HEADER_SIZES.includes(head.readUInt32LE(14))) {
+      return 'image/bmp';
+    }
+
+    if ((head[0] === 0xff && head[1] === 0x0a) || ascii(0, 12) === '\0\0\0\x0cJXL \r\n\x87\n') {
+      return 'image/jxl';
+    }
+
+    // ISO base media file: the ftyp box lists the major brand and the compatible brands
+    if (ascii(4, 8) === 'ftyp' && head.length >= 16) {
+      const boxEnd = Math.min(head.readUInt32BE(0), head.length);
+      const brands = [ascii(8, 12)];
+      for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+        brands.push(ascii(offset, offset + 4));
+      }
+
+      // AVIF files often use mif1 as major brand, so the specific brands win
+      const brand = brands.find(candidate => HEIF_BRANDS[candidate] && candidate !== 'mif1' && candidate !== 'msf1') ||
+        brands.find(candidate => HEIF_BRANDS[candidate]);
+      if (brand) return HEIF_BRANDS[brand];
+    }
+
+    return null;
+  }
+
+  /**
+   * Look for a second file format inside a file, as used by polyglots that are valid in two formats
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - Detected MIME type
+   * @returns {string|null} Description of the embedded format, or null when none was found
+   */
+  findEmbeddedFormat(buffer, mimeType) {
+    // ZIP readers (and JAR, DOCX) start from the end-of-central-directory record near the end
+    if (buffer.subarray(-ZIP_TAIL_SIZE).indexOf(ZIP_END_SIGNATURE) !== -1) {
+      return 'a ZIP archive';
+    }
+
+    return this.findEmbeddedMarkup(buffer, mimeType);
+  }
+
+  /**
+   * Enforce the pixel limit before an image is decoded
+   * @param {Buffer} buffer - Image file
+   * @param {string} name - File name
+   * @param {string} mimeType - Detected MIME type
+   * @returns {Promise<number>} Number of pixels over all frames
+   */
+  async checkPixelCount(buffer, name, mimeType) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw this.createError(400, 'UNREADABLE_FILE', 'decode',
+        `${this.label(name)} looks like ${mimeType} but could not be read: ${error.message}`,
+        { file: name || null, detectedType: mimeType });
+    }
+
+    const frameHeight = metadata.pageHeight || metadata.height;
+    const pixels = metadata.width * frameHeight * (metadata.pages || 1);
+
+    if (pixels > this.maxInputPixels) {
+      throw this.createError(413, 'TOO_MANY_PIXELS', 'pixel-limit',
+        `${this.label(name)} is ${metadata.width}x${frameHeight}` + (metadata.pages > 1 ? ` with ${metadata.pages} frames` : '') +
+        `, which is more than the limit of ${this.maxInputPixels} pixels`,
+        { file: name || null, width: metadata.width, height: frameHeight, frames: metadata.pages || 1, pixels, limit: this.maxInputPixels });
+    }
+
+    return pixels;
+  }
+
+  /**
+   * Enforce the page limit of a PDF. Encrypted documents are counted without their password,
+   * since the page tree itself is not encrypted.
+   * @param {Buffer} buffer - PDF file
+   * @param {string} name - File name
+   * @returns {Promise<number>} Number of pages
+   */
+  async checkPageCount(buffer, name) {
+    let pageCount;
+    try {
+      const pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+      pageCount = pdfDoc.getPageCount();
+    } catch (error) {
+      throw this.createError(400, 'UNREADABLE_FILE', 'decode',
+        `${this.label(name)} looks like a PDF but could not be read: ${error.message}`,
+        { file: name || null, detectedType: 'application/pdf' });
+    }
+
+    if (pageCount > this.maxPdfPages) {
+      throw this.createError(413, 'TOO_MANY_PAGES', 'page-limit',
+        `${this.label(name)} has ${pageCount} pages, which is more than the limit of ${this.maxPdfPages}`,
+        { file: name || null, pageCount, limit: this.maxPdfPages });
+    }
+
+    return pageCount;
+  }
+
+  /**
+   * Create a pass-through stream that checks the type of a streamed image and looks for embedded formats.
+   * The pixel limit of streamed images is left to sharp's limitInputPixels.
+   * @param {Object} options - Same options as validate
+   * @returns {stream.Transform} Checking stream, failing with a validation error
+   */
+  createStreamValidator({ name, declaredType, accept = ['image'] } = {}) {
+    const validator = this;
+    let head = Buffer.alloc(0);
+    let tail = Buffer.alloc(0);
+    let mimeType = null;
+
+    // Keep enough of the previous chunk to find markers split across chunks
+    const overlap = 16;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          if (!mimeType) {
+            head = Buffer.concat([head, chunk]);
+            if (head.length < SNIFF_SIZE) return callback();
+
+            ({ mimeType } = validator.checkType(head, { name, declaredType, accept }));
+            chunk = head;
+          }
+
+          const window = Buffer.concat([tail.subarray(-overlap), chunk]);
+          const embedded = validator.findEmbeddedMarkup(window, mimeType);
+          if (embedded) {
+            throw validator.createPolyglotError(name, mimeType, embedded);
+          }
+
+          tail = Buffer.concat([tail, chunk]).subarray(-ZIP_TAIL_SIZE);
+          callback(null, chunk);
+        } catch (error) {
+          callback(error);
+        }
+      },
+      flush(callback) {
+        try {
+          if (!mimeType) {
+            ({ mimeType } = validator.checkType(head, { name, declaredType, accept }));
+            this.push(head);
+            tail = head;
+          }
+
+          const embedded = validator.findEmbeddedFormat(tail, mimeType);
+          if (embedded) {
+            throw validator.createPolyglotError(name, mimeType, embedded);
+          }
+
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Look for an embedded PDF header or active markup in part of a file
+   * @param {Buffer} buffer - Part of the file
+   * @param {string} mimeType - Detected MIME type
+   * @returns {string|null} Description of the embedded format, or null when none was found
+   */
+  findEmbeddedMarkup(buffer, mimeType) {
+    if (mimeType === 'application/pdf') {
+      // Valid PDFs can hold markup in annotations, XFA forms and text strings, so only the bytes
+      // before the header are checked: that is where an HTML/PDF polyglot puts its markup
+      const header = buffer.indexOf(PDF_SIGNATURE);
+      return ACTIVE_CONTENT_PATTERN.test(buffer.toString('latin1', 0, Math.max(header, 0))) ? 'HTML or script markup' : null;
+    }
+
+    // PDF readers look for the header anywhere near the start, so an image must not contain one
+    if (buffer.indexOf(PDF_SIGNATURE) !== -1) {
+      return 'a PDF document';
+    }
+
+    return ACTIVE_CONTENT_PATTERN.test(buffer.toString('latin1')) ? 'HTML or script markup' : null;
+  }
+
+  /**
+   * Turn sharp's pixel limit failure into a validation error
+   * @param {Error} error - Error raised while decoding
+   * @param {string} name - File name
+   * @returns {Error} Validation error, or the original error for other failures
+   */
+  fromDecodeError(error, name) {
+    if (!/exceeds pixel limit/i.test(error.message)) {
+      return error;
+    }
+
+    return this.createError(413, 'TOO_MANY_PIXELS', 'pixel-limit',
+      `${this.label(name)} is more than the limit of ${this.maxInputPixels} pixels`,
+      { file: name || null, limit: this.maxInputPixels });
+  }
+
+  /**
+   * Name a file in an error message
+   * @param {string} name - File name, if the upload had one
+   * @returns {string} File name or a generic description
+   */
+  label(name) {
+    return name || 'The uploaded file';
+  }
+
+  /**
+   * Normalize a MIME type for comparison
+   * @param {string} type - MIME type, possibly with parameters
+   * @returns {string} Lower-case MIME type without parameters or aliases
+   */
+  normalizeType(type) {
+    const normalized = String(type || '').split(';')[0].trim().toLowerCase();
+    return TYPE_ALIASES[normalized] || normalized;
+  }
+
+  /**
+   * Create a validation error
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine readable error code
+   * @param {string} check - Name of the check that failed
+   * @param {string} message - Error message
+   * @param {Object} details - Values behind the failure
+   * @returns {Error} Error with status, code, check and details
+   */
+  createError(status, code, check, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.check = check;
+    error.details = details;
+    return error;
+  }
+
+  /**
+   * Create the error for a file that hides a second format
+   * @param {string} name - File name
+   * @param {string} mimeType - Detected MIME type
+   * @param {string} embedded - Description of the embedded format
+   * @returns {Error} Validation error
+   */
+  createPolyglotError(name, mimeType, embedded) {
+    return this.createError(400, 'POLYGLOT_FILE', 'polyglot',
+      `${this.label(name)} is an ${mimeType} file that also contains ${embedded}`,
+      { file: name || null, detectedType: mimeType, embedded });
+  }
+
+  /**
+   * Build the JSON response body for a validation error
+   * @param {Error} error - Validation error
+   * @returns {Object} Response body
+   */
+  toResponse(error) {
+    return {
+      error: error.message,
+      code: error.code,
+      check: error.check,
+      details: error.details
+    };
+  }
+
+  /**
+   * Check whether an error was raised by a validation check
+   * @param {Error} error - Error
+   * @returns {boolean} Whether the error is a validation error
+   */
+  isValidationError(error) {
+    return Boolean(error && error.check && error.status);
+  }
+}
+
+module.exports = new FileValidator();
@@ -0,0 +1,186 @@
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+// Conversion options that are never written to disk
+const PRIVATE_OPTIONS = ['password', 'protection', 'fileData'];
+
+class HistoryStore {
+  /**
+   * Per-user conversion history kept in a JSON file
+   */
+  constructor() {
+    this.file = new JsonFile(process.env.HISTORY_PATH || path.join(__dirname, '..', 'data', 'history.json'));
+    this.maxEntries = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 100;
+
+    // User ID -> entries, newest first
+    this.entries = null;
+    this.loading = null;
+  }
+
+  /**
+   * Add a finished conversion to a user's history
+   * @param {string} userId - Signed-in user
+   * @param {Object} entry - History entry
+   * @param {string} entry.type - Job type
+   * @param {string} entry.endpoint - Conversion endpoint the job was submitted to
+   * @param {string} entry.inputName - Name of the input file (or a summary for several files)
+   * @param {number} entry.fileCount - Number of input files
+   * @param {Object} entry.options - Conversion options as submitted
+   * @param {Object} entry.result - Job result
+   * @param {boolean} entry.oneTime - Whether the download link was one-time
+   * @returns {Promise<Object>} Stored entry
+   */
+  async add(userId, { type, endpoint, inputName, fileCount = 1, options = {}, result, oneTime = false }) {
+    const entries = await this.getUserEntries(userId);
+
+    const originalSize = result.originalSize || 0;
+    const convertedSize = result.convertedSize || result.compressedSize || 0;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      type,
+      endpoint,
+      inputName: inputName || 'Untitled',
+      fileCount,
+      options: this.sanitizeOptions(options),
+      originalSize,
+      convertedSize,
+      compressionRatio: result.compressionRatio ||
+        (originalSize ? ((originalSize - convertedSize) / originalSize * 100).toFixed(1) + '%' : null),
+      filename: this.getFilename(result.downloadUrl),
+      oneTime,
+      createdAt: new Date().toISOString()
+    };
+
+    entries.unshift(entry);
+    entries.splice(this.maxEntries);
+
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * List a user's history, newest first
+   * @param {string} userId - Signed-in user
+   * @returns {Promise<Array<Object>>} History entries
+   */
+  async list(userId) {
+    return [...await this.getUserEntries(userId)];
+  }
+
+  /**
+   * Get one history entry
+   * @param {string} userId - Signed-in user
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} History entry, or null if not found
+   */
+  async get(userId, id) {
+    const entries = await this.getUserEntries(userId);
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Delete one history entry
+   * @param {string} userId - Signed-in user
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Deleted entry, or null if not found
+   */
+  async remove(userId, id) {
+    const entries = await this.getUserEntries(userId);
+    const index = entries.findIndex(entry => entry.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    const [entry] = entries.splice(index, 1);
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Delete a user's whole history
+   * @param {string} userId - Signed-in user
+   * @returns {Promise<Array<Object>>} Deleted entries
+   */
+  async clear(userId) {
+    const entries = await this.list(userId);
+
+    this.entries.delete(String(userId));
+    await this.save();
+    return entries;
+  }
+
+  /**
+   * Get the entry list of a user, loading the history file on first use
+   * @param {string} userId - Signed-in user
+   * @returns {Promise<Array<Object>>} Entries, newest first
+   */
+  async getUserEntries(userId) {
+    await this.load();
+
+    const key = String(userId);
+    if (!this.entries.has(key)) {
+      this.entries.set(key, []);
+    }
+
+    return this.entries.get(key);
+  }
+
+  /**
+   * Load the history file once
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.file.read({}).then(data => {
+        this.entries = new Map(Object.entries(data.users || {}));
+      });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Write the history file
+   */
+  save() {
+    const users = {};
+    this.entries.forEach((entries, userId) => {
+      if (entries.length > 0) users[userId] = entries;
+    });
+
+    return this.file.write({ users });
+  }
+
+  /**
+   * Remove passwords and inline file data from conversion options
+   * @param {Object} options - Conversion options as submitted
+   * @returns {Object} Options safe to store
+   */
+  sanitizeOptions(options) {
+    const sanitized = {};
+
+    Object.entries(options).forEach(([name, value]) => {
+      if (!PRIVATE_OPTIONS.includes(name) && value !== undefined && value !== '') {
+        sanitized[name] = value;
+      }
+    });
+
+    return sanitized;
+  }
+
+  /**
+   * Get the stored file name from a signed download URL
+   * @param {string} downloadUrl - Download URL from a job result
+   * @returns {string|null} Stored file name
+   */
+  getFilename(downloadUrl) {
+    if (!downloadUrl) return null;
+
+    const pathname = downloadUrl.split('?')[0];
+    return decodeURIComponent(pathname.slice(pathname.lastIndexOf('/') + 1));
+  }
+}
+
+module.exports = new HistoryStore();
@@ -1,4 +1,88 @@
 const sharp = require('sharp');
+const exifEditor = require('./exifEditor');
+const fileValidator = require('./fileValidator');
+
+// Largest width or height accepted for resize and crop options
+const MAX_DIMENSION = 16384;
+
+// Output formats the converter knows how to encode, keyed by the requested format name.
+// `encoder` is the libvips format reported by sharp.format; only those the running build can write are offered.
+const OUTPUT_FORMATS = {
+  jpg: { encoder: 'jpeg' },
+  jpeg: { encoder: 'jpeg' },
+  png: { encoder: 'png' },
+  webp: { encoder: 'webp' },
+  gif: { encoder: 'gif' },
+  tiff: { encoder: 'tiff' },
+  avif: { encoder: 'heif' },
+  heif: { encoder: 'heif' },
+  jxl: { encoder: 'jxl' }
+};
+
+// Input formats the upload validator recognizes, with the sharp decoder that reads them.
+// HEIF containers are probed per codec, since a build may decode AV1 (AVIF) but not HEVC (HEIC).
+const INPUT_FORMATS = {
+  jpeg: { decoder: 'jpeg', suffixes: ['jpg', 'jpeg'] },
+  png: { decoder: 'png', suffixes: ['png'] },
+  webp: { decoder: 'webp', suffixes: ['webp'] },
+  gif: { decoder: 'gif', suffixes: ['gif'] },
+  tiff: { decoder: 'tiff', suffixes: ['tif', 'tiff'] },
+  bmp: { decoder: 'magick', suffixes: ['bmp'] },
+  avif: { decoder: 'heif', compression: 'av1', suffixes: ['avif'] },
+  heic: { decoder: 'heif', compression: 'hevc', suffixes: ['heic', 'heif'] },
+  jxl: { decoder: 'jxl', suffixes: ['jxl'] }
+};
+
+// Output formats that can keep every frame of an animated input, when the libvips build supports it
+const ANIMATION_CANDIDATES = ['gif', 'webp', 'avif'];
+
+// Display time for frames without a delay of their own, in milliseconds
+const DEFAULT_FRAME_DELAY = 100;
+
+// Formats whose quality setting can be searched to hit a target file size
+const TARGET_SIZE_FORMATS = ['jpg', 'jpeg', 'webp', 'avif'];
+
+// Target size search limits
+const TARGET_MIN_QUALITY = 10;
+const TARGET_MAX_QUALITY = 100;
+const TARGET_MIN_SCALE = 0.05;
+const TARGET_MAX_SCALE_STEPS = 8;
+
+// Metadata handling when a request does not say otherwise: orient the pixels, keep EXIF
+// and the ICC profile, but never pass on where a photo was taken
+const METADATA_DEFAULTS = {
+  autoOrient: true,
+  exif: 'keep',
+  gps: 'strip',
+  icc: 'keep'
+};
+
+// Target size mode and frame dropping re-encode decoded pixels, which no longer carry the
+// source EXIF or ICC profile, so they default to dropping both (pixels are converted to sRGB)
+const DECODED_METADATA_DEFAULTS = {
+  ...METADATA_DEFAULTS,
+  exif: 'strip',
+  icc: 'strip'
+};
+
+// Accepted values for each metadata option; icc names other than keep and strip are profiles to convert to
+const METADATA_CHOICES = {
+  exif: ['keep', 'strip'],
+  gps: ['keep', 'strip'],
+  icc: ['keep', 'srgb', 'p3', 'strip']
+};
+
+// Bits per sample for the libvips band formats sharp reports as `depth`
+const DEPTH_BITS = {
+  uchar: 8,
+  char: 8,
+  ushort: 16,
+  short: 16,
+  uint: 32,
+  int: 32,
+  float: 32,
+  double: 64
+};
 
 class ImageConverter {
   /**
@@ -6,44 +90,44 @@ class ImageConverter {
    * @param {Object} options - Conversion options
    * @returns {Buffer} Converted image buffer
    */
-  async convert({ buffer, outputFormat, compressionLevel, metadata, progressCallback }) {
+  async convert({ buffer, outputFormat, compressionLevel, metadata, metadataOptions = METADATA_DEFAULTS, resize, crop, animation, progressCallback }) {
     try {
+      // Keep all frames when both the input and the output format are animated
+      const animated = await this.isAnimationPreserved(metadata, outputFormat);
+
+      // Remove GPS data from the source up front when the rest of the EXIF block is kept
+      const source = this.removeGpsData(buffer, metadata, metadataOptions);
+      const { autoOrient } = source.metadataOptions;
+
       // Initialize Sharp instance
-      let sharpInstance = sharp(buffer);
+      let sharpInstance = sharp(source.buffer, { animated, autoOrient, limitInputPixels: fileValidator.maxInputPixels });
+      let overrides = this.getPaletteOverrides(animation, outputFormat);
 
       // Update progress
       if (progressCallback) progressCallback(10, 'Initializing conversion...');
 
-      // Get compression settings based on level
-      const compressionSettings = this.getCompressionSettings(outputFormat, compressionLevel);
+      if (animated && this.dropsFrames(animation)) {
+        // Dropping frames needs the decoded frames, cropped and resized along the way
+        if (progressCallback) progressCallback(20, 'Selecting frames...');
+        const frames = await this.decodeFrames({ buffer, metadata, autoOrient, resize, crop, animated, animation });
+
+        sharpInstance = this.applyMetadataOptions(this.framesToSharp(frames), source.metadataOptions, metadata, { decoded: true });
+        overrides = { ...overrides, ...this.getAnimationOverrides(frames) };
+      } else {
+        if (crop || resize) {
+          // Crop and resize before encoding
+          if (progressCallback) progressCallback(20, 'Resizing image...');
+          sharpInstance = this.applyTransforms(sharpInstance, { resize, crop, metadata, autoOrient });
+        }
+
+        sharpInstance = this.applyMetadataOptions(sharpInstance, source.metadataOptions, metadata);
+      }
 
       // Update progress
       if (progressCallback) progressCallback(30, 'Applying compression settings...');
 
       // Apply format-specific processing
-      switch (outputFormat.toLowerCase()) {
-        case 'jpg':
-        case 'jpeg':
-          sharpInstance = sharpInstance.jpeg(compressionSettings);
-          break;
-        case 'png':
-          sharpInstance = sharpInstance.png(compressionSettings);
-          break;
-        case 'webp':
-          sharpInstance = sharpInstance.webp(compressionSettings);
-          break;
-        case 'bmp':
-          sharpInstance = sharpInstance.bmp();
-          break;
-        case 'gif':
-          sharpInstance = sharpInstance.gif();
-          break;
-        case 'tiff':
-          sharpInstance = sharpInstance.tiff(compressionSettings);
-          break;
-        default:
-          throw new Error(`Unsupported output format: ${outputFormat}`);
-      }
+      sharpInstance = this.applyOutputFormat(sharpInstance, outputFormat, compressionLevel, overrides);
 
       // Update progress
       if (progressCallback) progressCallback(60, 'Converting image...');
@@ -63,10 +147,651 @@ class ImageConverter {
 
     } catch (error) {
       console.error('Image conversion error:', error);
+      if (error.code) throw error;
+      throw new Error(`Failed to convert image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert an image to the highest quality that fits a byte budget.
+   * Quality is binary searched at full size; when scaling is allowed and even the lowest
+   * quality is too large, the image is scaled down and the search repeated.
+   * @param {Object} options - Conversion options
+   * @param {number} options.targetSize - Maximum output size in bytes
+   * @param {boolean} options.allowScaling - Whether the image may be scaled down to fit
+   * @returns {Object} Converted buffer, chosen quality and scale, and number of encode attempts
+   */
+  async convertToTargetSize({ buffer, outputFormat, compressionLevel, metadata, metadataOptions = DECODED_METADATA_DEFAULTS, resize, crop, animation, targetSize, allowScaling, progressCallback }) {
+    try {
+      if (!TARGET_SIZE_FORMATS.includes(outputFormat.toLowerCase())) {
+        throw this.createError(400, 'TARGET_SIZE_UNSUPPORTED', `Target size is only supported for ${TARGET_SIZE_FORMATS.join(', ')} output`);
+      }
+
+      if (progressCallback) progressCallback(10, 'Initializing conversion...');
+
+      // Decode (and crop/resize) once so each attempt only has to encode
+      const animated = await this.isAnimationPreserved(metadata, outputFormat);
+      const decoded = await this.decodeFrames({ buffer, metadata, autoOrient: metadataOptions.autoOrient, resize, crop, animated, animation });
+
+      let attempts = 0;
+      let smallest = null;
+
+      const encode = async (quality, frames, scale) => {
+        const overrides = { ...this.getAnimationOverrides(frames), quality };
+        const sharpInstance = this.applyMetadataOptions(this.framesToSharp(frames), metadataOptions, metadata, { decoded: true });
+        const encoded = await this.applyOutputFormat(sharpInstance, outputFormat, compressionLevel, overrides).toBuffer();
+        attempts++;
+
+        if (!smallest || encoded.length < smallest.buffer.length) {
+          smallest = { buffer: encoded, quality, scale };
+        }
+
+        if (progressCallback) {
+          progressCallback(Math.min(90, 10 + attempts * 8), `Attempt ${attempts}: quality ${quality}, ${encoded.length} bytes`);
+        }
+
+        return encoded;
+      };
+
+      let scale = 1;
+      for (let step = 0; step < TARGET_MAX_SCALE_STEPS; step++) {
+        const frames = scale < 1 ? await this.scaleFrames(decoded, scale) : decoded;
+
+        // The lowest quality tells us whether this scale can fit the budget at all
+        const floor = await encode(TARGET_MIN_QUALITY, frames, scale);
+
+        if (floor.length <= targetSize) {
+          let best = { buffer: floor, quality: TARGET_MIN_QUALITY };
+          let low = TARGET_MIN_QUALITY;
+          let high = TARGET_MAX_QUALITY;
+
+          while (low < high) {
+            const quality = Math.ceil((low + high) / 2);
+            const encoded = await encode(quality, frames, scale);
+
+            if (encoded.length <= targetSize) {
+              best = { buffer: encoded, quality };
+              low = quality;
+            } else {
+              high = quality - 1;
+            }
+          }
+
+          console.log(`Image converted from ${metadata.format} to ${outputFormat} within ${targetSize} bytes`);
+          console.log(`Size: ${buffer.length} -> ${best.buffer.length} bytes, quality ${best.quality}, scale ${scale}, ${attempts} attempts`);
+
+          if (progressCallback) progressCallback(100, 'Conversion complete!');
+
+          return { buffer: best.buffer, quality: best.quality, scale: Number(scale.toFixed(3)), attempts };
+        }
+
+        if (!allowScaling) break;
+
+        // Encoded size grows roughly with the pixel count, so estimate the scale from the overshoot
+        const nextScale = scale * Math.sqrt(targetSize / floor.length) * 0.95;
+        if (nextScale < TARGET_MIN_SCALE || decoded.width * nextScale < 1 || decoded.height * nextScale < 1) break;
+        scale = nextScale;
+      }
+
+      throw this.createError(422, 'TARGET_SIZE_UNREACHABLE',
+        `Could not reach the target size of ${targetSize} bytes. ` +
+        `Smallest result was ${smallest.buffer.length} bytes at quality ${smallest.quality}` +
+        (smallest.scale < 1 ? ` and ${Math.round(smallest.scale * 100)}% scale` : '') +
+        ` after ${attempts} ${attempts === 1 ? 'attempt' : 'attempts'}` +
+        (allowScaling ? '' : '; enable allowScaling to let the image be scaled down')
+      );
+
+    } catch (error) {
+      console.error('Image conversion error:', error);
+      if (error.code) throw error;
       throw new Error(`Failed to convert image: ${error.message}`);
     }
   }
 
+  /**
+   * Decode an image into raw frames, applying crop, resize and frame selection.
+   * Still images (or animated images converted to a still format) decode to a single frame.
+   * @param {Object} options - Decoding options
+   * @param {boolean} options.autoOrient - Whether to rotate the pixels to match the EXIF orientation
+   * @param {boolean} options.animated - Whether to decode every frame
+   * @param {Object} options.animation - Normalized animation options (maxFps, frameStep)
+   * @returns {Promise<Object>} Frames with their delays, frame size, channels and loop count
+   */
+  async decodeFrames({ buffer, metadata, autoOrient = false, resize, crop, animated, animation }) {
+    const input = sharp(buffer, { animated, autoOrient, limitInputPixels: fileValidator.maxInputPixels });
+    const { data, info } = await this.applyTransforms(input, { resize, crop, metadata, autoOrient })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const frameHeight = animated && info.pageHeight ? info.pageHeight : info.height;
+    const frameCount = info.height / frameHeight;
+    const frameSize = info.width * frameHeight * info.channels;
+
+    let frames = [];
+    for (let i = 0; i < frameCount; i++) {
+      frames.push({
+        data: data.subarray(i * frameSize, (i + 1) * frameSize),
+        delay: (metadata.delay && metadata.delay[i]) || DEFAULT_FRAME_DELAY
+      });
+    }
+
+    if (animated && animation) {
+      frames = this.selectFrames(frames, animation);
+    }
+
+    return {
+      frames,
+      width: info.width,
+      height: frameHeight,
+      channels: info.channels,
+      premultiplied: info.premultiplied,
+      loop: metadata.loop || 0
+    };
+  }
+
+  /**
+   * Drop frames to reduce the frame rate or keep every Nth frame.
+   * The display time of a dropped frame is added to the frame kept before it,
+   * so the animation plays at the same overall speed.
+   * @param {Array<Object>} frames - Frames with data and delay
+   * @param {Object} animation - Animation options
+   * @param {number} animation.maxFps - Highest frame rate to keep
+   * @param {number} animation.frameStep - Keep every Nth frame
+   * @returns {Array<Object>} Selected frames
+   */
+  selectFrames(frames, { maxFps, frameStep = 1 }) {
+    const minDelay = maxFps ? 1000 / maxFps : 0;
+    const selected = [];
+
+    frames.forEach((frame, index) => {
+      const previous = selected[selected.length - 1];
+
+      if (previous && (index % frameStep !== 0 || previous.delay < minDelay)) {
+        previous.delay += frame.delay;
+      } else {
+        selected.push({ ...frame });
+      }
+    });
+
+    return selected;
+  }
+
+  /**
+   * Scale decoded frames down by a factor
+   * @param {Object} decoded - Decoded frames
+   * @param {number} scale - Scale factor
+   * @returns {Promise<Object>} Scaled frames
+   */
+  async scaleFrames(decoded, scale) {
+    const width = Math.max(1, Math.round(decoded.width * scale));
+    const height = Math.max(1, Math.round(decoded.height * scale));
+    const frames = [];
+    let premultiplied = decoded.premultiplied;
+
+    // One frame at a time to keep memory use flat for long animations
+    for (const frame of decoded.frames) {
+      const { data, info } = await sharp(frame.data, {
+        raw: { width: decoded.width, height: decoded.height, channels: decoded.channels, premultiplied: decoded.premultiplied }
+      })
+        .resize({ width, height, fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      premultiplied = info.premultiplied;
+      frames.push({ ...frame, data });
+    }
+
+    return { ...decoded, frames, width, height, premultiplied };
+  }
+
+  /**
+   * Create a Sharp instance from decoded frames, stacked as pages of an animation
+   * @param {Object} decoded - Decoded frames
+   * @returns {sharp.Sharp} Sharp instance
+   */
+  framesToSharp({ frames, width, height, channels, premultiplied }) {
+    const raw = { width, height: height * frames.length, channels, premultiplied };
+    if (frames.length > 1) raw.pageHeight = height;
+
+    return sharp(Buffer.concat(frames.map(frame => frame.data)), { raw });
+  }
+
+  /**
+   * Get the frame delays and loop count to write for decoded frames
+   * @param {Object} decoded - Decoded frames
+   * @returns {Object} Output settings (delay, loop), empty for a single frame
+   */
+  getAnimationOverrides({ frames, loop }) {
+    if (frames.length < 2) return {};
+
+    return {
+      delay: frames.map(frame => Math.round(frame.delay)),
+      loop
+    };
+  }
+
+  /**
+   * Get the GIF palette settings for the animation options
+   * @param {Object} animation - Normalized animation options
+   * @param {string} outputFormat - Target format
+   * @returns {Object} Output settings (colours), empty for formats other than GIF
+   */
+  getPaletteOverrides(animation, outputFormat) {
+    if (!animation || !animation.colors || outputFormat.toLowerCase() !== 'gif') return {};
+
+    return { colours: animation.colors };
+  }
+
+  /**
+   * Check whether animation options drop any frames
+   * @param {Object} animation - Normalized animation options
+   * @returns {boolean} Whether frames are dropped
+   */
+  dropsFrames(animation) {
+    return Boolean(animation && (animation.maxFps || animation.frameStep > 1));
+  }
+
+  /**
+   * Check whether an image keeps its animation when converted to a format
+   * @param {Object} metadata - Input image metadata
+   * @param {string} outputFormat - Target format
+   * @returns {Promise<boolean>} Whether all frames are kept
+   */
+  async isAnimationPreserved(metadata, outputFormat) {
+    if (!metadata || !(metadata.pages > 1)) return false;
+
+    const animatedFormats = await this.getAnimatedOutputFormats();
+    return animatedFormats.includes(outputFormat.toLowerCase());
+  }
+
+  /**
+   * Get the output formats that can store animations.
+   * Each candidate is probed once with a two-frame image, since an encoder may
+   * accept multi-page input but only write a single tall frame (e.g. AVIF in libvips).
+   * @returns {Promise<Array>} Animated output formats
+   */
+  getAnimatedOutputFormats() {
+    if (!this.animatedFormatsProbe) {
+      this.animatedFormatsProbe = this.getSupportedOutputFormats().then(outputFormats => {
+        const sample = {
+          frames: [{ data: Buffer.alloc(8 * 8 * 3, 0), delay: 100 }, { data: Buffer.alloc(8 * 8 * 3, 255), delay: 100 }],
+          width: 8,
+          height: 8,
+          channels: 3,
+          loop: 0
+        };
+
+        const candidates = ANIMATION_CANDIDATES.filter(format => outputFormats.includes(format));
+
+        return Promise.all(candidates.map(async format => {
+          try {
+            const encoded = await this.applyOutputFormat(this.framesToSharp(sample), format, 'medium', this.getAnimationOverrides(sample)).toBuffer();
+            const { pages } = await sharp(encoded).metadata();
+            return pages > 1 ? format : null;
+          } catch (error) {
+            return null;
+          }
+        })).then(formats => formats.filter(Boolean));
+      });
+    }
+
+    return this.animatedFormatsProbe;
+  }
+
+  /**
+   * Validate and normalize animation request options
+   * @param {Object} animation - Animation options (maxFps, frameStep, colors)
+   * @returns {Object|undefined} Normalized animation options
+   */
+  parseAnimationOptions(animation) {
+    if (animation === undefined || animation === null) {
+      return undefined;
+    }
+
+    if (typeof animation !== 'object' || Array.isArray(animation)) {
+      throw new Error('animation must be an object');
+    }
+
+    const result = {};
+
+    if (animation.maxFps !== undefined && animation.maxFps !== null && animation.maxFps !== '') {
+      const maxFps = Number(animation.maxFps);
+      if (!Number.isFinite(maxFps) || maxFps <= 0 || maxFps > 100) {
+        throw new Error('animation.maxFps must be a number between 0 and 100');
+      }
+      result.maxFps = maxFps;
+    }
+
+    if (animation.frameStep !== undefined && animation.frameStep !== null && animation.frameStep !== '') {
+      const frameStep = Number(animation.frameStep);
+      if (!Number.isInteger(frameStep) || frameStep < 1 || frameStep > 100) {
+        throw new Error('animation.frameStep must be a whole number between 1 and 100');
+      }
+      result.frameStep = frameStep;
+    }
+
+    if (animation.colors !== undefined && animation.colors !== null && animation.colors !== '') {
+      const colors = Number(animation.colors);
+      if (!Number.isInteger(colors) || colors < 2 || colors > 256) {
+        throw new Error('animation.colors must be a whole number between 2 and 256');
+      }
+      result.colors = colors;
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a target size option given in bytes or with a B, KB or MB unit
+   * @param {number|string} value - Option value, e.g. 204800 or "200KB"
+   * @returns {number|undefined} Target size in bytes
+   */
+  parseTargetSize(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i);
+    if (!match) {
+      throw new Error('targetSize must be a number of bytes or a size such as "200KB" or "1.5MB"');
+    }
+
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+    const bytes = Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+
+    if (bytes < 1) {
+      throw new Error('targetSize must be greater than zero');
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Check whether an output format supports target size mode
+   * @param {string} outputFormat - Target format
+   * @returns {boolean} Whether a target size can be searched for
+   */
+  supportsTargetSize(outputFormat) {
+    return TARGET_SIZE_FORMATS.includes(outputFormat.toLowerCase());
+  }
+
+  /**
+   * Validate and normalize metadata request options, filling in the privacy-safe defaults
+   * @param {Object} options - Metadata options (autoOrient, exif, gps, icc)
+   * @param {Object} context - Conversion context
+   * @param {boolean} context.decoded - Whether the conversion re-encodes decoded pixels (target size or frame dropping),
+   *   which can't keep the source EXIF or ICC profile
+   * @returns {Object} Normalized metadata options
+   */
+  parseMetadataOptions(options, { decoded = false } = {}) {
+    const defaults = decoded ? DECODED_METADATA_DEFAULTS : METADATA_DEFAULTS;
+
+    if (options === undefined || options === null) {
+      return { ...defaults };
+    }
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('metadata must be an object');
+    }
+
+    const result = { ...defaults };
+
+    if (options.autoOrient !== undefined && options.autoOrient !== null && options.autoOrient !== '') {
+      if (![true, false, 'true', 'false'].includes(options.autoOrient)) {
+        throw new Error('metadata.autoOrient must be true or false');
+      }
+      result.autoOrient = options.autoOrient === true || options.autoOrient === 'true';
+    }
+
+    Object.entries(METADATA_CHOICES).forEach(([name, choices]) => {
+      const value = options[name];
+      if (value === undefined || value === null || value === '') return;
+
+      const normalized = String(value).toLowerCase();
+      if (!choices.includes(normalized)) {
+        throw new Error(`metadata.${name} must be one of: ${choices.join(', ')}`);
+      }
+      result[name] = normalized;
+    });
+
+    const kept = decoded && ['exif', 'icc'].find(name => result[name] === 'keep');
+    if (kept) {
+      throw new Error(`metadata.${kept} can't be keep with targetSize or frame dropping, which re-encode decoded pixels`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove GPS data from the EXIF block of a source image when EXIF is kept but GPS is not.
+   * If the EXIF block cannot be patched, the whole block is dropped rather than risk passing on a location.
+   * @param {Buffer} buffer - Source image
+   * @param {Object} metadata - Source image metadata
+   * @param {Object} metadataOptions - Normalized metadata options
+   * @returns {Object} Buffer to convert and the metadata options that apply to it
+   */
+  removeGpsData(buffer, metadata, metadataOptions) {
+    if (metadataOptions.exif !== 'keep' || metadataOptions.gps === 'keep' || !metadata.exif) {
+      return { buffer, metadataOptions };
+    }
+
+    const patched = exifEditor.removeGps(buffer, metadata.exif);
+    if (!patched) {
+      console.warn('GPS data could not be isolated, dropping EXIF instead');
+      return { buffer, metadataOptions: { ...metadataOptions, exif: 'strip' } };
+    }
+
+    return { buffer: patched, metadataOptions };
+  }
+
+  /**
+   * Apply EXIF and ICC profile options to a Sharp instance.
+   * Without auto-orientation the EXIF orientation is always written, so viewers still display the image upright.
+   * @param {sharp.Sharp} sharpInstance - Sharp instance
+   * @param {Object} metadataOptions - Normalized metadata options
+   * @param {Object} metadata - Source image metadata
+   * @param {Object} options - Application options
+   * @param {boolean} options.decoded - Whether the instance holds decoded frames, which no longer carry the source EXIF or profile
+   * @returns {sharp.Sharp} Sharp instance with metadata options applied
+   */
+  applyMetadataOptions(sharpInstance, { autoOrient, exif, icc }, metadata = {}, { decoded = false } = {}) {
+    if (decoded && (exif === 'keep' || icc === 'keep')) {
+      throw this.createError(400, 'METADATA_NOT_KEPT', 'The source EXIF and ICC profile can\'t be kept when re-encoding decoded pixels');
+    }
+
+    if (exif === 'keep') {
+      sharpInstance = sharpInstance.keepExif();
+    } else if (!autoOrient && metadata.orientation > 1) {
+      // Decoded frames have no orientation of their own for withExif to keep, so it has to be set explicitly
+      sharpInstance = decoded
+        ? sharpInstance.withMetadata({ orientation: metadata.orientation })
+        : sharpInstance.withExif({ IFD0: { Orientation: String(metadata.orientation) } });
+    }
+
+    if (icc === 'keep') {
+      sharpInstance = sharpInstance.keepIccProfile();
+    } else if (icc !== 'strip') {
+      sharpInstance = sharpInstance.withIccProfile(icc);
+    }
+
+    return sharpInstance;
+  }
+
+  /**
+   * Create a streaming conversion pipeline.
+   * Input is written to the returned stream and the converted image is read from it.
+   * The EXIF block cannot be patched while streaming, so it is only kept when GPS data may be kept too.
+   * @param {Object} options - Conversion options
+   * @param {string} options.outputFormat - Target format
+   * @param {string} options.compressionLevel - Compression level
+   * @param {Object} options.metadataOptions - Normalized metadata options
+   * @returns {sharp.Sharp} Duplex Sharp stream
+   */
+  createPipeline({ outputFormat, compressionLevel, metadataOptions = METADATA_DEFAULTS }) {
+    const options = { ...metadataOptions, exif: metadataOptions.gps === 'keep' ? metadataOptions.exif : 'strip' };
+    const input = sharp({ autoOrient: options.autoOrient, limitInputPixels: fileValidator.maxInputPixels });
+    const sharpInstance = this.applyMetadataOptions(input, options);
+
+    return this.applyOutputFormat(sharpInstance, outputFormat, compressionLevel);
+  }
+
+  /**
+   * Apply crop and resize options to a Sharp instance.
+   * The crop rectangle is taken from the original image and the result is then resized.
+   * @param {sharp.Sharp} sharpInstance - Sharp instance
+   * @param {Object} options - Transform options
+   * @param {Object} options.resize - Normalized resize options
+   * @param {Object} options.crop - Normalized crop rectangle (left, top, width, height)
+   * @param {Object} options.metadata - Original image metadata
+   * @param {boolean} options.autoOrient - Whether the image is rotated to its EXIF orientation, so the crop is relative to the rotated image
+   * @returns {sharp.Sharp} Sharp instance with transforms applied
+   */
+  applyTransforms(sharpInstance, { resize, crop, metadata, autoOrient = false }) {
+    if (crop) {
+      const bounds = metadata && (autoOrient && metadata.autoOrient ? metadata.autoOrient : metadata);
+
+      if (bounds && (crop.left + crop.width > bounds.width || crop.top + crop.height > bounds.height)) {
+        throw this.createError(400, 'CROP_OUT_OF_BOUNDS', `Crop area ${crop.width}x${crop.height} at ${crop.left},${crop.top} is outside the ${bounds.width}x${bounds.height} image`);
+      }
+
+      sharpInstance = sharpInstance.extract(crop);
+    }
+
+    if (resize) {
+      sharpInstance = sharpInstance.resize(resize);
+    }
+
+    return sharpInstance;
+  }
+
+  /**
+   * Validate and normalize resize and crop request options
+   * @param {Object} options - Request options
+   * @param {Object} options.resize - Resize options (width, height, fit, position, background, withoutEnlargement)
+   * @param {Object} options.crop - Crop rectangle (left, top, width, height)
+   * @returns {Object} Normalized resize and crop options
+   */
+  parseTransformOptions({ resize, crop }) {
+    const result = { resize: undefined, crop: undefined };
+
+    if (crop !== undefined && crop !== null) {
+      if (typeof crop !== 'object' || Array.isArray(crop)) {
+        throw new Error('crop must be an object with left, top, width and height');
+      }
+
+      result.crop = {
+        left: this.parseDimension(crop.left, 'crop.left', { min: 0, required: true }),
+        top: this.parseDimension(crop.top, 'crop.top', { min: 0, required: true }),
+        width: this.parseDimension(crop.width, 'crop.width', { min: 1, required: true }),
+        height: this.parseDimension(crop.height, 'crop.height', { min: 1, required: true })
+      };
+    }
+
+    if (resize !== undefined && resize !== null) {
+      if (typeof resize !== 'object' || Array.isArray(resize)) {
+        throw new Error('resize must be an object');
+      }
+
+      const width = this.parseDimension(resize.width, 'resize.width', { min: 1 });
+      const height = this.parseDimension(resize.height, 'resize.height', { min: 1 });
+
+      if (!width && !height) {
+        throw new Error('resize needs a width, a height or both');
+      }
+
+      const fit = resize.fit || 'cover';
+      if (!Object.values(sharp.fit).includes(fit)) {
+        throw new Error(`resize.fit must be one of: ${Object.values(sharp.fit).join(', ')}`);
+      }
+
+      const positions = [...Object.keys(sharp.position), ...Object.keys(sharp.gravity), ...Object.keys(sharp.strategy)];
+      const position = resize.position || 'centre';
+      if (!positions.includes(position)) {
+        throw new Error(`resize.position must be one of: ${[...new Set(positions)].join(', ')}`);
+      }
+
+      result.resize = {
+        width,
+        height,
+        fit,
+        position,
+        withoutEnlargement: resize.withoutEnlargement === true || resize.withoutEnlargement === 'true'
+      };
+
+      if (resize.background !== undefined) {
+        result.resize.background = resize.background;
+
+        // Let Sharp parse the colour so invalid values are rejected before the job is queued
+        try {
+          sharp().resize({ width: 1, background: resize.background });
+        } catch (error) {
+          throw new Error(`resize.background is not a valid colour: ${resize.background}`);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a pixel dimension option
+   * @param {number|string} value - Option value
+   * @param {string} name - Option name for error messages
+   * @param {Object} options - Parsing options
+   * @param {number} options.min - Smallest allowed value
+   * @param {boolean} options.required - Whether the option must be present
+   * @returns {number|undefined} Parsed dimension
+   */
+  parseDimension(value, name, { min, required = false }) {
+    if (value === undefined || value === null || value === '') {
+      if (required) throw new Error(`${name} is required`);
+      return undefined;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > MAX_DIMENSION) {
+      throw new Error(`${name} must be a whole number between ${min} and ${MAX_DIMENSION}`);
+    }
+
+    return number;
+  }
+
+  /**
+   * Apply output format and compression settings to a Sharp instance
+   * @param {sharp.Sharp} sharpInstance - Sharp instance
+   * @param {string} outputFormat - Target format
+   * @param {string} compressionLevel - Compression level
+   * @param {Object} overrides - Settings that replace the preset values, e.g. quality
+   * @returns {sharp.Sharp} Sharp instance with output format applied
+   */
+  applyOutputFormat(sharpInstance, outputFormat, compressionLevel, overrides = {}) {
+    // Get compression settings based on level
+    const compressionSettings = { ...this.getCompressionSettings(outputFormat, compressionLevel), ...overrides };
+
+    switch (outputFormat.toLowerCase()) {
+      case 'jpg':
+      case 'jpeg':
+        return sharpInstance.jpeg(compressionSettings);
+      case 'png':
+        return sharpInstance.png(compressionSettings);
+      case 'webp':
+        return sharpInstance.webp(compressionSettings);
+      case 'gif':
+        return sharpInstance.gif(compressionSettings);
+      case 'tiff':
+        return sharpInstance.tiff(compressionSettings);
+      case 'avif':
+        return sharpInstance.avif(compressionSettings);
+      case 'heif':
+        // Plain HEIF output is HEVC coded, which needs a libvips build with an HEVC encoder
+        return sharpInstance.heif({ compression: 'hevc', ...compressionSettings });
+      case 'jxl':
+        return sharpInstance.jxl(compressionSettings);
+      default:
+        throw new Error(`Unsupported output format: ${outputFormat}`);
+    }
+  }
+
   /**
    * Get compression settings based on format and level
    * @param {string} format - Output format
@@ -99,6 +824,21 @@ class ImageConverter {
         low: { compression: 'lzw' },
         medium: { compression: 'deflate' },
         high: { compression: 'jpeg', quality: 75 }
+      },
+      avif: {
+        low: { quality: 70, effort: 4 },
+        medium: { quality: 50, effort: 4 },
+        high: { quality: 40, effort: 5, chromaSubsampling: '4:2:0' }
+      },
+      heif: {
+        low: { quality: 75, effort: 4 },
+        medium: { quality: 55, effort: 4 },
+        high: { quality: 40, effort: 5, chromaSubsampling: '4:2:0' }
+      },
+      jxl: {
+        low: { quality: 90, effort: 7 },
+        medium: { quality: 75, effort: 7 },
+        high: { quality: 60, effort: 8 }
       }
     };
 
@@ -106,34 +846,124 @@ class ImageConverter {
   }
 
   /**
-   * Get supported input formats
-   * @returns {Array} Supported formats
+   * Get supported input formats: those the upload validator accepts and the running sharp build can decode.
+   * HEIF codecs are probed by decoding a tiny image encoded with them; a codec that cannot be
+   * encoded here cannot be confirmed and is left out.
+   * @returns {Promise<Array>} Supported file extensions
    */
   getSupportedInputFormats() {
-    return ['jpeg', 'jpg', 'png', 'webp', 'bmp', 'gif', 'tiff', 'heic'];
+    if (!this.inputFormatsProbe) {
+      const sample = sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } });
+
+      this.inputFormatsProbe = Promise.all(Object.values(INPUT_FORMATS).map(async ({ decoder, compression, suffixes }) => {
+        if (!sharp.format[decoder] || !sharp.format[decoder].input.buffer) return [];
+        if (!compression) return suffixes;
+
+        try {
+          const encoded = await sample.clone().heif({ compression }).toBuffer();
+          await sharp(encoded).toBuffer();
+          return suffixes;
+        } catch (error) {
+          return [];
+        }
+      })).then(formats => formats.flat());
+    }
+
+    return this.inputFormatsProbe;
   }
 
   /**
-   * Get supported output formats
-   * @returns {Array} Supported formats
+   * Get supported output formats.
+   * sharp.format only says whether an encoder is compiled in, not which codecs it has
+   * (e.g. HEIF without HEVC), so each candidate is probed once with a tiny image.
+   * @returns {Promise<Array>} Supported formats
    */
   getSupportedOutputFormats() {
-    return ['jpeg', 'jpg', 'png', 'webp', 'bmp', 'gif', 'tiff'];
+    if (!this.outputFormatsProbe) {
+      const sample = sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } });
+
+      this.outputFormatsProbe = Promise.all(Object.entries(OUTPUT_FORMATS).map(async ([name, { encoder }]) => {
+        if (!sharp.format[encoder] || !sharp.format[encoder].output.buffer) return null;
+
+        try {
+          await this.applyOutputFormat(sample.clone(), name, 'medium').toBuffer();
+          return name;
+        } catch (error) {
+          return null;
+        }
+      })).then(formats => formats.filter(Boolean));
+    }
+
+    return this.outputFormatsProbe;
+  }
+
+  /**
+   * Inspect an image from its header, without decoding the pixels
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Object>} Dimensions, color, metadata and animation details
+   */
+  async getImageInfo(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    const frames = metadata.pages || 1;
+    const orientation = metadata.orientation || 1;
+    const delays = Array.isArray(metadata.delay) ? metadata.delay : [];
+
+    return {
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.pageHeight || metadata.height,
+      // Size as displayed, after applying the EXIF orientation
+      displayWidth: metadata.autoOrient ? metadata.autoOrient.width : metadata.width,
+      displayHeight: metadata.autoOrient ? metadata.autoOrient.height : (metadata.pageHeight || metadata.height),
+      orientation,
+      colorSpace: metadata.space || null,
+      channels: metadata.channels,
+      bitDepth: metadata.bitsPerSample || DEPTH_BITS[metadata.depth] || null,
+      hasAlpha: Boolean(metadata.hasAlpha),
+      isPalette: Boolean(metadata.isPalette),
+      isProgressive: Boolean(metadata.isProgressive),
+      chromaSubsampling: metadata.chromaSubsampling || null,
+      density: metadata.density || null,
+      hasExif: Boolean(metadata.exif),
+      hasIccProfile: Boolean(metadata.icc),
+      hasXmp: Boolean(metadata.xmp),
+      hasIptc: Boolean(metadata.iptc),
+      frames,
+      animated: frames > 1,
+      loop: frames > 1 && metadata.loop !== undefined ? metadata.loop : null,
+      duration: frames > 1 && delays.length > 0
+        ? delays.reduce((total, delay) => total + (delay || DEFAULT_FRAME_DELAY), 0)
+        : null
+    };
   }
 
   /**
    * Validate if conversion is possible
    * @param {string} inputFormat - Input format
    * @param {string} outputFormat - Output format
-   * @returns {boolean} Whether conversion is possible
+   * @returns {Promise<boolean>} Whether conversion is possible
    */
-  canConvert(inputFormat, outputFormat) {
-    const supportedInput = this.getSupportedInputFormats();
-    const supportedOutput = this.getSupportedOutputFormats();
+  async canConvert(inputFormat, outputFormat) {
+    const supportedInput = await this.getSupportedInputFormats();
+    const supportedOutput = await this.getSupportedOutputFormats();
     
     return supportedInput.includes(inputFormat.toLowerCase()) && 
            supportedOutput.includes(outputFormat.toLowerCase());
   }
+
+  /**
+   * Create an error with an HTTP status and machine-readable code
+   * @param {number} status - HTTP status
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error} Error
+   */
+  createError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
 }
 
 module.exports = new ImageConverter();
\ No newline at end of file
@@ -0,0 +1,298 @@
+const progressHub = require('./progressHub');
+const usageTracker = require('./usageTracker');
+const historyStore = require('./historyStore');
+
+const JOB_MAX_AGE = 60 * 60 * 1000; // 1 hour
+
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   */
+  constructor({ concurrency = 2 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    // Totals since the server started, for the admin dashboard
+    this.totals = { completed: 0, failed: 0, cancelled: 0 };
+    // Output format -> { completed, failed, cancelled, durationMs of completed jobs }
+    this.formatStats = new Map();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} options - Job options
+   * @param {string} options.type - Job type (image, pdf, batch, image-to-pdf, pdf-to-image, pdf-merge, pdf-split, pdf-extract, pdf-delete, pdf-reorder, pdf-rotate)
+   * @param {string} options.format - Output format (jpg, webp, pdf, ...), for statistics
+   * @param {string|null} options.ownerId - ID of the signed-in user creating the job
+   * @param {Object} options.usage - Usage accounting (key of the user or IP to charge, bytesIn)
+   * @param {Object} options.history - History details for signed-in users (endpoint, inputName, fileCount, options, oneTime)
+   * @param {Function} options.handler - Async handler receiving { jobId, signal }
+   * @returns {Object} Job ID and access token
+   */
+  enqueue({ type, format = 'unknown', ownerId = null, usage = null, history = null, handler }) {
+    this.cleanupOldJobs();
+
+    const { jobId, token } = progressHub.createJob({ ownerId });
+
+    const job = {
+      id: jobId,
+      type,
+      format: String(format).toLowerCase(),
+      status: 'queued',
+      handler,
+      ownerId,
+      usageKey: usage ? usage.key : null,
+      cpuStart: null,
+      history,
+      controller: new AbortController(),
+      result: null,
+      error: null,
+      errorCode: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(jobId, job);
+    this.pending.push(job);
+
+    // A conversion counts against the quota as soon as it is accepted
+    if (usage) {
+      usageTracker.record(usage.key, { conversions: 1, bytesIn: usage.bytesIn });
+    }
+
+    progressHub.publish(jobId, 'progress', { progress: 0, message: 'Waiting in queue...' });
+    this.processNext();
+
+    return { jobId, token };
+  }
+
+  /**
+   * Get the public status of a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job status
+   */
+  getStatus(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const lastEvent = progressHub.getLastEvent(jobId);
+    const progress = lastEvent && lastEvent.type === 'progress' ? lastEvent.data : null;
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.status === 'completed' ? 100 : (progress ? progress.progress : 0),
+      message: progress ? progress.message : null,
+      position: job.status === 'queued' ? this.pending.indexOf(job) + 1 : null,
+      result: job.result,
+      error: job.error,
+      errorCode: job.errorCode,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job ID
+   * @returns {boolean} Whether the job was cancelled
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return false;
+    }
+
+    if (job.status === 'queued') {
+      this.pending.splice(this.pending.indexOf(job), 1);
+      this.finish(job, 'cancelled');
+    } else {
+      // Running handlers check the signal between processing steps
+      job.controller.abort();
+      job.status = 'cancelling';
+    }
+
+    return true;
+  }
+
+  /**
+   * Start queued jobs while there is free capacity
+   */
+  processNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  /**
+   * Run a single job
+   * @param {Object} job - Job record
+   */
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.cpuStart = process.cpuUsage();
+
+    try {
+      const result = await job.handler({ jobId: job.id, signal: job.controller.signal });
+
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        job.result = result;
+        await this.recordHistory(job);
+        this.finish(job, 'completed');
+      }
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        console.error(`Job ${job.id} failed:`, error.message);
+        job.error = error.message;
+        job.errorCode = error.code || null;
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.running--;
+      this.processNext();
+    }
+  }
+
+  /**
+   * Mark a job as finished and notify subscribers
+   * @param {Object} job - Job record
+   * @param {string} status - Final status (completed, failed, cancelled)
+   */
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    job.handler = null;
+
+    this.recordUsage(job);
+    this.recordStats(job);
+
+    if (status === 'completed') {
+      progressHub.publish(job.id, 'complete', job.result);
+    } else if (status === 'failed') {
+      progressHub.publish(job.id, 'error', { progress: 0, message: 'Conversion failed', error: job.error, code: job.errorCode });
+    } else {
+      progressHub.publish(job.id, 'cancelled', { progress: 0, message: 'Conversion cancelled' });
+    }
+  }
+
+  /**
+   * Add a completed job to its owner's conversion history.
+   * Runs before subscribers are notified, so the entry is listed by the time they ask.
+   * @param {Object} job - Job record
+   */
+  async recordHistory(job) {
+    if (!job.ownerId || !job.history) return;
+
+    try {
+      const entry = await historyStore.add(job.ownerId, { type: job.type, ...job.history, result: job.result });
+      job.result = { ...job.result, historyId: entry.id };
+    } catch (error) {
+      console.warn(`Warning: Could not record job ${job.id} in history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Charge the output size and CPU time of a finished job to its user or IP.
+   * CPU time is that of the whole process while the job ran, so it is shared out between
+   * jobs running at the same time.
+   * @param {Object} job - Job record
+   */
+  recordUsage(job) {
+    if (!job.usageKey) return;
+
+    let cpuMs = 0;
+    if (job.cpuStart) {
+      const { user, system } = process.cpuUsage(job.cpuStart);
+      cpuMs = (user + system) / 1000 / Math.max(1, this.running);
+    }
+
+    const result = job.result || {};
+    const bytesOut = result.archiveSize || result.convertedSize || result.compressedSize || 0;
+
+    usageTracker.record(job.usageKey, { bytesOut, cpuMs });
+  }
+
+  /**
+   * Count a finished job in the totals and the statistics of its output format
+   * @param {Object} job - Job record
+   */
+  recordStats(job) {
+    this.totals[job.status]++;
+
+    let stats = this.formatStats.get(job.format);
+    if (!stats) {
+      stats = { completed: 0, failed: 0, cancelled: 0, durationMs: 0 };
+      this.formatStats.set(job.format, stats);
+    }
+
+    stats[job.status]++;
+    if (job.status === 'completed') {
+      stats.durationMs += job.finishedAt - job.startedAt;
+    }
+  }
+
+  /**
+   * Get queue statistics since the server started
+   * @returns {Object} Jobs in flight, finished totals with failure rate, and per-format averages
+   */
+  getStats() {
+    const failureRate = (completed, failed) => (completed + failed > 0 ? failed / (completed + failed) : null);
+
+    return {
+      concurrency: this.concurrency,
+      queued: this.pending.length,
+      running: this.running,
+      ...this.totals,
+      failureRate: failureRate(this.totals.completed, this.totals.failed),
+      formats: [...this.formatStats.entries()]
+        .map(([format, stats]) => ({
+          format,
+          completed: stats.completed,
+          failed: stats.failed,
+          cancelled: stats.cancelled,
+          failureRate: failureRate(stats.completed, stats.failed),
+          averageDurationMs: stats.completed > 0 ? Math.round(stats.durationMs / stats.completed) : null
+        }))
+        .sort((a, b) => (b.completed + b.failed) - (a.completed + a.failed))
+    };
+  }
+
+  /**
+   * Throw if a job has been cancelled
+   * @param {AbortSignal} signal - Job abort signal
+   */
+  throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      throw new Error('Job cancelled');
+    }
+  }
+
+  /**
+   * Clean up finished jobs older than the maximum age
+   */
+  cleanupOldJobs() {
+    const now = Date.now();
+
+    this.jobs.forEach((job, jobId) => {
+      if (job.finishedAt && now - job.finishedAt > JOB_MAX_AGE) {
+        this.jobs.delete(jobId);
+      }
+    });
+  }
+}
+
+module.exports = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2
+});
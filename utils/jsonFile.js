@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+class JsonFile {
+  /**
+   * JSON document on local disk, written atomically with one write at a time
+   * @param {string} file - Path of the JSON file
+   */
+  constructor(file) {
+    this.file = file;
+
+    // Writes are chained so the file is never written by two saves at once
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the document
+   * @param {*} fallback - Value returned when the file does not exist or cannot be parsed
+   * @returns {Promise<*>} Parsed document
+   */
+  async read(fallback) {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Warning: Could not read ${this.file}, starting empty: ${error.message}`);
+      }
+      return fallback;
+    }
+  }
+
+  /**
+   * Write the document through a temporary file, so a crash cannot leave it half written
+   * @param {*} data - Document to write
+   * @returns {Promise<void>} Resolves once this and every earlier write has finished
+   * @throws {Error} If this write fails
+   */
+  write(data) {
+    const json = JSON.stringify(data);
+
+    const write = this.writing.then(async () => {
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(temporary, json, { mode: 0o600 });
+      await fs.rename(temporary, this.file);
+    });
+
+    // A failed write is reported to its caller but must not stop later writes
+    this.writing = write.catch(() => {});
+
+    return write;
+  }
+}
+
+module.exports = JsonFile;
@@ -1,52 +1,141 @@
-const { PDFDocument } = require('pdf-lib');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const fileValidator = require('./fileValidator');
+const { PDFDocument, PDFName, PDFArray, PDFDict, PDFNumber, PDFRef, PDFRawStream, PDFBool, PDFInvalidObject, PageSizes, degrees, EncryptedPDFError } = require('@cantoo/pdf-lib');
+
+// Optimization steps that can be toggled individually per request
+const OPTIMIZATION_OPTIONS = [
+  'removeAnnotations',
+  'keepLinks',
+  'removeMetadata',
+  'removeThumbnails',
+  'removeEmbeddedFiles',
+  'removeJavaScript',
+  'removeDuplicateObjects',
+  'removeUnusedObjects'
+];
+
+// Page sizes for image-to-PDF conversion, in points (portrait). `fit` sizes each page to its image.
+const PAGE_SIZES = {
+  a3: PageSizes.A3,
+  a4: PageSizes.A4,
+  a5: PageSizes.A5,
+  letter: PageSizes.Letter,
+  legal: PageSizes.Legal
+};
+
+const PAGE_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+// Largest page margin accepted, in points (2 inches)
+const MAX_PAGE_MARGIN = 144;
+
+// Page operations that work on a single document; merging combines several
+const PAGE_OPERATIONS = ['split', 'extract', 'delete', 'reorder', 'rotate'];
+
+// Page rotations accepted, in degrees clockwise
+const ROTATION_ANGLES = [90, 180, 270, -90];
+
+// Permission flags for password-protected output; each is granted unless set to false
+const PDF_PERMISSIONS = [
+  'printing',
+  'modifying',
+  'copying',
+  'annotating',
+  'fillingForms',
+  'contentAccessibility',
+  'documentAssembly'
+];
+
+const PRINTING_RESOLUTIONS = ['lowResolution', 'highResolution'];
+
+// Printing permission from least to most permissive
+const PRINTING_LEVELS = [false, ...PRINTING_RESOLUTIONS];
+
+// Bits of an encryption dictionary's /P entry granting each permission
+const PERMISSION_BITS = {
+  printing: 1 << 2,
+  modifying: 1 << 3,
+  copying: 1 << 4,
+  annotating: 1 << 5,
+  fillingForms: 1 << 8,
+  contentAccessibility: 1 << 9,
+  documentAssembly: 1 << 10
+};
+
+// /P bit that lifts printing from low to high resolution
+const HIGH_RESOLUTION_PRINTING_BIT = 1 << 11;
+
+// Permissions of decrypted documents that restrict what may be done with them,
+// with the password that opened them; carried over to any PDF saved from them
+const documentRestrictions = new WeakMap();
+
+// Channel counts for the device color spaces we can re-encode
+const COLOR_SPACE_CHANNELS = {
+  DeviceGray: 1,
+  DeviceRGB: 3,
+  DeviceCMYK: 4
+};
 
 class PDFConverter {
   /**
    * Compress PDF file
    * @param {Object} options - Compression options
-   * @returns {Buffer} Compressed PDF buffer
+   * @returns {Object} Compressed PDF buffer and page count, with image and cleanup statistics
    */
-  async compress({ buffer, compressionLevel, pageCount, progressCallback }) {
+  async compress({ buffer, compressionLevel, optimizations, password, protection, progressCallback }) {
     try {
       // Update progress
       if (progressCallback) progressCallback(10, 'Loading PDF document...');
 
-      // Load the PDF document
-      const pdfDoc = await PDFDocument.load(buffer);
+      // Load the PDF document, decrypting it when a password is given
+      const pdfDoc = await this.loadDocument(buffer, password);
+      const pageCount = pdfDoc.getPageCount();
 
       // Update progress
-      if (progressCallback) progressCallback(30, 'Analyzing document structure...');
+      if (progressCallback) progressCallback(30, `Processing PDF with ${pageCount} pages...`);
 
-      // Get compression settings
-      const settings = this.getCompressionSettings(compressionLevel);
+      // Get compression settings, with per-request optimization overrides
+      const settings = this.getCompressionSettings(compressionLevel, optimizations);
 
       // Update progress
       if (progressCallback) progressCallback(50, 'Applying compression...');
 
       // Apply compression techniques
-      await this.applyCompression(pdfDoc, settings, progressCallback);
+      const stats = await this.applyCompression(pdfDoc, settings, progressCallback);
+      const { images } = stats;
 
       // Update progress
       if (progressCallback) progressCallback(90, 'Generating compressed PDF...');
 
       // Save the compressed PDF
-      const compressedBytes = await pdfDoc.save({
+      const compressedBuffer = await this.saveDocument(pdfDoc, {
         useObjectStreams: settings.useObjectStreams,
         addDefaultPage: false,
         objectStreamCompressionMethod: settings.objectStreamCompressionMethod
-      });
-
-      const compressedBuffer = Buffer.from(compressedBytes);
+      }, protection);
 
       console.log(`PDF compressed: ${buffer.length} -> ${compressedBuffer.length} bytes`);
       console.log(`Compression ratio: ${((buffer.length - compressedBuffer.length) / buffer.length * 100).toFixed(1)}%`);
+      console.log(`Images recompressed: ${images.recompressed}/${images.found}, ${images.bytesSaved} bytes saved`);
 
       if (progressCallback) progressCallback(100, 'Compression complete!');
 
-      return compressedBuffer;
+      return {
+        buffer: compressedBuffer,
+        pageCount,
+        images: {
+          found: images.found,
+          recompressed: images.recompressed,
+          bytesSaved: images.bytesSaved
+        },
+        cleanup: stats.cleanup
+      };
 
     } catch (error) {
       console.error('PDF compression error:', error);
+      // Password errors carry a code the client can act on
+      if (error.code) throw error;
       throw new Error(`Failed to compress PDF: ${error.message}`);
     }
   }
@@ -56,12 +145,27 @@ class PDFConverter {
    * @param {PDFDocument} pdfDoc - PDF document
    * @param {Object} settings - Compression settings
    * @param {Function} progressCallback - Progress callback
+   * @returns {Object} Image recompression and cleanup statistics
    */
   async applyCompression(pdfDoc, settings, progressCallback) {
     try {
       const pages = pdfDoc.getPages();
       const totalPages = pages.length;
 
+      const stats = {
+        // Shared across pages so images referenced by several pages are processed once
+        images: { found: 0, recompressed: 0, bytesSaved: 0, visited: new Set() },
+        cleanup: {
+          annotationsRemoved: 0,
+          thumbnailsRemoved: 0,
+          metadataRemoved: 0,
+          embeddedFilesRemoved: 0,
+          javaScriptRemoved: 0,
+          duplicateStreamsRemoved: 0,
+          unusedObjectsRemoved: 0
+        }
+      };
+
       for (let i = 0; i < totalPages; i++) {
         const page = pages[i];
         
@@ -72,12 +176,14 @@ class PDFConverter {
         }
 
         // Apply page-level optimizations
-        await this.optimizePage(page, settings);
+        await this.optimizePage(page, settings, stats);
       }
 
       // Apply document-level optimizations
       if (progressCallback) progressCallback(85, 'Applying document optimizations...');
-      await this.optimizeDocument(pdfDoc, settings);
+      await this.optimizeDocument(pdfDoc, settings, stats.cleanup);
+
+      return stats;
 
     } catch (error) {
       throw new Error(`Failed to apply compression: ${error.message}`);
@@ -88,25 +194,33 @@ class PDFConverter {
    * Optimize individual page
    * @param {PDFPage} page - PDF page
    * @param {Object} settings - Compression settings
+   * @param {Object} stats - Image and cleanup statistics, updated in place
    */
-  async optimizePage(page, settings) {
+  async optimizePage(page, settings, stats) {
     try {
       // Get page dimensions
       const { width, height } = page.getSize();
 
-      // Apply scaling if specified
+      // Downsample and re-encode embedded images
       if (settings.scaleImages) {
-        // Note: pdf-lib has limited image optimization capabilities
-        // For production, you might want to use additional libraries
-        // like pdf2pic + sharp for image extraction and recompression
-        console.log(`Processing page dimensions: ${width}x${height}`);
+        await this.recompressImages(page.node.Resources(), { width, height }, settings, stats.images);
       }
 
       // Remove unnecessary elements if specified
       if (settings.removeAnnotations) {
-        // pdf-lib doesn't have direct annotation removal
-        // This would require more advanced PDF manipulation
-        console.log('Annotation removal not implemented in basic version');
+        stats.cleanup.annotationsRemoved += this.removeAnnotations(page.node, settings.keepLinks);
+      }
+
+      if (settings.removeJavaScript) {
+        stats.cleanup.javaScriptRemoved += this.removePageJavaScript(page.node);
+      }
+
+      if (settings.removeThumbnails && page.node.delete(PDFName.of('Thumb'))) {
+        stats.cleanup.thumbnailsRemoved++;
+      }
+
+      if (settings.removeMetadata && page.node.delete(PDFName.of('Metadata'))) {
+        stats.cleanup.metadataRemoved++;
       }
 
     } catch (error) {
@@ -114,67 +228,1214 @@ class PDFConverter {
     }
   }
 
+  /**
+   * Walk the XObject resources of a page or form and recompress image streams
+   * @param {PDFDict} resources - Resource dictionary
+   * @param {Object} pageSize - Page width and height in points
+   * @param {Object} settings - Compression settings
+   * @param {Object} imageStats - Image recompression statistics, updated in place
+   */
+  async recompressImages(resources, pageSize, settings, imageStats) {
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) return;
+
+    const context = resources.context;
+
+    for (const [, ref] of xObjects.entries()) {
+      if (!(ref instanceof PDFRef) || imageStats.visited.has(ref.tag)) continue;
+      imageStats.visited.add(ref.tag);
+
+      const stream = context.lookup(ref);
+      if (!(stream instanceof PDFRawStream)) continue;
+
+      const subtype = stream.dict.lookupMaybe(PDFName.of('Subtype'), PDFName);
+
+      if (subtype === PDFName.of('Form')) {
+        // Form XObjects can contain images of their own
+        const formResources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict);
+        await this.recompressImages(formResources, pageSize, settings, imageStats);
+      } else if (subtype === PDFName.of('Image')) {
+        imageStats.found++;
+
+        try {
+          const replacement = await this.recompressImage(stream, pageSize, settings);
+          if (replacement) {
+            context.assign(ref, replacement);
+            imageStats.recompressed++;
+            imageStats.bytesSaved += stream.contents.length - replacement.contents.length;
+          }
+        } catch (error) {
+          console.warn(`Warning: Could not recompress image ${ref.tag}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Downsample and re-encode a single image stream as JPEG.
+   * The image is assumed to cover the whole page when estimating its resolution,
+   * which errs on the side of keeping more pixels for images drawn smaller.
+   * @param {PDFRawStream} stream - Image XObject stream
+   * @param {Object} pageSize - Page width and height in points
+   * @param {Object} settings - Compression settings
+   * @returns {PDFRawStream|null} Replacement stream, or null if the image was left as is
+   */
+  async recompressImage(stream, pageSize, settings) {
+    const { dict, contents } = stream;
+    const filter = this.getSingleFilter(dict);
+    const width = dict.lookupMaybe(PDFName.of('Width'), PDFNumber);
+    const height = dict.lookupMaybe(PDFName.of('Height'), PDFNumber);
+    const bitsPerComponent = dict.lookupMaybe(PDFName.of('BitsPerComponent'), PDFNumber);
+    const channels = this.getColorSpaceChannels(dict);
+
+    // Only plain 8-bit DCT or Flate images are supported; masks, decode arrays
+    // and indexed or special color spaces are left untouched
+    if (!['DCTDecode', 'FlateDecode'].includes(filter)) return null;
+    if (!width || !height || !channels) return null;
+    if (bitsPerComponent && bitsPerComponent.asNumber() !== 8) return null;
+    if (dict.has(PDFName.of('Mask')) || dict.has(PDFName.of('Decode'))) return null;
+    if (dict.lookupMaybe(PDFName.of('ImageMask'), PDFBool) === PDFBool.True) return null;
+
+    const pixelWidth = width.asNumber();
+    const pixelHeight = height.asNumber();
+
+    // Images too large to decode safely are kept as they are, like uploads over limitInputPixels
+    if (!Number.isInteger(pixelWidth) || !Number.isInteger(pixelHeight) || pixelWidth < 1 || pixelHeight < 1) return null;
+    if (pixelWidth * pixelHeight > fileValidator.maxInputPixels) return null;
+
+    let image;
+    if (filter === 'DCTDecode') {
+      image = sharp(Buffer.from(contents), { limitInputPixels: fileValidator.maxInputPixels });
+    } else {
+      if (channels === 4) return null; // sharp cannot encode CMYK from raw pixels reliably
+      const pixels = this.decodeFlateImage(dict, contents, pixelWidth, pixelHeight, channels);
+      if (!pixels) return null;
+      image = sharp(pixels, { raw: { width: pixelWidth, height: pixelHeight, channels } });
+    }
+
+    // Estimate the effective resolution and downsample to the target DPI
+    const effectiveDpi = Math.max(
+      pixelWidth / (pageSize.width / 72),
+      pixelHeight / (pageSize.height / 72)
+    );
+    const scale = Math.min(1, settings.imageDpi / effectiveDpi);
+    const targetWidth = Math.max(1, Math.round(pixelWidth * scale));
+    const targetHeight = Math.max(1, Math.round(pixelHeight * scale));
+
+    if (scale < 1) {
+      image = image.resize(targetWidth, targetHeight, { fit: 'fill' });
+    }
+
+    const outputGray = channels === 1;
+    if (outputGray) {
+      image = image.toColourspace('b-w');
+    }
+
+    const encoded = await image
+      .jpeg({ quality: settings.imageQuality, mozjpeg: true })
+      .toBuffer();
+
+    // Keep the original when re-encoding does not make it smaller
+    if (encoded.length >= contents.length) return null;
+
+    const newDict = dict.clone();
+    newDict.set(PDFName.of('Width'), PDFNumber.of(targetWidth));
+    newDict.set(PDFName.of('Height'), PDFNumber.of(targetHeight));
+    newDict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+    newDict.set(PDFName.of('ColorSpace'), PDFName.of(outputGray ? 'DeviceGray' : 'DeviceRGB'));
+    newDict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+    newDict.delete(PDFName.of('DecodeParms'));
+
+    return PDFRawStream.of(newDict, encoded);
+  }
+
+  /**
+   * Get the filter of a stream if it has exactly one
+   * @param {PDFDict} dict - Stream dictionary
+   * @returns {string|null} Filter name without the leading slash
+   */
+  getSingleFilter(dict) {
+    let filter = dict.lookup(PDFName.of('Filter'));
+
+    if (filter instanceof PDFArray) {
+      if (filter.size() !== 1) return null;
+      filter = filter.lookup(0);
+    }
+
+    return filter instanceof PDFName ? filter.decodeText() : null;
+  }
+
+  /**
+   * Get the number of color channels of an image
+   * @param {PDFDict} dict - Image dictionary
+   * @returns {number|null} Channel count, or null for unsupported color spaces
+   */
+  getColorSpaceChannels(dict) {
+    const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+
+    if (colorSpace instanceof PDFName) {
+      return COLOR_SPACE_CHANNELS[colorSpace.decodeText()] || null;
+    }
+
+    // ICC-based color spaces declare their channel count in the profile stream
+    if (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased')) {
+      const profile = colorSpace.lookup(1);
+      const n = profile && profile.dict && profile.dict.lookupMaybe(PDFName.of('N'), PDFNumber);
+      return n ? n.asNumber() : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Inflate a Flate-encoded image and undo PNG predictors
+   * @param {PDFDict} dict - Image dictionary
+   * @param {Uint8Array} contents - Encoded stream contents
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} channels - Color channels
+   * @returns {Buffer|null} Raw pixel data, or null if it cannot be decoded
+   */
+  decodeFlateImage(dict, contents, width, height, channels) {
+    const params = dict.lookupMaybe(PDFName.of('DecodeParms'), PDFDict);
+    const predictor = params && params.lookupMaybe(PDFName.of('Predictor'), PDFNumber);
+    const predicted = Boolean(predictor) && predictor.asNumber() !== 1;
+    const rowLength = width * channels;
+
+    // TIFF predictors are rare in practice and not supported
+    if (predicted && predictor.asNumber() < 10) return null;
+
+    // The decoded size is known up front, so a stream inflating to more (a zip bomb) is never buffered.
+    // PNG predictors add a filter byte to each row.
+    const expectedLength = (predicted ? rowLength + 1 : rowLength) * height;
+
+    let data;
+    try {
+      data = zlib.inflateSync(Buffer.from(contents), { maxOutputLength: expectedLength });
+    } catch (error) {
+      if (error instanceof RangeError) return null;
+      throw error;
+    }
+
+    if (!predicted) {
+      return data.length === expectedLength ? data : null;
+    }
+
+    return this.undoPngPredictor(data, rowLength, height, channels);
+  }
+
+  /**
+   * Reverse PNG row filters (predictors 10-15)
+   * @param {Buffer} data - Filtered data, one filter byte per row
+   * @param {number} rowLength - Bytes per row without the filter byte
+   * @param {number} height - Number of rows
+   * @param {number} bytesPerPixel - Bytes per pixel
+   * @returns {Buffer|null} Unfiltered pixel data
+   */
+  undoPngPredictor(data, rowLength, height, bytesPerPixel) {
+    if (data.length < (rowLength + 1) * height) return null;
+
+    const output = Buffer.alloc(rowLength * height);
+
+    for (let y = 0; y < height; y++) {
+      const filterType = data[y * (rowLength + 1)];
+      const input = y * (rowLength + 1) + 1;
+      const row = y * rowLength;
+      const prevRow = row - rowLength;
+
+      for (let x = 0; x < rowLength; x++) {
+        const left = x >= bytesPerPixel ? output[row + x - bytesPerPixel] : 0;
+        const up = y > 0 ? output[prevRow + x] : 0;
+        const upLeft = y > 0 && x >= bytesPerPixel ? output[prevRow + x - bytesPerPixel] : 0;
+        let predicted;
+
+        switch (filterType) {
+          case 0: predicted = 0; break;
+          case 1: predicted = left; break;
+          case 2: predicted = up; break;
+          case 3: predicted = (left + up) >> 1; break;
+          case 4: {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left);
+            const pb = Math.abs(p - up);
+            const pc = Math.abs(p - upLeft);
+            predicted = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+            break;
+          }
+          default:
+            return null;
+        }
+
+        output[row + x] = (data[input + x] + predicted) & 0xff;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Remove page annotations
+   * @param {PDFPageLeaf} pageNode - Page dictionary
+   * @param {boolean} keepLinks - Whether to keep link annotations
+   * @returns {number} Number of annotations removed
+   */
+  removeAnnotations(pageNode, keepLinks) {
+    const annots = pageNode.Annots();
+    if (!annots) return 0;
+
+    const total = annots.size();
+
+    if (!keepLinks) {
+      pageNode.delete(PDFName.of('Annots'));
+      return total;
+    }
+
+    const links = annots.asArray().filter(annot => {
+      const dict = pageNode.context.lookup(annot);
+      return dict instanceof PDFDict && dict.get(PDFName.of('Subtype')) === PDFName.of('Link');
+    });
+
+    if (links.length === 0) {
+      pageNode.delete(PDFName.of('Annots'));
+    } else {
+      pageNode.set(PDFName.of('Annots'), pageNode.context.obj(links));
+    }
+
+    return total - links.length;
+  }
+
+  /**
+   * Remove JavaScript actions from a page and its remaining annotations
+   * @param {PDFPageLeaf} pageNode - Page dictionary
+   * @returns {number} Number of actions removed
+   */
+  removePageJavaScript(pageNode) {
+    let removed = pageNode.delete(PDFName.of('AA')) ? 1 : 0;
+    const annots = pageNode.Annots();
+
+    if (annots) {
+      annots.asArray().forEach(annot => {
+        const dict = pageNode.context.lookup(annot);
+        if (!(dict instanceof PDFDict)) return;
+
+        if (dict.delete(PDFName.of('AA'))) removed++;
+        if (this.isJavaScriptAction(dict.lookup(PDFName.of('A')))) {
+          dict.delete(PDFName.of('A'));
+          removed++;
+        }
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Check whether an action dictionary runs JavaScript
+   * @param {PDFObject} action - Action object
+   * @returns {boolean} Whether the action is a JavaScript action
+   */
+  isJavaScriptAction(action) {
+    return action instanceof PDFDict && action.get(PDFName.of('S')) === PDFName.of('JavaScript');
+  }
+
   /**
    * Optimize document structure
    * @param {PDFDocument} pdfDoc - PDF document
    * @param {Object} settings - Compression settings
+   * @param {Object} cleanupStats - Cleanup statistics, updated in place
    */
-  async optimizeDocument(pdfDoc, settings) {
+  async optimizeDocument(pdfDoc, settings, cleanupStats) {
     try {
-      // Remove unused objects (pdf-lib handles this automatically during save)
-      console.log('Document structure optimization applied');
+      const catalog = pdfDoc.catalog;
+      const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+
+      if (settings.removeMetadata && catalog.delete(PDFName.of('Metadata'))) {
+        cleanupStats.metadataRemoved++;
+      }
+
+      if (settings.removeEmbeddedFiles) {
+        if (names && names.delete(PDFName.of('EmbeddedFiles'))) cleanupStats.embeddedFilesRemoved++;
+        if (catalog.delete(PDFName.of('AF'))) cleanupStats.embeddedFilesRemoved++;
+      }
+
+      if (settings.removeJavaScript) {
+        if (names && names.delete(PDFName.of('JavaScript'))) cleanupStats.javaScriptRemoved++;
+        if (catalog.delete(PDFName.of('AA'))) cleanupStats.javaScriptRemoved++;
+        if (this.isJavaScriptAction(catalog.lookup(PDFName.of('OpenAction')))) {
+          catalog.delete(PDFName.of('OpenAction'));
+          cleanupStats.javaScriptRemoved++;
+        }
+      }
 
-      // Additional optimizations would go here
       if (settings.removeDuplicateObjects) {
-        console.log('Duplicate object removal handled by pdf-lib');
+        cleanupStats.duplicateStreamsRemoved += this.deduplicateStreams(pdfDoc.context);
+      }
+
+      // pdf-lib writes every object in the context, so anything detached above has to be dropped explicitly
+      if (settings.removeUnusedObjects) {
+        cleanupStats.unusedObjectsRemoved += this.removeUnusedObjects(pdfDoc.context);
       }
 
+      console.log('Document structure optimization applied');
+
     } catch (error) {
       console.warn(`Warning: Could not optimize document: ${error.message}`);
     }
   }
 
+  /**
+   * Merge streams with identical dictionaries and contents into a single object
+   * @param {PDFContext} context - PDF context
+   * @returns {number} Number of duplicate streams removed
+   */
+  deduplicateStreams(context) {
+    let removed = 0;
+
+    // Repeat until stable, since merging streams can make the streams that reference them identical
+    for (;;) {
+      const canonical = new Map();
+      const replacements = new Map();
+
+      context.enumerateIndirectObjects().forEach(([ref, object]) => {
+        if (!(object instanceof PDFRawStream)) return;
+
+        const dict = object.dict.clone();
+        dict.delete(PDFName.of('Length'));
+
+        const hash = crypto.createHash('sha256')
+          .update(dict.toString())
+          .update(object.contents)
+          .digest('hex');
+
+        if (canonical.has(hash)) {
+          replacements.set(ref.tag, canonical.get(hash));
+        } else {
+          canonical.set(hash, ref);
+        }
+      });
+
+      if (replacements.size === 0) return removed;
+
+      context.enumerateIndirectObjects().forEach(([, object]) => {
+        this.replaceRefs(object, replacements);
+      });
+
+      replacements.forEach((target, tag) => {
+        const [objectNumber, generationNumber] = tag.split(' ').map(Number);
+        context.delete(PDFRef.of(objectNumber, generationNumber));
+      });
+
+      removed += replacements.size;
+    }
+  }
+
+  /**
+   * Replace references inside an object, recursing into dictionaries and arrays
+   * @param {PDFObject} object - Object to update
+   * @param {Map<string, PDFRef>} replacements - Reference tag to replacement reference
+   */
+  replaceRefs(object, replacements) {
+    const target = object instanceof PDFRawStream ? object.dict : object;
+
+    if (target instanceof PDFDict) {
+      target.entries().forEach(([key, value]) => {
+        if (value instanceof PDFRef && replacements.has(value.tag)) {
+          target.set(key, replacements.get(value.tag));
+        } else {
+          this.replaceRefs(value, replacements);
+        }
+      });
+    } else if (target instanceof PDFArray) {
+      target.asArray().forEach((value, index) => {
+        if (value instanceof PDFRef && replacements.has(value.tag)) {
+          target.set(index, replacements.get(value.tag));
+        } else {
+          this.replaceRefs(value, replacements);
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete objects that cannot be reached from the document trailer
+   * @param {PDFContext} context - PDF context
+   * @returns {number} Number of objects removed
+   */
+  removeUnusedObjects(context) {
+    const reachable = new Set();
+    const { Root, Info, Encrypt } = context.trailerInfo;
+    const queue = [Root, Info, Encrypt].filter(Boolean);
+
+    while (queue.length > 0) {
+      let object = queue.pop();
+
+      if (object instanceof PDFRef) {
+        if (reachable.has(object.tag)) continue;
+        reachable.add(object.tag);
+        object = context.lookup(object);
+      }
+
+      if (object instanceof PDFRawStream) {
+        object = object.dict;
+      }
+
+      if (object instanceof PDFDict) {
+        queue.push(...object.values());
+      } else if (object instanceof PDFArray) {
+        queue.push(...object.asArray());
+      }
+    }
+
+    let removed = 0;
+
+    context.enumerateIndirectObjects().forEach(([ref]) => {
+      if (!reachable.has(ref.tag)) {
+        context.delete(ref);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
   /**
    * Get compression settings based on level
    * @param {string} level - Compression level (low, medium, high)
+   * @param {Object} overrides - Optimization steps to enable or disable
    * @returns {Object} Compression settings
    */
-  getCompressionSettings(level) {
+  getCompressionSettings(level, overrides = {}) {
     const settings = {
       low: {
         useObjectStreams: false,
         objectStreamCompressionMethod: 'deflate',
         scaleImages: false,
+        imageDpi: null,
+        imageQuality: null,
         removeAnnotations: false,
-        removeDuplicateObjects: false
+        keepLinks: true,
+        removeMetadata: false,
+        removeThumbnails: false,
+        removeEmbeddedFiles: false,
+        removeJavaScript: false,
+        removeDuplicateObjects: false,
+        removeUnusedObjects: false
       },
       medium: {
         useObjectStreams: true,
         objectStreamCompressionMethod: 'deflate',
-        scaleImages: false,
+        scaleImages: true,
+        imageDpi: 200,
+        imageQuality: 80,
         removeAnnotations: false,
-        removeDuplicateObjects: true
+        keepLinks: true,
+        removeMetadata: false,
+        removeThumbnails: true,
+        removeEmbeddedFiles: false,
+        removeJavaScript: false,
+        removeDuplicateObjects: true,
+        removeUnusedObjects: true
       },
       high: {
         useObjectStreams: true,
         objectStreamCompressionMethod: 'deflate',
         scaleImages: true,
+        imageDpi: 150,
+        imageQuality: 65,
         removeAnnotations: true,
-        removeDuplicateObjects: true
+        keepLinks: true,
+        removeMetadata: true,
+        removeThumbnails: true,
+        removeEmbeddedFiles: true,
+        removeJavaScript: true,
+        removeDuplicateObjects: true,
+        removeUnusedObjects: true
+      }
+    };
+
+    const selected = { ...(settings[level] || settings.medium) };
+
+    // Only known boolean flags can be overridden
+    OPTIMIZATION_OPTIONS.forEach(option => {
+      if (overrides && typeof overrides[option] === 'boolean') {
+        selected[option] = overrides[option];
+      }
+    });
+
+    return selected;
+  }
+
+  /**
+   * Build a PDF with one page per image
+   * @param {Object} options - Layout options
+   * @param {Array<Object>} options.images - Images to place (buffer, name)
+   * @param {string} options.pageSize - Page size (a3, a4, a5, letter, legal or fit)
+   * @param {string} options.orientation - Page orientation (auto, portrait, landscape)
+   * @param {number} options.margin - Page margin in points
+   * @param {Object} options.protection - Password protection for the output (see parseProtectionOptions)
+   * @param {Function} options.progressCallback - Called after each page
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async createFromImages({ images, pageSize = 'a4', orientation = 'auto', margin = 0, protection, progressCallback }) {
+    const pdfDoc = await PDFDocument.create();
+
+    for (let i = 0; i < images.length; i++) {
+      const { buffer, name } = images[i];
+      const embedded = await this.embedImage(pdfDoc, buffer, name);
+
+      // Images are placed at 72 DPI on fitted pages and scaled into the content box otherwise
+      let [pageWidth, pageHeight] = pageSize === 'fit'
+        ? [embedded.width + margin * 2, embedded.height + margin * 2]
+        : PAGE_SIZES[pageSize];
+
+      const landscape = orientation === 'landscape' || (orientation === 'auto' && embedded.width > embedded.height);
+      if (pageSize !== 'fit' && landscape !== pageWidth > pageHeight) {
+        [pageWidth, pageHeight] = [pageHeight, pageWidth];
+      }
+
+      const boxWidth = pageWidth - margin * 2;
+      const boxHeight = pageHeight - margin * 2;
+      const scale = Math.min(boxWidth / embedded.width, boxHeight / embedded.height);
+      const width = embedded.width * scale;
+      const height = embedded.height * scale;
+
+      const page = pdfDoc.addPage([pageWidth, pageHeight]);
+      page.drawImage(embedded, {
+        x: (pageWidth - width) / 2,
+        y: (pageHeight - height) / 2,
+        width,
+        height
+      });
+
+      if (progressCallback) {
+        progressCallback(((i + 1) / images.length) * 100, `Added page ${i + 1} of ${images.length}`);
+      }
+    }
+
+    return this.saveDocument(pdfDoc, { useObjectStreams: true }, protection);
+  }
+
+  /**
+   * Embed an image in a PDF document.
+   * Baseline RGB or grayscale JPEGs and PNGs are embedded as they are; anything else is
+   * re-encoded first (JPEG for opaque images, PNG when there is transparency).
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {Buffer} buffer - Image buffer
+   * @param {string} name - File name for error messages
+   * @returns {Promise<PDFImage>} Embedded image
+   */
+  async embedImage(pdfDoc, buffer, name) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new Error(`${name || 'Image'} could not be read: ${error.message}`);
+    }
+
+    const upright = !metadata.orientation || metadata.orientation === 1;
+
+    // pdf-lib reads the JPEG header from the start of the underlying ArrayBuffer,
+    // so uploaded buffers that are views into a larger pool are copied first
+    if (metadata.format === 'jpeg' && upright && metadata.space !== 'cmyk') {
+      return pdfDoc.embedJpg(new Uint8Array(buffer));
+    }
+
+    if (metadata.format === 'png' && upright) {
+      return pdfDoc.embedPng(new Uint8Array(buffer));
+    }
+
+    // Apply EXIF orientation so the page matches what image viewers show
+    const image = sharp(buffer, { limitInputPixels: fileValidator.maxInputPixels }).autoOrient();
+
+    if (metadata.hasAlpha) {
+      return pdfDoc.embedPng(await image.png().toBuffer());
+    }
+
+    return pdfDoc.embedJpg(await image.toColourspace('srgb').jpeg({ quality: 90 }).toBuffer());
+  }
+
+  /**
+   * Validate and normalize image-to-PDF layout options
+   * @param {Object} options - Request options (pageSize, orientation, margin)
+   * @returns {Object} Normalized layout options
+   */
+  parseLayoutOptions({ pageSize, orientation, margin }) {
+    const layout = {
+      pageSize: pageSize ? String(pageSize).toLowerCase() : 'a4',
+      orientation: orientation ? String(orientation).toLowerCase() : 'auto',
+      margin: margin === undefined || margin === '' ? 0 : Number(margin)
+    };
+
+    if (layout.pageSize !== 'fit' && !PAGE_SIZES[layout.pageSize]) {
+      throw new Error(`pageSize must be one of: ${[...Object.keys(PAGE_SIZES), 'fit'].join(', ')}`);
+    }
+
+    if (!PAGE_ORIENTATIONS.includes(layout.orientation)) {
+      throw new Error(`orientation must be one of: ${PAGE_ORIENTATIONS.join(', ')}`);
+    }
+
+    if (!Number.isFinite(layout.margin) || layout.margin < 0 || layout.margin > MAX_PAGE_MARGIN) {
+      throw new Error(`margin must be a number of points between 0 and ${MAX_PAGE_MARGIN}`);
+    }
+
+    return layout;
+  }
+
+  /**
+   * Parse a page range list such as "1-3,5,8-"
+   * @param {string} value - Page ranges, 1-based; an open end runs to the last page
+   * @returns {Array<Object>|null} Ranges (start, end), or null for all pages
+   */
+  parsePageRanges(value) {
+    if (value === undefined || value === null || String(value).trim() === '' || String(value).trim() === 'all') {
+      return null;
+    }
+
+    return String(value).split(',').map(part => {
+      const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+      if (!match) {
+        throw new Error(`Invalid page range "${part.trim()}". Use page numbers and ranges such as 1-3,5,8-`);
+      }
+
+      const start = parseInt(match[1], 10);
+      const end = match[2] === undefined ? start : (match[2] === '' ? null : parseInt(match[2], 10));
+
+      if (start < 1 || (end !== null && end < start)) {
+        throw new Error(`Invalid page range "${part.trim()}"`);
+      }
+
+      return { start, end };
+    });
+  }
+
+  /**
+   * Resolve parsed page ranges against a document
+   * @param {Array<Object>|null} ranges - Parsed page ranges
+   * @param {number} pageCount - Number of pages in the document
+   * @returns {Array<number>} 1-based page numbers in the requested order
+   */
+  resolvePageRanges(ranges, pageCount) {
+    if (!ranges) {
+      return Array.from({ length: pageCount }, (_, i) => i + 1);
+    }
+
+    const pages = [];
+    ranges.forEach(({ start, end }) => {
+      const last = end === null ? pageCount : end;
+
+      if (start > pageCount || last > pageCount) {
+        const label = start === last ? `Page ${start}` : `Page range ${start}-${last}`;
+        throw new Error(`${label} is outside the document, which has ${pageCount} pages`);
+      }
+
+      for (let page = start; page <= last; page++) {
+        pages.push(page);
+      }
+    });
+
+    return pages;
+  }
+
+  /**
+   * Validate and normalize the options of a page operation
+   * @param {string} operation - Page operation (split, extract, delete, reorder, rotate)
+   * @param {Object} options - Request options (pages, ranges, every, order, angle)
+   * @returns {Object} Normalized operation options
+   */
+  parsePageOperation(operation, { pages, ranges, every, order, angle } = {}) {
+    if (!PAGE_OPERATIONS.includes(operation)) {
+      throw new Error(`operation must be one of: ${['merge', ...PAGE_OPERATIONS].join(', ')}`);
+    }
+
+    switch (operation) {
+      case 'split': {
+        const hasRanges = ranges !== undefined && String(ranges).trim() !== '';
+        const hasEvery = every !== undefined && String(every).trim() !== '';
+
+        if (hasRanges === hasEvery) {
+          throw new Error('split needs either ranges (e.g. 1-3,4-6) or every (pages per part)');
+        }
+
+        if (hasRanges) {
+          return { ranges: this.parsePageRanges(ranges) };
+        }
+
+        const size = Number(every);
+        if (!Number.isInteger(size) || size < 1) {
+          throw new Error('every must be a whole number of pages of at least 1');
+        }
+
+        return { every: size };
+      }
+
+      case 'extract':
+      case 'delete': {
+        const parsed = this.parsePageRanges(pages);
+        if (!parsed) {
+          throw new Error(`${operation} needs the pages to ${operation}, e.g. 1-3,5`);
+        }
+
+        return { pages: parsed };
+      }
+
+      case 'reorder': {
+        const parsed = this.parsePageRanges(order);
+        if (!parsed) {
+          throw new Error('reorder needs the new page order, e.g. 3,1,2');
+        }
+
+        return { order: parsed };
+      }
+
+      case 'rotate': {
+        const value = Number(angle);
+        if (!ROTATION_ANGLES.includes(value)) {
+          throw new Error(`angle must be one of: ${ROTATION_ANGLES.join(', ')}`);
+        }
+
+        return { pages: this.parsePageRanges(pages), angle: value };
+      }
+    }
+  }
+
+  /**
+   * Apply a page operation to one or more PDFs
+   * @param {Object} options - Operation options
+   * @param {string} options.operation - Page operation (merge, split, extract, delete, reorder, rotate)
+   * @param {Array<Buffer>} options.buffers - Input PDFs; only merge takes more than one
+   * @param {Object} options.options - Options normalized by parsePageOperation
+   * @param {string} options.password - Password for encrypted inputs
+   * @param {Object} options.protection - Password protection for the output (see parseProtectionOptions)
+   * @param {Function} options.progressCallback - Progress callback
+   * @returns {Array<Object>} Output documents (buffer, pages, pageCount); split can return several
+   */
+  async applyPageOperation({ operation, buffers, options = {}, password, protection, progressCallback }) {
+    try {
+      if (operation === 'merge') {
+        return [await this.merge(buffers, { password, protection }, progressCallback)];
+      }
+
+      if (progressCallback) progressCallback(10, 'Loading PDF document...');
+      const source = await this.loadDocument(buffers[0], password);
+      const pageCount = source.getPageCount();
+
+      switch (operation) {
+        case 'split':
+          return this.split(source, { ...options, protection }, progressCallback);
+
+        case 'extract': {
+          const pages = this.resolvePageRanges(options.pages, pageCount);
+          return [await this.copyPages(source, pages, protection, progressCallback)];
+        }
+
+        case 'delete': {
+          const removed = new Set(this.resolvePageRanges(options.pages, pageCount));
+          const pages = this.resolvePageRanges(null, pageCount).filter(page => !removed.has(page));
+
+          if (pages.length === 0) {
+            throw new Error('Cannot delete every page of the document');
+          }
+
+          return [await this.copyPages(source, pages, protection, progressCallback)];
+        }
+
+        case 'reorder': {
+          const pages = this.resolvePageRanges(options.order, pageCount);
+
+          if (pages.length !== pageCount || new Set(pages).size !== pageCount) {
+            throw new Error(`order must list each of the ${pageCount} pages exactly once`);
+          }
+
+          return [await this.copyPages(source, pages, protection, progressCallback)];
+        }
+
+        case 'rotate':
+          return [await this.rotatePages(source, { ...options, protection }, progressCallback)];
+
+        default:
+          throw new Error(`Unknown page operation: ${operation}`);
+      }
+
+    } catch (error) {
+      console.error('PDF page operation error:', error);
+      if (error.code) throw error;
+      throw new Error(`Failed to ${operation} PDF pages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge several PDFs into one, in the given order
+   * @param {Array<Buffer>} buffers - PDF buffers
+   * @param {Object} options - Password for encrypted inputs and protection for the output
+   * @param {Function} progressCallback - Progress callback
+   * @returns {Object} Merged document (buffer, pages, pageCount)
+   */
+  async merge(buffers, { password, protection } = {}, progressCallback) {
+    const merged = await PDFDocument.create();
+    const sources = [];
+
+    for (let i = 0; i < buffers.length; i++) {
+      if (progressCallback) progressCallback(10 + (i / buffers.length) * 80, `Adding document ${i + 1} of ${buffers.length}...`);
+
+      let source;
+      try {
+        source = await this.loadDocument(buffers[i], password);
+      } catch (error) {
+        const readError = new Error(`Document ${i + 1} could not be read: ${error.message}`);
+        readError.code = error.code;
+        throw readError;
+      }
+
+      sources.push(source);
+      const copied = await merged.copyPages(source, source.getPageIndices());
+      copied.forEach(page => merged.addPage(page));
+    }
+
+    if (progressCallback) progressCallback(90, 'Generating merged PDF...');
+
+    const pageCount = merged.getPageCount();
+    return {
+      buffer: await this.saveDocument(merged, {}, protection, sources),
+      pages: this.resolvePageRanges(null, pageCount),
+      pageCount
+    };
+  }
+
+  /**
+   * Split a PDF into parts, either by explicit ranges or every N pages
+   * @param {PDFDocument} source - Loaded source document
+   * @param {Object} options - Split options (ranges or every) and output protection
+   * @param {Function} progressCallback - Progress callback
+   * @returns {Array<Object>} Parts (buffer, pages, pageCount)
+   */
+  async split(source, { ranges, every, protection }, progressCallback) {
+    const pageCount = source.getPageCount();
+    let groups;
+
+    if (ranges) {
+      // Each range becomes its own part
+      groups = ranges.map(range => this.resolvePageRanges([range], pageCount));
+    } else {
+      groups = [];
+      for (let start = 1; start <= pageCount; start += every) {
+        groups.push(this.resolvePageRanges([{ start, end: Math.min(start + every - 1, pageCount) }], pageCount));
+      }
+    }
+
+    const parts = [];
+    for (let i = 0; i < groups.length; i++) {
+      if (progressCallback) progressCallback(20 + (i / groups.length) * 70, `Creating part ${i + 1} of ${groups.length}...`);
+      parts.push(await this.copyPages(source, groups[i], protection));
+    }
+
+    return parts;
+  }
+
+  /**
+   * Copy pages of a document into a new document, in the given order
+   * @param {PDFDocument} source - Loaded source document
+   * @param {Array<number>} pages - 1-based page numbers
+   * @param {Object} protection - Password protection for the output
+   * @param {Function} progressCallback - Progress callback
+   * @returns {Object} New document (buffer, pages, pageCount)
+   */
+  async copyPages(source, pages, protection, progressCallback) {
+    if (progressCallback) progressCallback(40, `Copying ${pages.length} pages...`);
+
+    const target = await PDFDocument.create();
+    const copied = await target.copyPages(source, pages.map(page => page - 1));
+    copied.forEach(page => target.addPage(page));
+
+    if (progressCallback) progressCallback(90, 'Generating PDF...');
+
+    return {
+      buffer: await this.saveDocument(target, {}, protection, [source]),
+      pages,
+      pageCount: pages.length
+    };
+  }
+
+  /**
+   * Rotate selected pages in place, on top of their current rotation
+   * @param {PDFDocument} source - Loaded source document
+   * @param {Object} options - Rotation options (pages, angle) and output protection
+   * @param {Function} progressCallback - Progress callback
+   * @returns {Object} Rotated document (buffer, pages, pageCount)
+   */
+  async rotatePages(source, { pages, angle, protection }, progressCallback) {
+    const pageCount = source.getPageCount();
+    const selected = this.resolvePageRanges(pages, pageCount);
+
+    if (progressCallback) progressCallback(40, `Rotating ${selected.length} pages...`);
+
+    selected.forEach(pageNumber => {
+      const page = source.getPage(pageNumber - 1);
+      const current = page.getRotation().angle;
+      page.setRotation(degrees(((current + angle) % 360 + 360) % 360));
+    });
+
+    if (progressCallback) progressCallback(90, 'Generating PDF...');
+
+    return {
+      buffer: await this.saveDocument(source, {}, protection),
+      pages: selected,
+      pageCount
+    };
+  }
+
+  /**
+   * Load a PDF document, decrypting it when it is encrypted
+   * @param {Buffer} buffer - PDF buffer
+   * @param {string} [password] - User or owner password of an encrypted PDF
+   * @param {Object} [loadOptions] - Extra pdf-lib load options
+   * @returns {Promise<PDFDocument>} Loaded document
+   */
+  async loadDocument(buffer, password, loadOptions = {}) {
+    const supplied = typeof password === 'string' && password !== '';
+
+    // Documents restricted only by an owner password open with an empty user password,
+    // so they still load when a password meant for other documents is supplied
+    const candidates = supplied ? ['', password] : [''];
+
+    let pdfDoc;
+    let openedWith;
+    for (const candidate of candidates) {
+      try {
+        pdfDoc = await PDFDocument.load(buffer, { ...loadOptions, password: candidate });
+        openedWith = candidate;
+        break;
+      } catch (error) {
+        if (!(error instanceof EncryptedPDFError) && !/password/i.test(error.message)) {
+          throw error;
+        }
       }
+    }
+
+    if (!pdfDoc) {
+      throw this.createPasswordError(supplied);
+    }
+
+    if (pdfDoc.context.isDecrypted) {
+      // An unencrypted parse still has the trailer entries decryption loses
+      const raw = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+      this.restoreDocumentInfo(pdfDoc, raw);
+      this.recordRestrictions(pdfDoc, raw, openedWith);
+      this.removeEncryptionObjects(pdfDoc.context);
+    }
+
+    return pdfDoc;
+  }
+
+  /**
+   * Create the error reported when an encrypted PDF cannot be opened
+   * @param {boolean} supplied - Whether a password was supplied (and was wrong)
+   * @returns {Error} Error with code PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT
+   */
+  createPasswordError(supplied) {
+    const error = supplied
+      ? new Error('The password supplied for this PDF is incorrect')
+      : new Error('This PDF is password protected. Supply its password in the password option to open it');
+
+    error.code = supplied ? 'PDF_PASSWORD_INCORRECT' : 'PDF_PASSWORD_REQUIRED';
+    return error;
+  }
+
+  /**
+   * Reattach the document information dictionary of a decrypted document.
+   * pdf-lib also runs the unencrypted xref stream through the cipher, which loses the
+   * trailer's /Info reference; an unencrypted parse still finds it.
+   * @param {PDFDocument} pdfDoc - Decrypted document
+   * @param {PDFDocument} raw - The same document parsed without decrypting it
+   */
+  restoreDocumentInfo(pdfDoc, raw) {
+    const { context } = pdfDoc;
+    const infoRef = raw.context.trailerInfo.Info;
+    const original = infoRef instanceof PDFRef ? context.lookup(infoRef) : undefined;
+
+    if (!(original instanceof PDFDict) || context.trailerInfo.Info === infoRef) return;
+
+    // Keep the producer and modification date pdf-lib stamped on load, if any
+    const stamped = context.trailerInfo.Info ? context.lookup(context.trailerInfo.Info) : undefined;
+    if (stamped instanceof PDFDict) {
+      ['Producer', 'ModDate'].forEach(key => {
+        const value = stamped.get(PDFName.of(key));
+        if (value) original.set(PDFName.of(key), value);
+      });
+      context.delete(context.trailerInfo.Info);
+    }
+
+    context.trailerInfo.Info = infoRef;
+  }
+
+  /**
+   * Remember the permissions of a decrypted document when they restrict anything.
+   * Opening a document with its user password must not lift the restrictions its owner set,
+   * so they are applied again to any PDF saved from it (see getOutputProtection).
+   * @param {PDFDocument} pdfDoc - Decrypted document
+   * @param {PDFDocument} raw - The same document parsed without decrypting it
+   * @param {string} password - Password the document was opened with
+   */
+  recordRestrictions(pdfDoc, raw, password) {
+    const encrypt = raw.context.lookupMaybe(raw.context.trailerInfo.Encrypt, PDFDict);
+    const flags = encrypt ? encrypt.lookupMaybe(PDFName.of('P'), PDFNumber) : undefined;
+    if (!flags) return;
+
+    const value = flags.asNumber();
+    const permissions = {};
+    Object.entries(PERMISSION_BITS).forEach(([name, bit]) => {
+      permissions[name] = (value & bit) !== 0;
+    });
+
+    if (permissions.printing) {
+      permissions.printing = value & HIGH_RESOLUTION_PRINTING_BIT ? 'highResolution' : 'lowResolution';
+    }
+
+    const restricted = Object.values(permissions).some(granted => granted === false || granted === 'lowResolution');
+    if (restricted) {
+      documentRestrictions.set(pdfDoc, { userPassword: password, permissions });
+    }
+  }
+
+  /**
+   * Combine the requested output protection with the restrictions of the documents the output
+   * was made from. Output of a restricted document stays encrypted with the password that opened
+   * it, and requested permissions can only narrow the source's, never widen them.
+   * @param {Object} [protection] - Requested protection (see parseProtectionOptions)
+   * @param {Array<PDFDocument>} sources - Documents the output was made from
+   * @returns {Object|undefined} Protection to save the output with
+   */
+  getOutputProtection(protection, sources) {
+    const restrictions = sources.map(source => documentRestrictions.get(source)).filter(Boolean);
+    if (restrictions.length === 0) return protection;
+
+    const permissions = {};
+    PDF_PERMISSIONS.forEach(name => {
+      const values = restrictions.map(restriction => restriction.permissions[name]);
+      if (protection) values.push(protection.permissions[name]);
+
+      permissions[name] = name === 'printing'
+        ? values.reduce((lowest, level) => (PRINTING_LEVELS.indexOf(level) < PRINTING_LEVELS.indexOf(lowest) ? level : lowest))
+        : values.every(Boolean);
+    });
+
+    if (protection) {
+      return { ...protection, permissions };
+    }
+
+    const locked = restrictions.find(restriction => restriction.userPassword);
+    return {
+      userPassword: locked ? locked.userPassword : '',
+      ownerPassword: crypto.randomBytes(24).toString('base64url'),
+      permissions
     };
+  }
+
+  /**
+   * Drop the encryption dictionary and the stale cross-reference and object streams of a
+   * decrypted document. They are no longer referenced, but saving would write them out and
+   * the old xref stream still names the encryption dictionary, so readers would treat the
+   * output as encrypted again.
+   * @param {PDFContext} context - Document context
+   */
+  removeEncryptionObjects(context) {
+    context.enumerateIndirectObjects().forEach(([ref, object]) => {
+      const dict = object instanceof PDFDict ? object : object.dict;
+      const type = dict instanceof PDFDict ? dict.lookupMaybe(PDFName.of('Type'), PDFName) : undefined;
+      const isSecurityHandler = dict instanceof PDFDict &&
+        dict.lookupMaybe(PDFName.of('Filter'), PDFName) === PDFName.of('Standard') &&
+        dict.has(PDFName.of('O')) && dict.has(PDFName.of('U'));
+
+      if (object instanceof PDFInvalidObject || isSecurityHandler ||
+          type === PDFName.of('XRef') || type === PDFName.of('ObjStm')) {
+        context.delete(ref);
+      }
+    });
+  }
+
+  /**
+   * Save a document, encrypting it first when protection is requested
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {Object} saveOptions - pdf-lib save options
+   * @param {Object} [protection] - Passwords and permissions (see parseProtectionOptions)
+   * @param {Array<PDFDocument>} [sources] - Documents the output was made from, whose restrictions it keeps
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async saveDocument(pdfDoc, saveOptions = {}, protection, sources = [pdfDoc]) {
+    const outputProtection = this.getOutputProtection(protection, sources);
+    if (outputProtection) {
+      pdfDoc.encrypt(outputProtection);
+    }
 
-    return settings[level] || settings.medium;
+    return Buffer.from(await pdfDoc.save(saveOptions));
+  }
+
+  /**
+   * Validate and normalize output password protection options
+   * @param {Object} [options] - Protection options (userPassword, ownerPassword, permissions)
+   * @returns {Object|undefined} Security options for pdf-lib, or undefined when not requested
+   */
+  parseProtectionOptions(options) {
+    if (options === undefined || options === null) return undefined;
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('protection must be an object with userPassword, ownerPassword and permissions');
+    }
+
+    const { userPassword, ownerPassword, permissions = {} } = options;
+
+    [['userPassword', userPassword], ['ownerPassword', ownerPassword]].forEach(([name, value]) => {
+      if (value !== undefined && typeof value !== 'string') {
+        throw new Error(`${name} must be a string`);
+      }
+    });
+
+    if (!userPassword && !ownerPassword) {
+      throw new Error('protection needs a userPassword, an ownerPassword or both');
+    }
+
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+      throw new Error(`permissions must be an object of flags: ${PDF_PERMISSIONS.join(', ')}`);
+    }
+
+    const unknown = Object.keys(permissions).find(name => !PDF_PERMISSIONS.includes(name));
+    if (unknown) {
+      throw new Error(`Unknown permission "${unknown}". Use: ${PDF_PERMISSIONS.join(', ')}`);
+    }
+
+    const granted = {};
+    PDF_PERMISSIONS.forEach(name => {
+      const value = permissions[name] === undefined ? true : permissions[name];
+
+      if (name === 'printing' && PRINTING_RESOLUTIONS.includes(value)) {
+        granted.printing = value;
+      } else if (typeof value !== 'boolean') {
+        throw new Error(name === 'printing'
+          ? `printing must be true, false or one of: ${PRINTING_RESOLUTIONS.join(', ')}`
+          : `${name} must be true or false`);
+      } else if (name === 'printing') {
+        granted.printing = value ? 'highResolution' : false;
+      } else {
+        granted[name] = value;
+      }
+    });
+
+    return {
+      userPassword: userPassword || '',
+      // Without an owner password anyone could lift the permissions, so make one up
+      ownerPassword: ownerPassword || crypto.randomBytes(24).toString('base64url'),
+      permissions: granted
+    };
   }
 
   /**
    * Validate PDF file
    * @param {Buffer} buffer - PDF buffer
+   * @param {string} [password] - Password of an encrypted PDF
    * @returns {boolean} Whether file is valid PDF
    */
-  async validatePDF(buffer) {
+  async validatePDF(buffer, password) {
     try {
-      await PDFDocument.load(buffer);
+      await this.loadDocument(buffer, password);
       return true;
     } catch (error) {
       console.error('PDF validation failed:', error.message);
@@ -185,27 +1446,191 @@ class PDFConverter {
   /**
    * Get PDF information
    * @param {Buffer} buffer - PDF buffer
+   * @param {string} [password] - Password of an encrypted PDF
    * @returns {Object} PDF information
    */
-  async getPDFInfo(buffer) {
+  async getPDFInfo(buffer, password) {
+    let pdfDoc;
+    let passwordError = null;
+
     try {
-      const pdfDoc = await PDFDocument.load(buffer);
-      const pageCount = pdfDoc.getPageCount();
-      
-      return {
-        pageCount,
-        isValid: true,
-        size: buffer.length
-      };
+      // Keep the document's own producer and dates instead of stamping pdf-lib's
+      pdfDoc = await this.loadDocument(buffer, password, { updateMetadata: false });
     } catch (error) {
-      return {
-        pageCount: 0,
-        isValid: false,
-        size: buffer.length,
-        error: error.message
-      };
+      if (!['PDF_PASSWORD_REQUIRED', 'PDF_PASSWORD_INCORRECT'].includes(error.code)) {
+        return this.invalidPDFInfo(buffer, error);
+      }
+
+      // Without the password the page tree is still readable, but strings and streams are not
+      passwordError = error.message;
+      try {
+        pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+      } catch (loadError) {
+        return this.invalidPDFInfo(buffer, loadError);
+      }
+    }
+
+    if (!(pdfDoc.catalog instanceof PDFDict)) {
+      return this.invalidPDFInfo(buffer, new Error('No document catalog found'));
+    }
+
+    const resources = { fonts: new Map(), images: new Set(), visited: new Set() };
+    const pageSizes = new Map();
+    let pageCount;
+
+    try {
+      pageCount = pdfDoc.getPageCount();
+
+      pdfDoc.getPages().forEach(page => {
+        const { width, height } = page.getSize();
+        const rotation = page.getRotation().angle;
+        const key = `${width.toFixed(2)}x${height.toFixed(2)}@${rotation}`;
+
+        const entry = pageSizes.get(key) || { width: Math.round(width * 100) / 100, height: Math.round(height * 100) / 100, rotation, pages: 0 };
+        entry.pages++;
+        pageSizes.set(key, entry);
+
+        this.collectResources(page.node.Resources(), resources);
+      });
+    } catch (error) {
+      // pdf-lib parses leniently, so a damaged file may only fail once its pages are read
+      return this.invalidPDFInfo(buffer, error);
+    }
+
+    return {
+      pageCount,
+      isValid: true,
+      size: buffer.length,
+      pdfVersion: pdfDoc.context.header.toString().match(/%PDF-(\d+\.\d+)/)?.[1] || null,
+      encrypted: Boolean(passwordError || pdfDoc.context.isDecrypted),
+      passwordRequired: Boolean(passwordError),
+      error: passwordError || undefined,
+      pageSizes: [...pageSizes.values()],
+      fonts: [...resources.fonts.values()],
+      imageCount: resources.images.size,
+      // Document strings are encrypted, so they are only available once the document is open
+      ...(passwordError ? {} : this.getDocumentProperties(pdfDoc))
+    };
+  }
+
+  /**
+   * Describe a buffer that could not be read as a PDF
+   * @param {Buffer} buffer - PDF buffer
+   * @param {Error} error - Load error
+   * @returns {Object} PDF information
+   */
+  invalidPDFInfo(buffer, error) {
+    return {
+      pageCount: 0,
+      isValid: false,
+      encrypted: false,
+      size: buffer.length,
+      error: error.message
+    };
+  }
+
+  /**
+   * Collect the fonts and images used by a page or form, following nested forms
+   * @param {PDFDict} resources - Resource dictionary
+   * @param {Object} found - Fonts by name, image references and visited forms, updated in place
+   */
+  collectResources(resources, found) {
+    if (!(resources instanceof PDFDict)) return;
+
+    const fonts = resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+    if (fonts) {
+      for (const [, ref] of fonts.entries()) {
+        const font = fonts.context.lookup(ref);
+        if (!(font instanceof PDFDict)) continue;
+
+        const info = this.describeFont(font);
+        found.fonts.set(`${info.name}:${info.type}`, info);
+      }
+    }
+
+    const xObjects = resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) return;
+
+    for (const [, ref] of xObjects.entries()) {
+      if (!(ref instanceof PDFRef) || found.visited.has(ref.tag)) continue;
+      found.visited.add(ref.tag);
+
+      const stream = xObjects.context.lookup(ref);
+      if (!stream || !(stream.dict instanceof PDFDict)) continue;
+
+      const subtype = stream.dict.lookupMaybe(PDFName.of('Subtype'), PDFName);
+      if (subtype === PDFName.of('Image')) {
+        found.images.add(ref.tag);
+      } else if (subtype === PDFName.of('Form')) {
+        this.collectResources(stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict), found);
+      }
     }
   }
+
+  /**
+   * Describe a font dictionary
+   * @param {PDFDict} font - Font dictionary
+   * @returns {Object} Font name, type, and whether it is embedded or subset
+   */
+  describeFont(font) {
+    const type = font.lookupMaybe(PDFName.of('Subtype'), PDFName);
+    const baseFont = font.lookupMaybe(PDFName.of('BaseFont'), PDFName);
+    let name = baseFont ? baseFont.decodeText() : 'Unnamed';
+
+    // Composite fonts keep their descriptor on the descendant font
+    let descriptorOwner = font;
+    const descendants = font.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+    if (descendants && descendants.size() > 0) {
+      descriptorOwner = descendants.lookup(0, PDFDict);
+    }
+
+    const descriptor = descriptorOwner.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+    const embedded = type === PDFName.of('Type3') || Boolean(descriptor &&
+      ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key))));
+
+    // Subset fonts are named with a six letter tag, e.g. ABCDEF+Helvetica
+    const subset = /^[A-Z]{6}\+/.test(name);
+    if (subset) name = name.slice(7);
+
+    return {
+      name,
+      type: type ? type.decodeText() : 'Unknown',
+      embedded,
+      subset
+    };
+  }
+
+  /**
+   * Read the document information and form fields of an open document
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @returns {Object} Title, author, dates and form fields
+   */
+  getDocumentProperties(pdfDoc) {
+    const toISO = date => (date ? date.toISOString() : null);
+
+    let formFields = [];
+    if (pdfDoc.catalog.has(PDFName.of('AcroForm'))) {
+      try {
+        formFields = pdfDoc.getForm().getFields().map(field => ({
+          name: field.getName(),
+          type: field.constructor.name.replace(/^PDF/, '')
+        }));
+      } catch (error) {
+        console.warn(`Warning: Could not read form fields: ${error.message}`);
+      }
+    }
+
+    return {
+      title: pdfDoc.getTitle() || null,
+      author: pdfDoc.getAuthor() || null,
+      subject: pdfDoc.getSubject() || null,
+      creator: pdfDoc.getCreator() || null,
+      producer: pdfDoc.getProducer() || null,
+      creationDate: toISO(pdfDoc.getCreationDate()),
+      modificationDate: toISO(pdfDoc.getModificationDate()),
+      formFields
+    };
+  }
 }
 
 module.exports = new PDFConverter();
\ No newline at end of file
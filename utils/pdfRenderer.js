@@ -0,0 +1,145 @@
+const sharp = require('sharp');
+const imageConverter = require('./imageConverter');
+const pdfConverter = require('./pdfConverter');
+
+// Output formats PDF pages can be rendered to
+const RENDER_FORMATS = ['png', 'jpg', 'jpeg', 'webp'];
+
+// Resolution limits, in dots per inch
+const DEFAULT_DPI = 150;
+const MIN_DPI = 36;
+const MAX_DPI = 300;
+
+class PDFRenderer {
+  constructor() {
+    this.pdfjs = null;
+  }
+
+  /**
+   * Load PDF.js, which is only published as an ES module
+   * @returns {Promise<Object>} PDF.js module
+   */
+  async loadPdfjs() {
+    if (!this.pdfjs) {
+      this.pdfjs = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+
+    return this.pdfjs;
+  }
+
+  /**
+   * Check whether PDF pages can be rendered in this environment
+   * (PDF.js needs the optional @napi-rs/canvas binary to draw in Node)
+   * @returns {Promise<boolean>} Whether rendering is available
+   */
+  async isAvailable() {
+    try {
+      await this.loadPdfjs();
+      require.resolve('@napi-rs/canvas');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Render PDF pages to images
+   * @param {Object} options - Render options
+   * @param {Buffer} options.buffer - PDF buffer
+   * @param {Array<Object>|null} options.pages - Parsed page ranges, null for all pages
+   * @param {number} options.dpi - Resolution in dots per inch
+   * @param {string} options.outputFormat - Image format (png, jpg, webp)
+   * @param {string} options.compressionLevel - Compression level
+   * @param {string} options.password - Password of an encrypted PDF
+   * @param {Function} options.progressCallback - Called after each page
+   * @returns {Promise<Object>} Page count and rendered pages (pageNumber, buffer, width, height)
+   */
+  async render({ buffer, pages, dpi = DEFAULT_DPI, outputFormat, compressionLevel, password, progressCallback }) {
+    const pdfjs = await this.loadPdfjs();
+
+    // PDF.js takes ownership of the array it is given, so pass a copy
+    let pdf;
+    try {
+      pdf = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        password: password || undefined,
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: pdfjs.VerbosityLevel.ERRORS
+      }).promise;
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        throw pdfConverter.createPasswordError(error.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD);
+      }
+      throw error;
+    }
+
+    try {
+      const pageNumbers = pdfConverter.resolvePageRanges(pages, pdf.numPages);
+      const rendered = [];
+
+      for (let i = 0; i < pageNumbers.length; i++) {
+        const page = await pdf.getPage(pageNumbers[i]);
+        const viewport = page.getViewport({ scale: dpi / 72 });
+        const width = Math.max(1, Math.round(viewport.width));
+        const height = Math.max(1, Math.round(viewport.height));
+
+        const { canvas, context } = pdf.canvasFactory.create(width, height);
+        await page.render({ canvas, canvasContext: context, viewport }).promise;
+
+        // Encode with Sharp so output settings match the image converter
+        const pixels = context.getImageData(0, 0, width, height).data;
+        const image = sharp(Buffer.from(pixels.buffer, pixels.byteOffset, pixels.byteLength), {
+          raw: { width, height, channels: 4 }
+        });
+
+        rendered.push({
+          pageNumber: pageNumbers[i],
+          buffer: await imageConverter.applyOutputFormat(image, outputFormat, compressionLevel).toBuffer(),
+          width,
+          height
+        });
+
+        pdf.canvasFactory.destroy({ canvas, context });
+        page.cleanup();
+
+        if (progressCallback) {
+          progressCallback(((i + 1) / pageNumbers.length) * 100, `Rendered page ${pageNumbers[i]} (${i + 1} of ${pageNumbers.length})`);
+        }
+      }
+
+      return { pageCount: pdf.numPages, pages: rendered };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Validate and normalize render options
+   * @param {Object} options - Request options (outputFormat, dpi)
+   * @returns {Object} Normalized render options
+   */
+  parseRenderOptions({ outputFormat, dpi }) {
+    const format = outputFormat ? String(outputFormat).toLowerCase() : 'png';
+    if (!RENDER_FORMATS.includes(format)) {
+      throw new Error(`PDF pages can be rendered to: ${RENDER_FORMATS.join(', ')}`);
+    }
+
+    const resolution = dpi === undefined || dpi === '' ? DEFAULT_DPI : Number(dpi);
+    if (!Number.isFinite(resolution) || resolution < MIN_DPI || resolution > MAX_DPI) {
+      throw new Error(`dpi must be a number between ${MIN_DPI} and ${MAX_DPI}`);
+    }
+
+    return { outputFormat: format, dpi: resolution };
+  }
+
+  /**
+   * Get the formats PDF pages can be rendered to
+   * @returns {Array} Render formats
+   */
+  getRenderFormats() {
+    return RENDER_FORMATS;
+  }
+}
+
+module.exports = new PDFRenderer();
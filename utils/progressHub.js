@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+
+const WS_OPEN = 1;
+const JOB_MAX_AGE = 60 * 60 * 1000; // 1 hour
+
+class ProgressHub {
+  constructor() {
+    // jobId -> { ownerId, token, subscribers, lastEvent, createdAt, finishedAt }
+    this.jobs = new Map();
+    // Open client connections, and those of admins following server statistics
+    this.connections = new Set();
+    this.statsSubscribers = new Set();
+  }
+
+  /**
+   * Register a new job and return the credentials needed to follow it
+   * @param {Object} options - Job options
+   * @param {string|null} options.ownerId - ID of the signed-in user creating the job
+   * @returns {Object} Job ID and access token
+   */
+  createJob({ ownerId = null } = {}) {
+    this.cleanupOldJobs();
+
+    const jobId = crypto.randomUUID();
+    const token = crypto.randomBytes(24).toString('hex');
+
+    this.jobs.set(jobId, {
+      ownerId: ownerId ? String(ownerId) : null,
+      token,
+      subscribers: new Set(),
+      lastEvent: null,
+      createdAt: Date.now(),
+      finishedAt: null
+    });
+
+    return { jobId, token };
+  }
+
+  /**
+   * Check whether the caller owns a job, either through their session or the job token
+   * @param {string} jobId - Job ID
+   * @param {Object} identity - Caller identity
+   * @param {string|null} identity.userId - Signed-in user ID
+   * @param {string|null} identity.token - Job token supplied by the caller
+   * @returns {boolean} Whether the caller owns the job
+   */
+  isOwner(jobId, { userId = null, token = null } = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    if (job.ownerId && userId && job.ownerId === String(userId)) {
+      return true;
+    }
+
+    if (typeof token === 'string' && token.length === job.token.length) {
+      return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(job.token));
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle a new WebSocket connection and its subscribe requests
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} identity - Connection identity
+   * @param {string|null} identity.userId - Signed-in user ID from the session
+   * @param {boolean} identity.isAdmin - Whether the user may follow server statistics
+   */
+  handleConnection(ws, { userId = null, isAdmin = false } = {}) {
+    this.connections.add(ws);
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return this.reject(ws, 'Invalid message format');
+      }
+
+      if (message.type === 'subscribe-stats') {
+        if (!isAdmin) {
+          return this.reject(ws, 'Not authorized to follow server statistics');
+        }
+
+        this.statsSubscribers.add(ws);
+        return this.send(ws, { type: 'stats-subscribed' });
+      }
+
+      if (message.type !== 'subscribe') {
+        return this.reject(ws, `Unsupported message type: ${message.type}`);
+      }
+
+      const { jobId, token } = message;
+      if (!this.isOwner(jobId, { userId, token })) {
+        return this.reject(ws, 'Not authorized to subscribe to this job', jobId);
+      }
+
+      const job = this.jobs.get(jobId);
+      job.subscribers.add(ws);
+      this.send(ws, { type: 'subscribed', jobId });
+
+      // Replay the latest event so late subscribers catch up
+      if (job.lastEvent) {
+        this.send(ws, job.lastEvent);
+      }
+    });
+
+    ws.on('close', () => {
+      this.connections.delete(ws);
+      this.statsSubscribers.delete(ws);
+      this.jobs.forEach(job => job.subscribers.delete(ws));
+    });
+  }
+
+  /**
+   * Publish an event to the subscribers of a job
+   * @param {string} jobId - Job ID
+   * @param {string} type - Event type (progress, complete, error, cancelled)
+   * @param {Object} data - Event data
+   */
+  publish(jobId, type, data) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    const event = { type, jobId, data };
+    job.lastEvent = event;
+    if (type !== 'progress') {
+      job.finishedAt = Date.now();
+    }
+
+    job.subscribers.forEach(ws => this.send(ws, event));
+  }
+
+  /**
+   * Send server statistics to the admins following them
+   * @param {Object} stats - Statistics snapshot
+   */
+  publishStats(stats) {
+    const event = { type: 'stats', data: stats };
+    this.statsSubscribers.forEach(ws => this.send(ws, event));
+  }
+
+  /**
+   * Check whether any admin is following server statistics
+   * @returns {boolean} Whether there are statistics subscribers
+   */
+  hasStatsSubscribers() {
+    return this.statsSubscribers.size > 0;
+  }
+
+  /**
+   * Get connection statistics
+   * @returns {Object} Open connections, jobs being followed and statistics subscribers
+   */
+  getConnectionStats() {
+    let followedJobs = 0;
+    this.jobs.forEach(job => {
+      if (job.subscribers.size > 0) followedJobs++;
+    });
+
+    return {
+      connections: this.connections.size,
+      followedJobs,
+      statsSubscribers: this.statsSubscribers.size
+    };
+  }
+
+  /**
+   * Get the latest event published for a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Latest event
+   */
+  getLastEvent(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? job.lastEvent : null;
+  }
+
+  /**
+   * Send a message to a single client
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} payload - Message payload
+   */
+  send(ws, payload) {
+    if (ws.readyState === WS_OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  /**
+   * Reject a client request. The connection stays open, so a client that reconnects
+   * and resubscribes to a job the hub no longer knows is not closed again and again.
+   * @param {WebSocket} ws - Client connection
+   * @param {string} reason - Rejection reason
+   * @param {string|null} jobId - Job the rejected request was about
+   */
+  reject(ws, reason, jobId = null) {
+    this.send(ws, jobId ? { type: 'error', jobId, error: reason } : { type: 'error', error: reason });
+  }
+
+  /**
+   * Extract the signed-in user ID from a session
+   * @param {Object} session - Express session
+   * @returns {string|null} User ID
+   */
+  getSessionUserId(session) {
+    const user = session && session.passport && session.passport.user;
+    if (!user) return null;
+    return String(typeof user === 'object' ? user.id : user);
+  }
+
+  /**
+   * Clean up finished jobs older than the maximum age.
+   * Queued and running jobs are kept however long they take, so their owners can still follow them.
+   */
+  cleanupOldJobs() {
+    const now = Date.now();
+
+    this.jobs.forEach((job, jobId) => {
+      if (job.finishedAt && now - job.finishedAt > JOB_MAX_AGE) {
+        this.jobs.delete(jobId);
+      }
+    });
+  }
+}
+
+module.exports = new ProgressHub();
@@ -0,0 +1,183 @@
+const session = require('express-session');
+const JsonFile = require('./jsonFile');
+
+// Expiry of sessions whose cookie has no expiry of its own
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+class FileSessionStore extends session.Store {
+  /**
+   * express-session store persisting sessions to a JSON file, so sign-ins survive restarts.
+   * Sessions are served from memory; the file is rewritten after changes.
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the session file
+   * @param {number} options.sweepInterval - Interval between sweeps of expired sessions in milliseconds
+   * @param {number} options.touchDelay - How long expiry updates from touch() may wait before being written
+   */
+  constructor({ file, sweepInterval, touchDelay }) {
+    super();
+    this.file = new JsonFile(file);
+    this.touchDelay = touchDelay;
+    this.touchTimer = null;
+
+    // Session ID -> { session, expires }
+    this.sessions = new Map();
+    this.ready = this.file.read({}).then(data => {
+      Object.entries(data.sessions || {}).forEach(([sid, record]) => this.sessions.set(sid, record));
+      this.removeExpired();
+    });
+
+    // Sweeping must not keep the process alive on its own
+    this.sweepTimer = setInterval(() => {
+      if (this.removeExpired()) this.saveInBackground();
+    }, sweepInterval);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Get a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - Receives (error, session)
+   */
+  get(sid, callback) {
+    this.ready.then(() => {
+      const record = this.sessions.get(sid);
+
+      if (record && record.expires <= Date.now()) {
+        this.sessions.delete(sid);
+        this.saveInBackground();
+        return callback(null, null);
+      }
+
+      callback(null, record ? JSON.parse(record.session) : null);
+    }, callback);
+  }
+
+  /**
+   * Create or replace a session
+   * @param {string} sid - Session ID
+   * @param {Object} sessionData - Session data
+   * @param {Function} callback - Receives (error)
+   */
+  set(sid, sessionData, callback = () => {}) {
+    this.ready.then(() => {
+      this.sessions.set(sid, { session: JSON.stringify(sessionData), expires: this.getExpiry(sessionData) });
+      return this.save();
+    }).then(() => callback(null), callback);
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - Receives (error)
+   */
+  destroy(sid, callback = () => {}) {
+    this.ready.then(() => {
+      this.sessions.delete(sid);
+      return this.save();
+    }).then(() => callback(null), callback);
+  }
+
+  /**
+   * Extend the expiry of a session that was used without being changed
+   * @param {string} sid - Session ID
+   * @param {Object} sessionData - Session data
+   * @param {Function} callback - Receives (error)
+   */
+  touch(sid, sessionData, callback = () => {}) {
+    this.ready.then(() => {
+      const record = this.sessions.get(sid);
+      if (record) {
+        record.expires = this.getExpiry(sessionData);
+        this.scheduleSave();
+      }
+      callback(null);
+    }, callback);
+  }
+
+  /**
+   * Count the stored sessions
+   * @param {Function} callback - Receives (error, count)
+   */
+  length(callback) {
+    this.ready.then(() => {
+      this.removeExpired();
+      callback(null, this.sessions.size);
+    }, callback);
+  }
+
+  /**
+   * Delete all sessions
+   * @param {Function} callback - Receives (error)
+   */
+  clear(callback = () => {}) {
+    this.ready.then(() => {
+      this.sessions.clear();
+      return this.save();
+    }).then(() => callback(null), callback);
+  }
+
+  /**
+   * Get the expiry time of a session from its cookie
+   * @param {Object} sessionData - Session data
+   * @returns {number} Timestamp in milliseconds
+   */
+  getExpiry(sessionData) {
+    const expires = sessionData.cookie && sessionData.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_MAX_AGE;
+  }
+
+  /**
+   * Drop expired sessions from memory
+   * @returns {boolean} Whether any session was dropped
+   */
+  removeExpired() {
+    const now = Date.now();
+    let removed = false;
+
+    this.sessions.forEach((record, sid) => {
+      if (record.expires <= now) {
+        this.sessions.delete(sid);
+        removed = true;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Write expiry updates after a delay, so busy sessions do not rewrite the file on every request
+   */
+  scheduleSave() {
+    if (this.touchTimer) return;
+
+    this.touchTimer = setTimeout(() => {
+      this.touchTimer = null;
+      this.saveInBackground();
+    }, this.touchDelay);
+    this.touchTimer.unref();
+  }
+
+  /**
+   * Write the session file
+   * @returns {Promise<void>} Resolves once written
+   */
+  save() {
+    const sessions = {};
+    this.sessions.forEach((record, sid) => {
+      sessions[sid] = record;
+    });
+
+    return this.file.write({ sessions });
+  }
+
+  /**
+   * Write the session file for changes no request is waiting on, logging failures
+   */
+  saveInBackground() {
+    this.save().catch(error => {
+      console.error('Failed to write sessions:', error.message);
+    });
+  }
+}
+
+module.exports = FileSessionStore;
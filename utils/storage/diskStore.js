@@ -0,0 +1,191 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys are used as file names, so only allow a safe character set
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+class DiskStore {
+  /**
+   * Local-disk file store with periodic sweeping of expired files
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory to store files in
+   * @param {number} options.ttl - Time to live of a file in milliseconds
+   * @param {number} options.sweepInterval - Interval between sweeps in milliseconds
+   */
+  constructor({ directory, ttl, sweepInterval }) {
+    this.name = 'disk';
+    this.directory = directory;
+    this.ttl = ttl;
+    this.ready = fs.mkdir(directory, { recursive: true });
+
+    // Sweeping must not keep the process alive on its own
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.warn(`Warning: Storage sweep failed: ${error.message}`));
+    }, sweepInterval);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - File key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} meta - File metadata (mimeType, originalName)
+   */
+  async put(key, buffer, meta) {
+    await this.ready;
+
+    const record = {
+      mimeType: meta.mimeType,
+      originalName: meta.originalName,
+      size: buffer.length,
+      createdAt: Date.now()
+    };
+
+    await fs.writeFile(this.dataPath(key), buffer);
+    await fs.writeFile(this.metaPath(key), JSON.stringify(record));
+  }
+
+  /**
+   * Get a stored file
+   * @param {string} key - File key
+   * @returns {Object|null} File contents and metadata, or null if missing or expired
+   */
+  async get(key) {
+    if (!this.isValidKey(key)) return null;
+    await this.ready;
+
+    const meta = await this.readMeta(key);
+    if (!meta) return null;
+
+    if (Date.now() - meta.createdAt > this.ttl) {
+      await this.delete(key);
+      return null;
+    }
+
+    try {
+      const buffer = await fs.readFile(this.dataPath(key));
+      return { ...meta, buffer };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a file is still stored
+   * @param {string} key - File key
+   * @returns {boolean} Whether the file exists and has not expired
+   */
+  async has(key) {
+    if (!this.isValidKey(key)) return false;
+    await this.ready;
+
+    const meta = await this.readMeta(key);
+    return Boolean(meta) && Date.now() - meta.createdAt <= this.ttl;
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - File key
+   */
+  async delete(key) {
+    await Promise.all([
+      fs.rm(this.dataPath(key), { force: true }),
+      fs.rm(this.metaPath(key), { force: true })
+    ]);
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Object} Backend name, file count and total bytes
+   */
+  async stats() {
+    const keys = await this.listKeys();
+    let bytes = 0;
+
+    for (const key of keys) {
+      const meta = await this.readMeta(key);
+      if (meta) bytes += meta.size;
+    }
+
+    return {
+      backend: this.name,
+      files: keys.length,
+      bytes,
+      directory: this.directory
+    };
+  }
+
+  /**
+   * Delete all expired files
+   */
+  async sweep() {
+    const now = Date.now();
+    const keys = await this.listKeys();
+
+    for (const key of keys) {
+      const meta = await this.readMeta(key);
+      if (!meta || now - meta.createdAt > this.ttl) {
+        await this.delete(key);
+      }
+    }
+  }
+
+  /**
+   * List the keys of all stored files
+   * @returns {Array<string>} File keys
+   */
+  async listKeys() {
+    await this.ready;
+
+    const names = await fs.readdir(this.directory);
+    return names
+      .filter(name => name.endsWith('.meta.json'))
+      .map(name => name.slice(0, -'.meta.json'.length));
+  }
+
+  /**
+   * Read the metadata of a stored file
+   * @param {string} key - File key
+   * @returns {Object|null} File metadata
+   */
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a key is safe to use as a file name
+   * @param {string} key - File key
+   * @returns {boolean} Whether the key is valid
+   */
+  isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key) && !key.includes('..');
+  }
+
+  /**
+   * Get the path of a file's contents
+   * @param {string} key - File key
+   * @returns {string} File path
+   */
+  dataPath(key) {
+    if (!this.isValidKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.directory, `${key}.data`);
+  }
+
+  /**
+   * Get the path of a file's metadata
+   * @param {string} key - File key
+   * @returns {string} Metadata path
+   */
+  metaPath(key) {
+    return this.dataPath(key).replace(/\.data$/, '.meta.json');
+  }
+}
+
+module.exports = DiskStore;
@@ -0,0 +1,34 @@
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const DiskStore = require('./diskStore');
+
+/**
+ * Create the storage backend for converted files selected by environment config
+ * @returns {MemoryStore|DiskStore} Storage backend
+ */
+function createStorage() {
+  const backend = (process.env.STORAGE_BACKEND || 'memory').toLowerCase();
+  const ttl = (parseInt(process.env.STORAGE_TTL_MINUTES, 10) || 10) * 60 * 1000;
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore({
+        maxBytes: (parseInt(process.env.STORAGE_MEMORY_MAX_MB, 10) || 256) * 1024 * 1024,
+        ttl
+      });
+    case 'disk':
+      return new DiskStore({
+        directory: process.env.STORAGE_DISK_PATH || path.join(os.tmpdir(), 'uwauwi-files'),
+        ttl,
+        sweepInterval: 60 * 1000 // 1 minute
+      });
+    default:
+      throw new Error(`Unknown storage backend: ${backend}. Use "memory" or "disk".`);
+  }
+}
+
+const storage = createStorage();
+console.log(`Using ${storage.name} storage for converted files`);
+
+module.exports = storage;
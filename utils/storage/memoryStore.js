@@ -0,0 +1,121 @@
+class MemoryStore {
+  /**
+   * In-memory file store with a byte budget and least-recently-used eviction
+   * @param {Object} options - Store options
+   * @param {number} options.maxBytes - Maximum total size of stored files
+   * @param {number} options.ttl - Time to live of a file in milliseconds
+   */
+  constructor({ maxBytes, ttl }) {
+    this.name = 'memory';
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+    this.totalBytes = 0;
+    // Map iteration order doubles as recency order, oldest first
+    this.files = new Map();
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - File key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} meta - File metadata (mimeType, originalName)
+   */
+  async put(key, buffer, meta) {
+    if (buffer.length > this.maxBytes) {
+      throw new Error(`File exceeds the storage budget of ${this.maxBytes} bytes`);
+    }
+
+    await this.delete(key);
+    this.evict(buffer.length);
+
+    this.files.set(key, {
+      buffer,
+      mimeType: meta.mimeType,
+      originalName: meta.originalName,
+      size: buffer.length,
+      createdAt: Date.now()
+    });
+    this.totalBytes += buffer.length;
+  }
+
+  /**
+   * Get a stored file
+   * @param {string} key - File key
+   * @returns {Object|null} File contents and metadata, or null if missing or expired
+   */
+  async get(key) {
+    const file = this.files.get(key);
+    if (!file) return null;
+
+    if (Date.now() - file.createdAt > this.ttl) {
+      await this.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.files.delete(key);
+    this.files.set(key, file);
+
+    return file;
+  }
+
+  /**
+   * Check whether a file is still stored, without marking it as used
+   * @param {string} key - File key
+   * @returns {boolean} Whether the file exists and has not expired
+   */
+  async has(key) {
+    const file = this.files.get(key);
+    return Boolean(file) && Date.now() - file.createdAt <= this.ttl;
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - File key
+   */
+  async delete(key) {
+    const file = this.files.get(key);
+    if (!file) return;
+
+    this.files.delete(key);
+    this.totalBytes -= file.size;
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Object} Backend name, file count and total bytes
+   */
+  async stats() {
+    return {
+      backend: this.name,
+      files: this.files.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes
+    };
+  }
+
+  /**
+   * Drop expired files, then least recently used files until the new file fits
+   * @param {number} incomingBytes - Size of the file about to be stored
+   */
+  evict(incomingBytes) {
+    const now = Date.now();
+
+    this.files.forEach((file, key) => {
+      if (now - file.createdAt > this.ttl) {
+        this.files.delete(key);
+        this.totalBytes -= file.size;
+      }
+    });
+
+    for (const [key, file] of this.files) {
+      if (this.totalBytes + incomingBytes <= this.maxBytes) break;
+
+      console.log(`Evicting ${key} from memory storage (${file.size} bytes)`);
+      this.files.delete(key);
+      this.totalBytes -= file.size;
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,212 @@
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+// Scopes a personal API token can be granted
+const TOKEN_SCOPES = ['convert', 'history', 'admin'];
+
+// Tokens start with this prefix so they are easy to recognize in configs and secret scanners
+const TOKEN_PREFIX = 'uwt_';
+
+// Longest expiry that can be requested, in days
+const MAX_EXPIRY_DAYS = 365;
+
+// How often the last-used time of a token is written back, at most
+const LAST_USED_PRECISION = 60 * 1000; // 1 minute
+
+class TokenStore {
+  /**
+   * Personal API tokens kept in a JSON file. Only a SHA-256 hash of each token is stored.
+   */
+  constructor() {
+    this.file = new JsonFile(process.env.TOKENS_PATH || path.join(__dirname, '..', 'data', 'tokens.json'));
+    this.maxTokens = parseInt(process.env.TOKENS_MAX_PER_USER, 10) || 20;
+
+    // Token ID -> token record
+    this.tokens = null;
+    this.loading = null;
+  }
+
+  /**
+   * Create a token for a user. The plain token is returned once and cannot be recovered later.
+   * @param {Object} user - Signed-in user the token acts as
+   * @param {Object} options - Token options
+   * @param {string} options.name - Label shown when listing tokens
+   * @param {Array<string>} options.scopes - Granted scopes
+   * @param {Date|null} options.expiresAt - Expiry time, or null for no expiry
+   * @returns {Promise<Object>} Plain token and its public details
+   */
+  async create(user, { name, scopes, expiresAt }) {
+    await this.load();
+
+    const owned = [...this.tokens.values()].filter(record => record.userId === String(user.id));
+    if (owned.length >= this.maxTokens) {
+      const error = new Error(`You can have at most ${this.maxTokens} API tokens. Revoke one first.`);
+      error.status = 409;
+      throw error;
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const token = `${TOKEN_PREFIX}${secret}`;
+
+    const record = {
+      id: crypto.randomUUID(),
+      userId: String(user.id),
+      name,
+      hash: this.hash(token),
+      hint: secret.slice(-4),
+      scopes,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    this.tokens.set(record.id, record);
+    await this.save();
+
+    return { token, details: this.describe(record) };
+  }
+
+  /**
+   * List the tokens of a user, newest first
+   * @param {string} userId - Signed-in user
+   * @returns {Promise<Array<Object>>} Public token details
+   */
+  async list(userId) {
+    await this.load();
+
+    return [...this.tokens.values()]
+      .filter(record => record.userId === String(userId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(record => this.describe(record));
+  }
+
+  /**
+   * Revoke a token of a user
+   * @param {string} userId - Signed-in user
+   * @param {string} id - Token ID
+   * @returns {Promise<boolean>} Whether a token was revoked
+   */
+  async revoke(userId, id) {
+    await this.load();
+
+    const record = this.tokens.get(id);
+    if (!record || record.userId !== String(userId)) {
+      return false;
+    }
+
+    this.tokens.delete(id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Look up the token presented by a request
+   * @param {string} token - Plain token from the Authorization header
+   * @returns {Promise<Object|null>} Token ID, user ID and scopes, or null if unknown or expired
+   */
+  async verify(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    await this.load();
+
+    // Tokens are looked up by their hash, so the comparison never sees the plain token
+    const hash = this.hash(token);
+    const record = [...this.tokens.values()].find(candidate => candidate.hash === hash);
+
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) {
+      return null;
+    }
+
+    // The write is awaited so none is left running once the request is answered;
+    // failing to record the use does not fail the request
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_PRECISION) {
+      record.lastUsedAt = new Date(now).toISOString();
+      await this.save().catch(error => {
+        console.error('Failed to record API token use:', error.message);
+      });
+    }
+
+    return { id: record.id, userId: record.userId, scopes: [...record.scopes] };
+  }
+
+  /**
+   * Validate the options of a token creation request
+   * @param {Object} options - Request body (name, scopes, expiresInDays)
+   * @returns {Object} Normalized name, scopes and expiry time
+   * @throws {Error} If an option is invalid
+   */
+  parseCreateOptions({ name, scopes, expiresInDays } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      throw new Error('name must be a non-empty string of at most 100 characters');
+    }
+
+    const requested = scopes === undefined ? ['convert'] : scopes;
+    if (!Array.isArray(requested) || requested.length === 0 || requested.some(scope => !TOKEN_SCOPES.includes(scope))) {
+      throw new Error(`scopes must be a non-empty array of: ${TOKEN_SCOPES.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        throw new Error(`expiresInDays must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}`);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    return { name: name.trim(), scopes: [...new Set(requested)], expiresAt };
+  }
+
+  /**
+   * Get the public details of a token record
+   * @param {Object} record - Token record
+   * @returns {Object} Token details without its hash
+   */
+  describe({ id, name, hint, scopes, expiresAt, createdAt, lastUsedAt }) {
+    return {
+      id,
+      name,
+      hint: `${TOKEN_PREFIX}…${hint}`,
+      scopes,
+      expiresAt,
+      expired: Boolean(expiresAt) && Date.parse(expiresAt) <= Date.now(),
+      createdAt,
+      lastUsedAt
+    };
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Plain token
+   * @returns {string} Hex SHA-256 digest
+   */
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Load the token file once
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.file.read({}).then(data => {
+        this.tokens = new Map((data.tokens || []).map(record => [record.id, record]));
+      });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Write the token file
+   */
+  save() {
+    return this.file.write({ tokens: [...this.tokens.values()] });
+  }
+}
+
+module.exports = new TokenStore();
@@ -0,0 +1,182 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a daily limit from the environment. 0 disables the limit.
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default limit
+ * @param {number} unit - Multiplier from the configured unit to the stored unit
+ * @returns {number|null} Limit, or null when unlimited
+ */
+function readLimit(name, fallback, unit = 1) {
+  const value = parseInt(process.env[name], 10);
+  const limit = Number.isNaN(value) ? fallback : value;
+  return limit > 0 ? limit * unit : null;
+}
+
+// Usage counters kept per subject and day
+const COUNTERS = ['conversions', 'bytesIn', 'bytesOut', 'cpuMs'];
+
+// Counters with a quota, in the order they are checked
+const QUOTA_COUNTERS = ['conversions', 'bytesIn', 'cpuMs'];
+
+class UsageTracker {
+  constructor() {
+    this.limits = {
+      anonymous: {
+        conversions: readLimit('QUOTA_ANONYMOUS_CONVERSIONS', 50),
+        bytesIn: readLimit('QUOTA_ANONYMOUS_MB', 500, 1024 * 1024),
+        cpuMs: readLimit('QUOTA_ANONYMOUS_CPU_SECONDS', 300, 1000)
+      },
+      user: {
+        conversions: readLimit('QUOTA_USER_CONVERSIONS', 500),
+        bytesIn: readLimit('QUOTA_USER_MB', 5000, 1024 * 1024),
+        cpuMs: readLimit('QUOTA_USER_CPU_SECONDS', 3000, 1000)
+      }
+    };
+
+    // Subject key -> counters for the current day
+    this.usage = new Map();
+  }
+
+  /**
+   * Get the usage subject of a request: the signed-in user, or the client IP for anonymous requests
+   * @param {Object} req - Express request object
+   * @returns {string} Subject key
+   */
+  getKey(req) {
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Add to the usage counters of a subject
+   * @param {string} key - Subject key
+   * @param {Object} amounts - Amounts to add (conversions, bytesIn, bytesOut, cpuMs)
+   */
+  record(key, amounts) {
+    if (!key) return;
+
+    const entry = this.getEntry(key);
+    COUNTERS.forEach(counter => {
+      entry[counter] += Math.max(0, Math.round(amounts[counter] || 0));
+    });
+  }
+
+  /**
+   * Check whether a subject may start another conversion
+   * @param {string} key - Subject key
+   * @param {Object} options - Check options
+   * @param {number} options.bytesIn - Size of the upload about to be processed, if known
+   * @returns {Object|null} The exhausted quota with its limit and usage, or null when within all quotas
+   */
+  checkQuota(key, { bytesIn = 0 } = {}) {
+    const entry = this.getEntry(key);
+    const limits = this.getLimits(key);
+    const requested = { conversions: 1, bytesIn, cpuMs: 0 };
+
+    for (const counter of QUOTA_COUNTERS) {
+      const limit = limits[counter];
+      if (limit !== null && (entry[counter] >= limit || entry[counter] + requested[counter] > limit)) {
+        return { quota: counter, limit, used: entry[counter] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe the usage of a subject today, with its limits and remaining allowance
+   * @param {string} key - Subject key
+   * @returns {Object} Usage summary
+   */
+  getSummary(key) {
+    const entry = this.getEntry(key);
+    const limits = this.getLimits(key);
+
+    const usage = {};
+    const remaining = {};
+    COUNTERS.forEach(counter => {
+      usage[counter] = entry[counter];
+    });
+    QUOTA_COUNTERS.forEach(counter => {
+      remaining[counter] = limits[counter] === null ? null : Math.max(0, limits[counter] - entry[counter]);
+    });
+
+    return {
+      subject: key.startsWith('user:') ? 'user' : 'ip',
+      date: entry.date,
+      resetAt: new Date(this.getResetTime()).toISOString(),
+      usage,
+      limits: { ...limits },
+      remaining
+    };
+  }
+
+  /**
+   * List the subjects with the most conversions today
+   * @param {Object} options - List options
+   * @param {string} options.prefix - Subject key prefix (user: or ip:)
+   * @param {number} options.limit - Maximum number of subjects
+   * @returns {Array<Object>} Subject keys with their counters, busiest first
+   */
+  getTopSubjects({ prefix = 'user:', limit = 10 } = {}) {
+    this.startDay();
+
+    return [...this.usage.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, entry]) => ({ key, ...entry }))
+      .sort((a, b) => b.conversions - a.conversions || b.bytesIn - a.bytesIn)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the daily limits that apply to a subject
+   * @param {string} key - Subject key
+   * @returns {Object} Limits per counter (null when unlimited)
+   */
+  getLimits(key) {
+    return key.startsWith('user:') ? this.limits.user : this.limits.anonymous;
+  }
+
+  /**
+   * Get the time the daily quotas reset (next midnight UTC)
+   * @returns {number} Timestamp in milliseconds
+   */
+  getResetTime() {
+    return (Math.floor(Date.now() / DAY) + 1) * DAY;
+  }
+
+  /**
+   * Get the counters of a subject for today, starting a new day when the date has changed
+   * @param {string} key - Subject key
+   * @returns {Object} Counters
+   */
+  getEntry(key) {
+    const date = this.startDay();
+
+    let entry = this.usage.get(key);
+    if (!entry) {
+      entry = { date, conversions: 0, bytesIn: 0, bytesOut: 0, cpuMs: 0 };
+      this.usage.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop the counters of previous days once the date has changed
+   * @returns {string} Today's date (YYYY-MM-DD, UTC)
+   */
+  startDay() {
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (this.currentDate !== date) {
+      // Yesterday's counters no longer limit anything
+      this.usage.clear();
+      this.currentDate = date;
+    }
+
+    return date;
+  }
+}
+
+module.exports = new UsageTracker();
@@ -0,0 +1,210 @@
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+class UserStore {
+  /**
+   * Server-side user records kept in a JSON file.
+   * Each user has an internal ID and the sign-in identities (provider and provider user ID) that lead to it.
+   */
+  constructor() {
+    this.file = new JsonFile(process.env.USERS_PATH || path.join(__dirname, '..', 'data', 'users.json'));
+
+    // User ID -> user record
+    this.users = null;
+    this.loading = null;
+  }
+
+  /**
+   * Get a user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User, or null if unknown
+   */
+  async get(id) {
+    await this.load();
+
+    const user = this.users.get(String(id));
+    return user ? this.present(user) : null;
+  }
+
+  /**
+   * Find the user of a sign-in identity
+   * @param {string} provider - Identity provider (github)
+   * @param {string} providerId - User ID at the provider
+   * @returns {Promise<Object|null>} User, or null if the identity is unknown
+   */
+  async findByIdentity(provider, providerId) {
+    await this.load();
+
+    const user = this.findRecord(provider, providerId);
+    return user ? this.present(user) : null;
+  }
+
+  /**
+   * Create or update the user of a sign-in identity from the provider's profile
+   * @param {Object} profile - Normalized provider profile
+   * @param {string} profile.provider - Identity provider (github)
+   * @param {string} profile.providerId - User ID at the provider
+   * @param {string} profile.username - Username at the provider
+   * @param {string} profile.displayName - Display name
+   * @param {string|null} profile.email - Primary email
+   * @param {string|null} profile.avatar - Avatar URL
+   * @param {string} profile.profileUrl - Profile page URL
+   * @param {Array<string>} [profile.orgs] - Organizations the user belongs to (GitHub, when needed for roles)
+   * @returns {Promise<Object>} User
+   */
+  async upsertFromProfile({ provider, providerId, username, displayName, email, avatar, profileUrl, orgs }) {
+    await this.load();
+
+    const now = new Date().toISOString();
+    let user = this.findRecord(provider, providerId);
+
+    if (!user) {
+      user = {
+        id: crypto.randomUUID(),
+        identities: [{ provider, providerId: String(providerId), username }],
+        createdAt: now
+      };
+      this.users.set(user.id, user);
+    }
+
+    // The profile of the identity used to sign in is kept up to date
+    Object.assign(user, {
+      username,
+      displayName,
+      email: email || user.email || null,
+      avatar: avatar || user.avatar || null,
+      profileUrl: profileUrl || user.profileUrl || null,
+      provider,
+      lastLoginAt: now
+    });
+
+    const identity = user.identities.find(candidate => candidate.provider === provider);
+    identity.username = username;
+    // Memberships that could not be read keep their last known value
+    if (orgs) {
+      identity.orgs = orgs;
+    }
+
+    await this.save();
+    return this.present(user);
+  }
+
+  /**
+   * Link another sign-in identity to an existing user
+   * @param {string} userId - User to link the identity to
+   * @param {Object} profile - Normalized provider profile (provider, providerId, username, ...)
+   * @returns {Promise<Object>} User
+   * @throws {Error} If the identity belongs to another user, or the user already has one from this provider
+   */
+  async linkIdentity(userId, profile) {
+    await this.load();
+
+    const user = this.users.get(String(userId));
+    if (!user) {
+      throw this.createError(404, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    const owner = this.findRecord(profile.provider, profile.providerId);
+    if (owner && owner.id !== user.id) {
+      throw this.createError(409, 'IDENTITY_IN_USE', `This ${profile.provider} account is already linked to another user`);
+    }
+
+    if (!owner && user.identities.some(identity => identity.provider === profile.provider)) {
+      throw this.createError(409, 'PROVIDER_ALREADY_LINKED', `Another ${profile.provider} account is already linked. Unlink it first.`);
+    }
+
+    if (!owner) {
+      user.identities.push({ provider: profile.provider, providerId: String(profile.providerId), username: profile.username });
+    }
+
+    return this.upsertFromProfile(profile);
+  }
+
+  /**
+   * Unlink a sign-in identity from a user. The last identity cannot be unlinked.
+   * @param {string} userId - User
+   * @param {string} provider - Identity provider to unlink
+   * @returns {Promise<Object>} User
+   * @throws {Error} If the identity is not linked or is the only one left
+   */
+  async unlinkIdentity(userId, provider) {
+    await this.load();
+
+    const user = this.users.get(String(userId));
+    const index = user ? user.identities.findIndex(identity => identity.provider === provider) : -1;
+
+    if (index === -1) {
+      throw this.createError(404, 'IDENTITY_NOT_FOUND', `No ${provider} account is linked`);
+    }
+
+    if (user.identities.length === 1) {
+      throw this.createError(409, 'LAST_IDENTITY', 'The only sign-in method of an account cannot be unlinked');
+    }
+
+    user.identities.splice(index, 1);
+    if (user.provider === provider) {
+      user.provider = user.identities[0].provider;
+    }
+
+    await this.save();
+    return this.present(user);
+  }
+
+  /**
+   * Create an error with an HTTP status and machine-readable code
+   * @param {number} status - HTTP status
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error} Error
+   */
+  createError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Find the record of a sign-in identity
+   * @param {string} provider - Identity provider
+   * @param {string} providerId - User ID at the provider
+   * @returns {Object|undefined} User record
+   */
+  findRecord(provider, providerId) {
+    return [...this.users.values()].find(user => user.identities.some(identity =>
+      identity.provider === provider && identity.providerId === String(providerId)
+    ));
+  }
+
+  /**
+   * Copy a user record for use as req.user
+   * @param {Object} user - User record
+   * @returns {Object} User
+   */
+  present(user) {
+    return { ...user, identities: user.identities.map(identity => ({ ...identity })) };
+  }
+
+  /**
+   * Load the user file once
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.file.read({}).then(data => {
+        this.users = new Map((data.users || []).map(user => [user.id, user]));
+      });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Write the user file
+   */
+  save() {
+    return this.file.write({ users: [...this.users.values()] });
+  }
+}
+
+module.exports = new UserStore();